@@ -1,6 +1,8 @@
 const User = require('../models/User');
 const jwt = require('jsonwebtoken');
 
+const ORGANIZATION_ROLES = ['admin', 'member'];
+
 class AuthController {
     constructor() {
         this.JWT_SECRET = process.env.JWT_SECRET || 'uav-secret-key';
@@ -160,6 +162,187 @@ class AuthController {
             });
         }
     }
+    async getOrganization(req, res) {
+        try {
+            const user = await User.findById(req.user.userId).select('profile.organization profile.organizationRole');
+            const organization = user?.profile?.organization || null;
+            const members = organization ?
+                await User.find({ 'profile.organization': organization }).select('username profile.organizationRole') : [];
+
+            res.json({
+                success: true,
+                organization,
+                role: organization ? user.profile.organizationRole : null,
+                members: members.map(member => ({ username: member.username, role: member.profile.organizationRole }))
+            });
+        } catch (error) {
+            res.status(500).json({
+                success: false,
+                message: 'Failed to get organization: ' + error.message
+            });
+        }
+    }
+
+    // Create an organization with the caller as its first admin
+    async createOrganization(req, res) {
+        try {
+            const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+
+            if (!name) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Organization name is required'
+                });
+            }
+
+            const user = await User.findById(req.user.userId);
+            if (user.profile?.organization) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Leave your current organization first'
+                });
+            }
+
+            if (await User.exists({ 'profile.organization': name })) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'Organization already exists, ask one of its admins to add you'
+                });
+            }
+
+            user.set({ 'profile.organization': name, 'profile.organizationRole': 'admin' });
+            await user.save();
+
+            res.status(201).json({
+                success: true,
+                message: 'Organization created',
+                organization: name,
+                role: 'admin'
+            });
+
+        } catch (error) {
+            res.status(500).json({
+                success: false,
+                message: 'Failed to create organization: ' + error.message
+            });
+        }
+    }
+
+    // Add a user without an organization to the caller's, or change a member's role (admins only)
+    async setOrganizationMember(req, res) {
+        try {
+            const { username, role = 'member' } = req.body;
+
+            if (!ORGANIZATION_ROLES.includes(role)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `role must be one of: ${ORGANIZATION_ROLES.join(', ')}`
+                });
+            }
+
+            const admin = await User.findById(req.user.userId).select('profile.organization profile.organizationRole');
+            const organization = admin?.profile?.organization;
+            if (!organization || admin.profile.organizationRole !== 'admin') {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Only organization admins can manage members'
+                });
+            }
+
+            const member = await User.findOne({ username });
+            if (!member) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'User not found'
+                });
+            }
+
+            const current = member.profile?.organization;
+            if (current && current !== organization) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'User already belongs to another organization'
+                });
+            }
+            if (current && role !== 'admin' && await this.isLastAdmin(member)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'An organization needs at least one admin'
+                });
+            }
+
+            member.set({ 'profile.organization': organization, 'profile.organizationRole': role });
+            await member.save();
+
+            res.status(current ? 200 : 201).json({
+                success: true,
+                message: current ? 'Member role updated' : 'Member added',
+                member: { username: member.username, role }
+            });
+
+        } catch (error) {
+            res.status(500).json({
+                success: false,
+                message: 'Failed to update organization member: ' + error.message
+            });
+        }
+    }
+
+    // Remove a member (admins) or leave the organization (any member)
+    async removeOrganizationMember(req, res) {
+        try {
+            const caller = await User.findById(req.user.userId).select('username profile.organization profile.organizationRole');
+            const organization = caller?.profile?.organization;
+            const leaving = caller && req.params.username === caller.username;
+
+            if (!organization || (!leaving && caller.profile.organizationRole !== 'admin')) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Only organization admins can remove other members'
+                });
+            }
+
+            const member = await User.findOne({ username: req.params.username, 'profile.organization': organization });
+            if (!member) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Member not found'
+                });
+            }
+
+            const others = await User.countDocuments({ 'profile.organization': organization, _id: { $ne: member._id } });
+            if (others > 0 && await this.isLastAdmin(member)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'An organization needs at least one admin, make another member admin first'
+                });
+            }
+
+            member.set({ 'profile.organization': undefined, 'profile.organizationRole': undefined });
+            await member.save();
+
+            res.json({
+                success: true,
+                message: leaving ? 'Left organization' : 'Member removed'
+            });
+
+        } catch (error) {
+            res.status(500).json({
+                success: false,
+                message: 'Failed to remove organization member: ' + error.message
+            });
+        }
+    }
+
+    // Whether a member is the only admin of their organization
+    async isLastAdmin(member) {
+        if (member.profile.organizationRole !== 'admin') return false;
+        const admins = await User.countDocuments({
+            'profile.organization': member.profile.organization,
+            'profile.organizationRole': 'admin'
+        });
+        return admins <= 1;
+    }
 }
 
 module.exports = AuthController;
\ No newline at end of file
@@ -33,7 +33,8 @@ class DashboardController {
                 totalDataPoints: 0,
                 avgResponseTime: 0,
                 totalFlightTime: 0,
-                networkQuality: 85 // mock data
+                networkQuality: null,
+                avgBatteryVoltage: null
             };
 
             if (totalFlights > 0) {
@@ -44,7 +45,24 @@ class DashboardController {
                             _id: null,
                             avgError: { $avg: '$analysis.positionAccuracy.overall.average' },
                             totalPoints: { $sum: '$analysis.totalPoints' },
-                            avgResponseTime: { $avg: '$analysis.responseTime' }
+                            avgResponseTime: { $avg: '$analysis.responseTime' },
+                            // Command delivery rate from the logged command_stats, flights without stats are skipped
+                            linkQuality: {
+                                $avg: {
+                                    $cond: [
+                                        { $gt: ['$analysis.commandStats.totalAttempts', 0] },
+                                        {
+                                            $multiply: [100, {
+                                                $subtract: [1, {
+                                                    $divide: ['$analysis.commandStats.dropped', '$analysis.commandStats.totalAttempts']
+                                                }]
+                                            }]
+                                        },
+                                        null
+                                    ]
+                                }
+                            },
+                            avgBatteryVoltage: { $avg: '$analysis.battery.startVoltage' }
                         }
                     }
                 ]);
@@ -54,6 +72,8 @@ class DashboardController {
                     statistics.avgAccuracy = Math.max(0, 100 - (stats.avgError / 10));
                     statistics.totalDataPoints = stats.totalPoints;
                     statistics.avgResponseTime = stats.avgResponseTime?.toFixed(2) || 0;
+                    statistics.networkQuality = stats.linkQuality ?? null;
+                    statistics.avgBatteryVoltage = stats.avgBatteryVoltage ?? null;
                 }
             }
 
@@ -81,7 +101,8 @@ class DashboardController {
                     totalDataPoints: statistics.totalDataPoints,
                     avgResponseTime: statistics.avgResponseTime + 'ms',
                     totalFlightTime: Math.round(statistics.totalFlights * 15) + 'h', // estimated
-                    networkQuality: statistics.networkQuality + '%',
+                    networkQuality: statistics.networkQuality !== null ? statistics.networkQuality.toFixed(1) + '%' : 'N/A',
+                    avgBatteryVoltage: statistics.avgBatteryVoltage !== null ? statistics.avgBatteryVoltage.toFixed(2) + 'V' : 'N/A',
                     todayFlights
                 },
                 recentFlights: recentFlights.map(f => ({
@@ -1,5 +1,13 @@
 const FlightData = require('../models/FlightData');
 const UAVDataProcessor = require('../models/UAVDataProcessor');
+const TrajectoryAnalyzer = require('../models/TrajectoryAnalyzer');
+const DataQualityAnalyzer = require('../models/DataQualityAnalyzer');
+const NetworkAnalyzer = require('../models/NetworkAnalyzer');
+const TrajectoryFilter = require('../models/TrajectoryFilter');
+const TrajectoryErrorCalculator = require('../models/TrajectoryErrorCalculator');
+const StatisticsCalculator = require('../models/StatisticsCalculator');
+const ScoringProfile = require('../models/ScoringProfile');
+const QualityScorer = require('../models/QualityScorer');
 const multer = require('multer');
 const fs = require('fs');
 
@@ -47,9 +55,26 @@ class FlightController {
                 });
             }
 
-            const { flightName } = req.body;
+            const { flightName, qualityMode = 'lenient', scoringProfile = QualityScorer.DEFAULT_PROFILE } = req.body;
             const filePath = req.file.path;
 
+            if (!DataQualityAnalyzer.MODES.includes(qualityMode)) {
+                fs.unlinkSync(filePath);
+                return res.status(400).json({
+                    success: false,
+                    message: `qualityMode must be one of: ${DataQualityAnalyzer.MODES.join(', ')}`
+                });
+            }
+
+            const profile = await ScoringProfile.resolve(scoringProfile, await ScoringProfile.findOwner(req.user.userId));
+            if (!profile) {
+                fs.unlinkSync(filePath);
+                return res.status(400).json({
+                    success: false,
+                    message: `Unknown scoring profile: ${scoringProfile}`
+                });
+            }
+
             // Read and parse JSON file
             const fileContent = fs.readFileSync(filePath, 'utf8');
             const jsonData = JSON.parse(fileContent);
@@ -64,9 +89,29 @@ class FlightController {
                 });
             }
 
+            // Scan every point - strict mode rejects the flight, lenient mode drops unusable samples
+            const quality = DataQualityAnalyzer.analyze(jsonData, qualityMode);
+            if (!quality.report.passed && qualityMode === 'strict') {
+                fs.unlinkSync(filePath);
+                return res.status(400).json({
+                    success: false,
+                    message: `Flight data failed strict quality checks (${quality.report.errorCount} issues)`,
+                    dataQuality: quality.report
+                });
+            }
+            if (quality.flightData.position_data.length === 0) {
+                fs.unlinkSync(filePath);
+                return res.status(400).json({
+                    success: false,
+                    message: 'No valid position samples left after quality repair',
+                    dataQuality: quality.report
+                });
+            }
+
             // Process data
-            const processedData = UAVDataProcessor.processFlightData(jsonData, {
-                flightName: flightName || `Flight_${jsonData.timestamp}`
+            const processedData = UAVDataProcessor.processFlightData(quality.flightData, {
+                flightName: flightName || `Flight_${jsonData.timestamp}`,
+                scoringProfile: profile
             });
 
             // Save to database
@@ -80,6 +125,8 @@ class FlightController {
                 trajectoryAnalysis: processedData.trajectoryAnalysis,
                 performanceMetrics: processedData.performanceMetrics,
                 networkAnalysis: processedData.networkAnalysis,
+                latencyAnalysis: processedData.latencyAnalysis,
+                dataQuality: quality.report,
                 qualityAssessment: processedData.qualityAssessment
             });
 
@@ -98,8 +145,11 @@ class FlightController {
                     responseTime: processedData.analysis.responseTime,
                     averageError: processedData.analysis.positionAccuracy.overall.average,
                     qualityScore: processedData.qualityAssessment.overallScore,
+                    qualityGrade: processedData.qualityAssessment.grade,
+                    scoringProfile: processedData.qualityAssessment.profile,
                     efficiencyRatio: processedData.trajectoryAnalysis.detailed.trajectoryEfficiency.efficiencyRatio
-                }
+                },
+                dataQuality: quality.report
             });
 
         } catch (error) {
@@ -153,7 +203,8 @@ class FlightController {
                     qualityScore: flight.qualityAssessment?.overallScore || 0,
                     qualityGrade: flight.qualityAssessment?.grade || 'N/A',
                     networkImpact: flight.networkAnalysis?.impactAssessment?.performanceImpact || 0,
-                    stabilityScore: flight.performanceMetrics?.communicationEfficiency?.reliability || 0
+                    stabilityScore: flight.trajectoryAnalysis?.detailed?.stabilityMetrics?.overallStabilityScore || 0,
+                    performanceScore: flight.performanceMetrics?.overallPerformanceScore || 0
                 })),
                 pagination: {
                     current: page,
@@ -189,6 +240,11 @@ class FlightController {
                 });
             }
 
+            // Flights stored before sampling analysis existed get it computed on the fly
+            const samplingAnalysis = flight.networkAnalysis?.samplingAnalysis?.sampleCount
+                ? flight.networkAnalysis.samplingAnalysis
+                : NetworkAnalyzer.analyzeSampling(UAVDataProcessor.toRawFlightData(flight).position_data);
+
             res.json({
                 success: true,
                 flight: {
@@ -196,10 +252,20 @@ class FlightController {
                     flightName: flight.flightName,
                     timestamp: flight.timestamp,
                     sequence: flight.sequence,
+                    flightConditions: {
+                        battery: flight.analysis?.battery,
+                        commandStats: flight.analysis?.commandStats,
+                        rfConditions: flight.analysis?.rfConditions,
+                        firstCommandTime: flight.analysis?.firstCommandTime,
+                        errorCalculation: flight.analysis?.errorCalculation
+                    },
                     analysis: flight.analysis,
                     trajectoryAnalysis: flight.trajectoryAnalysis,
                     performanceMetrics: flight.performanceMetrics,
                     networkAnalysis: flight.networkAnalysis,
+                    latencyAnalysis: flight.latencyAnalysis,
+                    samplingAnalysis,
+                    dataQuality: flight.dataQuality,
                     qualityAssessment: flight.qualityAssessment,
                     uploadDate: flight.createdAt
                 }
@@ -214,11 +280,19 @@ class FlightController {
         }
     }
 
-    // Get data for 3D visualization
+    // Get data for 3D visualization, optionally filtered (see TrajectoryFilter)
     async getVisualizationData(req, res) {
         try {
             const { flightId } = req.params;
 
+            const filterError = TrajectoryFilter.validateOptions(req.query);
+            if (filterError) {
+                return res.status(400).json({
+                    success: false,
+                    message: filterError
+                });
+            }
+
             const flight = await FlightData.findOne({
                 _id: flightId,
                 userId: req.user.userId
@@ -231,10 +305,35 @@ class FlightController {
                 });
             }
 
-            const visualizationData = UAVDataProcessor.generate3DVisualizationData(flight);
+            const filterOptions = TrajectoryFilter.resolveOptions(req.query);
+            const sizeError = TrajectoryFilter.validateOutputSize(flight.positionData, filterOptions);
+            if (sizeError) {
+                return res.status(400).json({
+                    success: false,
+                    message: sizeError
+                });
+            }
+
+            const filtered = TrajectoryFilter.apply(
+                UAVDataProcessor.toRawFlightData(flight),
+                filterOptions,
+                TrajectoryErrorCalculator.resolveOptions({}, flight.analysis?.errorCalculation || {})
+            );
+            const positions = filtered.flightData.position_data;
+
+            // Filtered flights get their error threshold from the filtered errors
+            const visualizationData = UAVDataProcessor.generate3DVisualizationData(filtered.filter.errorCalculation ? {
+                flightName: flight.flightName,
+                sequence: flight.sequence,
+                positionData: positions,
+                analysis: {
+                    positionAccuracy: { overall: StatisticsCalculator.calculateStats(positions.map(point => point.error)) }
+                }
+            } : flight);
 
             res.json({
                 success: true,
+                filter: filtered.filter,
                 data: visualizationData
             });
 
@@ -247,6 +346,43 @@ class FlightController {
         }
     }
 
+    // Get per-waypoint leg metrics
+    async getFlightLegs(req, res) {
+        try {
+            const { flightId } = req.params;
+
+            const flight = await FlightData.findOne({
+                _id: flightId,
+                userId: req.user.userId
+            });
+
+            if (!flight) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Flight data not found'
+                });
+            }
+
+            const legAnalysis = TrajectoryAnalyzer.analyzeLegs(flight.positionData);
+
+            res.json({
+                success: true,
+                flightId: flight._id,
+                flightName: flight.flightName,
+                sequence: flight.sequence,
+                summary: legAnalysis.summary,
+                legs: legAnalysis.legs
+            });
+
+        } catch (error) {
+            console.error('Get flight legs error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to get flight legs: ' + error.message
+            });
+        }
+    }
+
     // Generate flight report
     async generateReport(req, res) {
         try {
@@ -0,0 +1,122 @@
+const KinematicsAnalyzer = require('./KinematicsAnalyzer');
+
+// Resting voltage (V) -> state of charge (0-1) of a single-cell LiPo, linear between points
+const DISCHARGE_CURVE = [
+    [3.27, 0], [3.61, 0.05], [3.69, 0.10], [3.71, 0.15], [3.73, 0.20], [3.75, 0.25], [3.77, 0.30],
+    [3.79, 0.35], [3.80, 0.40], [3.82, 0.45], [3.84, 0.50], [3.85, 0.55], [3.87, 0.60], [3.91, 0.65],
+    [3.95, 0.70], [3.98, 0.75], [4.02, 0.80], [4.08, 0.85], [4.11, 0.90], [4.15, 0.95], [4.20, 1]
+];
+// Hover time (s) on a full pack - Crazyflie 2.1 with the stock 250 mAh cell
+const FULL_PACK_HOVER_TIME = 420;
+// Energy (J) of a full pack, 250 mAh at 3.7 V nominal
+const PACK_ENERGY = 3330;
+// Gravity (m/s^2)
+const GRAVITY = 9.81;
+// Share of the pack above the minimum voltage below which a flight start is flagged
+const LOW_START_CHARGE = 0.25;
+
+/**
+ * Battery consumption and endurance of a single-cell LiPo pack
+ *
+ * Voltages are mapped to state of charge through the discharge curve, so a volt near the
+ * minimum is worth less flight time than one near full charge. The pack drains at the hover
+ * rate scaled by the manoeuvre load: rotor power grows with thrust^1.5 (momentum theory) and
+ * the thrust needed is |a + g| / g times the hover thrust, with a from the position fit.
+ * Consumption is projected from the start voltage, the logs do not record an end voltage.
+ */
+class BatteryModel {
+
+    /**
+     * Estimate consumption and endurance, fills FlightData.performanceMetrics.energyEfficiency
+     */
+    static estimate(battery, positions, flightTime, distance) {
+        const startVoltage = battery && battery.start_voltage;
+        const minimumRequired = battery && battery.minimum_required;
+
+        if (typeof startVoltage !== 'number' || typeof minimumRequired !== 'number') {
+            return {
+                estimated: false,
+                batteryUtilization: null,
+                energyPerMeter: null,
+                distancePerVolt: null,
+                projectedFlightTime: null,
+                remainingEndurance: null,
+                lowStartVoltage: null
+            };
+        }
+
+        const startCharge = this.stateOfCharge(startVoltage);
+        const usableCharge = Math.max(0, startCharge - this.stateOfCharge(minimumRequired));
+        const loadFactor = this.calculateLoadFactor(positions);
+        // Share of a full pack drained per second at this flight's load
+        const drainRate = loadFactor / FULL_PACK_HOVER_TIME;
+        const consumedCharge = Math.min(startCharge, flightTime * drainRate);
+        const endVoltage = this.voltageAt(startCharge - consumedCharge);
+        const voltageUsed = startVoltage - endVoltage;
+        const energyUsed = consumedCharge * PACK_ENERGY;
+
+        return {
+            estimated: true,
+            startStateOfCharge: startCharge * 100,
+            usableCharge: usableCharge * 100,
+            loadFactor,
+            consumedCharge: consumedCharge * 100,
+            estimatedEndVoltage: endVoltage,
+            voltageUsed,
+            energyUsed,
+            batteryUtilization: usableCharge > 0 ? Math.min(100, (consumedCharge / usableCharge) * 100) : 100,
+            energyPerMeter: distance > 0 ? energyUsed / distance : null,
+            distancePerVolt: voltageUsed > 0 ? distance / voltageUsed : null,
+            projectedFlightTime: usableCharge / drainRate,
+            remainingEndurance: Math.max(0, usableCharge - consumedCharge) / drainRate,
+            lowStartVoltage: usableCharge < LOW_START_CHARGE
+        };
+    }
+
+    /**
+     * Mean power relative to hover over the flight, 1 when there is no motion data
+     */
+    static calculateLoadFactor(positions) {
+        const samples = KinematicsAnalyzer.calculateKinematics(positions);
+        let weighted = 0;
+        let duration = 0;
+
+        for (let i = 0; i < samples.length - 1; i++) {
+            const dt = samples[i + 1].time - samples[i].time;
+            const [ax, ay, az] = samples[i].accelerationVector;
+            const thrustRatio = Math.sqrt(ax * ax + ay * ay + Math.pow(az + GRAVITY, 2)) / GRAVITY;
+            weighted += Math.pow(thrustRatio, 1.5) * dt;
+            duration += dt;
+        }
+
+        return duration > 0 ? weighted / duration : 1;
+    }
+
+    // State of charge (0-1) at a resting voltage, clamped to the curve
+    static stateOfCharge(voltage) {
+        return this.interpolate(DISCHARGE_CURVE, voltage, 0, 1);
+    }
+
+    // Resting voltage at a state of charge (0-1)
+    static voltageAt(charge) {
+        return this.interpolate(DISCHARGE_CURVE, charge, 1, 0);
+    }
+
+    // Linear interpolation of column `to` against the increasing column `from`
+    static interpolate(curve, value, from, to) {
+        if (value <= curve[0][from]) return curve[0][to];
+        for (let i = 1; i < curve.length; i++) {
+            const [lower, upper] = [curve[i - 1], curve[i]];
+            if (value <= upper[from]) {
+                const share = (value - lower[from]) / (upper[from] - lower[from]);
+                return lower[to] + share * (upper[to] - lower[to]);
+            }
+        }
+        return curve[curve.length - 1][to];
+    }
+}
+
+BatteryModel.FULL_PACK_HOVER_TIME = FULL_PACK_HOVER_TIME;
+BatteryModel.LOW_START_CHARGE = LOW_START_CHARGE;
+
+module.exports = BatteryModel;
@@ -0,0 +1,131 @@
+const StatisticsCalculator = require('./StatisticsCalculator');
+
+const MODES = ['strict', 'lenient'];
+// A sampling interval this many times the median is reported as a gap
+const GAP_FACTOR = 3;
+// Speed (m/s) no flight in this platform can reach between two samples
+const MAX_SPEED = 5;
+// Jump (m) that, at an impossible speed, is treated as a position teleport rather than timing noise
+const TELEPORT_DISTANCE = 0.5;
+const COORDINATE_FIELDS = ['x', 'y', 'z', 'time'];
+
+/**
+ * Per-point data quality pass run at ingest
+ *
+ * Every sample is checked against the last accepted sample:
+ * - invalid values: x/y/z/time missing, null, NaN or not a number
+ * - duplicate / non-monotonic timestamps
+ * - sampling gaps (warning only - the logger pauses briefly at each leg switch)
+ * - teleports and impossible velocities
+ * 'strict' mode fails the flight on any error-level issue. 'lenient' mode repairs what it can by
+ * dropping unusable samples (invalid values, duplicate or out-of-order timestamps) and keeps the
+ * rest flagged in the report. Reported indices always refer to the uploaded position_data.
+ */
+class DataQualityAnalyzer {
+
+    /**
+     * Check a raw flight log, returns the report and the flight data to process
+     */
+    static analyze(flightData, mode = 'lenient') {
+        const positions = flightData.position_data || [];
+        const issues = {
+            invalidValues: [],
+            duplicateTimestamps: [],
+            nonMonotonicTimestamps: [],
+            gaps: [],
+            teleports: [],
+            impossibleVelocities: []
+        };
+
+        const sampleRate = this.estimateSampleRate(positions);
+        const gapThreshold = sampleRate > 0 ? GAP_FACTOR / sampleRate : null;
+        const accepted = [];
+        const removedIndices = [];
+        let last = null;
+
+        positions.forEach((point, index) => {
+            const fields = this.findInvalidFields(point);
+            if (fields.length > 0) {
+                issues.invalidValues.push({ index, fields });
+                removedIndices.push(index);
+                return;
+            }
+
+            if (last) {
+                const dt = point.time - last.point.time;
+                if (dt === 0) {
+                    issues.duplicateTimestamps.push({ index, time: point.time, previousIndex: last.index });
+                    removedIndices.push(index);
+                    return;
+                }
+                if (dt < 0) {
+                    issues.nonMonotonicTimestamps.push({ index, time: point.time, previousTime: last.point.time });
+                    removedIndices.push(index);
+                    return;
+                }
+
+                if (gapThreshold !== null && dt > gapThreshold) {
+                    issues.gaps.push({ index, startTime: last.point.time, duration: dt });
+                }
+
+                const distance = Math.hypot(point.x - last.point.x, point.y - last.point.y, point.z - last.point.z);
+                const speed = distance / dt;
+                if (speed > MAX_SPEED) {
+                    const issue = { index, previousIndex: last.index, distance, speed };
+                    (distance > TELEPORT_DISTANCE ? issues.teleports : issues.impossibleVelocities).push(issue);
+                }
+            }
+
+            accepted.push(point);
+            last = { point, index };
+        });
+
+        const issueCounts = {};
+        Object.keys(issues).forEach(key => { issueCounts[key] = issues[key].length; });
+        const errorCount = issueCounts.invalidValues + issueCounts.duplicateTimestamps +
+            issueCounts.nonMonotonicTimestamps + issueCounts.teleports + issueCounts.impossibleVelocities;
+
+        const report = {
+            mode,
+            passed: errorCount === 0,
+            totalPoints: positions.length,
+            acceptedPoints: mode === 'strict' ? positions.length : accepted.length,
+            removedIndices: mode === 'strict' ? [] : removedIndices,
+            sampleRate,
+            gapThreshold,
+            errorCount,
+            warningCount: issueCounts.gaps,
+            issueCounts,
+            issues
+        };
+
+        return {
+            report,
+            flightData: mode === 'strict' ? flightData : { ...flightData, position_data: accepted }
+        };
+    }
+
+    // Names of the coordinate/time fields that are not finite numbers
+    static findInvalidFields(point) {
+        if (!point || typeof point !== 'object') return COORDINATE_FIELDS.slice();
+        return COORDINATE_FIELDS.filter(field => typeof point[field] !== 'number' || !isFinite(point[field]));
+    }
+
+    // Sampling rate (Hz) from the median positive interval between valid timestamps
+    static estimateSampleRate(positions) {
+        const times = positions
+            .filter(point => point && typeof point.time === 'number' && isFinite(point.time))
+            .map(point => point.time);
+        const intervals = [];
+        for (let i = 1; i < times.length; i++) {
+            if (times[i] > times[i - 1]) intervals.push(times[i] - times[i - 1]);
+        }
+        if (intervals.length === 0) return 0;
+
+        return 1 / StatisticsCalculator.percentile(intervals.sort((a, b) => a - b), 50);
+    }
+}
+
+DataQualityAnalyzer.MODES = MODES;
+
+module.exports = DataQualityAnalyzer;
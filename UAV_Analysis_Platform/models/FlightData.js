@@ -1,5 +1,67 @@
 const mongoose = require('mongoose');
 
+// Descriptive statistics produced by StatisticsCalculator.calculateStats
+const errorStatistics = {
+    average: Number,
+    median: Number,
+    min: Number,
+    max: Number,
+    stdDev: Number,
+    rms: Number,
+    p50: Number,
+    p90: Number,
+    p95: Number,
+    p99: Number,
+    confidence95: Number, // half-width of the 95% confidence interval of the mean
+    count: Number
+};
+
+// Integral error criteria of a time-stamped error signal
+const integralErrorCriteria = {
+    iae: Number, // m*s
+    ise: Number, // m^2*s
+    itae: Number, // m*s^2
+    itse: Number, // m^2*s^2
+    duration: Number,
+    samples: Number
+};
+
+// Error spectrum of one flight phase produced by SpectralAnalyzer.analyzeSignal
+const oscillationSpectrum = {
+    analysedSamples: Number,
+    analysedRuns: Number,
+    jitter: Number,
+    dominantFrequency: Number,
+    dominantAmplitude: Number,
+    dominantAxis: String,
+    oscillationDetected: Boolean,
+    axes: [{
+        axis: String,
+        frequency: Number,
+        amplitude: Number,
+        powerRatio: Number,
+        rms: Number,
+        driftTail: Boolean, // peak at the lower band edge
+        oscillation: Boolean
+    }]
+};
+
+// Telemetry gap found by NetworkAnalyzer.analyzeSampling
+const sampleGap = {
+    index: Number, // first sample after the gap
+    startTime: Number,
+    duration: Number,
+    missedSamples: Number,
+    flightProgress: Number, // 0-1 share of the flight elapsed when the gap started
+    phase: String,
+    sequenceIndex: Number,
+    legSwitch: Boolean, // spans a target change, where the logger pauses
+    position: [Number],
+    errorBefore: Number,
+    maxErrorAfter: Number,
+    followedBySpike: Boolean
+};
+
 const flightDataSchema = new mongoose.Schema({
     userId: {
         type: mongoose.Schema.Types.ObjectId,
@@ -25,6 +87,7 @@ const flightDataSchema = new mongoose.Schema({
     sequence: [[Number]], // e.g., [[0,0,0.5], [0.5,0.5,0.5]]
 
     // Position data - core flight info
+    // Telemetry field names mirror the raw log so stored points can be fed straight back to TrajectoryAnalyzer
     positionData: [{
         x: Number,
         y: Number,
@@ -37,6 +100,11 @@ const flightDataSchema = new mongoose.Schema({
         },
         phase: String, // 'transit' or 'waypoint'
         error: Number,
+        error_xy: Number,
+        error_z: Number,
+        sequence_index: Number,
+        position_index: Number,
+        transition_progress: Number,
         networkQuality: Number,
         stabilized: Boolean
     }],
@@ -49,20 +117,28 @@ const flightDataSchema = new mongoose.Schema({
         responseTime: Number,
 
         positionAccuracy: {
-            overall: {
-                average: Number,
-                median: Number,
-                min: Number,
-                max: Number
-            },
+            overall: errorStatistics,
             waypoint: {
-                average: Number,
-                median: Number,
-                min: Number,
-                max: Number,
-                count: Number,
+                ...errorStatistics,
                 percentage: Number
-            }
+            },
+            transit: {
+                ...errorStatistics,
+                percentage: Number
+            },
+            xyPlane: errorStatistics,
+            altitude: errorStatistics
+        },
+
+        // Integral error criteria from TrajectoryAnalyzer.calculatePerformanceIndices
+        controlPerformance: {
+            overall: integralErrorCriteria,
+            legs: [{
+                legIndex: Number,
+                sequenceIndex: Number,
+                target: [Number],
+                ...integralErrorCriteria
+            }]
         },
 
         battery: {
@@ -74,6 +150,22 @@ const flightDataSchema = new mongoose.Schema({
             sent: Number,
             dropped: Number,
             totalAttempts: Number
+        },
+
+        rfConditions: {
+            bandwidthKbps: Number,
+            latencyMs: Number,
+            packetLossRate: Number
+        },
+
+        firstCommandTime: Number,
+
+        errorCalculation: {
+            method: String,
+            verticalMode: String,
+            heightWeight: Number,
+            excludeTransit: Boolean,
+            recomputedPoints: Number // samples whose error was computed server-side
         }
     },
 
@@ -81,11 +173,33 @@ const flightDataSchema = new mongoose.Schema({
     trajectoryAnalysis: {
         summary: {
             overallScore: String,
+            averageAccuracy: String,
+            maxError: String,
+            totalPoints: Number,
+            stabilizationRate: String,
             efficiencyRatio: String,
+            timeEfficiency: String,
             pathSmoothness: String,
             networkImpact: String
         },
         detailed: {
+            pathAccuracy: {
+                averageError: Number,
+                maxError: Number,
+                minError: Number,
+                totalPoints: Number,
+                errorStatistics,
+                xyPlaneAccuracy: {
+                    average: Number,
+                    max: Number,
+                    min: Number
+                },
+                altitudeAccuracy: {
+                    average: Number,
+                    max: Number,
+                    min: Number
+                }
+            },
             pathDeviation: {
                 averageDeviation: Number,
                 maxDeviation: Number,
@@ -101,12 +215,17 @@ const flightDataSchema = new mongoose.Schema({
                 deviationTrend: String
             },
             velocityAnalysis: {
-                averageVelocity: Number,
+                averageVelocity: Number, // m/s
                 maxVelocity: Number,
                 minVelocity: Number,
                 velocityVariation: Number,
-                averageAcceleration: Number,
+                maxHorizontalSpeed: Number,
+                maxVerticalSpeed: Number,
+                averageAcceleration: Number, // m/s^2
                 maxAcceleration: Number,
+                averageJerk: Number, // m/s^3
+                maxJerk: Number,
+                rmsJerk: Number,
                 smoothnessIndex: Number
             },
             altitudeProfile: {
@@ -115,28 +234,89 @@ const flightDataSchema = new mongoose.Schema({
                 averageAltitude: Number,
                 altitudeRange: Number,
                 altitudeStability: Number,
-                verticalMovements: Number
+                verticalMovements: Number,
+                averageRiseTime: Number,
+                averageOvershoot: Number,
+                averageSettlingTime: Number,
+                averageSteadyStateError: Number,
+                stepResponses: [{
+                    legIndex: Number,
+                    startIndex: Number,
+                    endIndex: Number,
+                    startAltitude: Number,
+                    targetAltitude: Number,
+                    stepSize: Number,
+                    direction: String,
+                    duration: Number,
+                    riseTime: Number, // 10% -> 90% of the step, seconds
+                    peakAltitude: Number,
+                    overshoot: Number, // % of the step size
+                    overshootDistance: Number,
+                    settlingTime: Number, // null when the leg never settles
+                    settled: Boolean,
+                    steadyStateError: Number
+                }]
+            },
+            hoverPrecision: {
+                waypointCount: Number,
+                averageCep50: Number,
+                averageCep95: Number,
+                averageDrms2: Number,
+                averageSep50: Number,
+                maxDriftRate: Number,
+                waypoints: [{
+                    legIndex: Number,
+                    sequenceIndex: Number,
+                    target: [Number],
+                    sampleCount: Number,
+                    dwellTime: Number,
+                    meanOffset: [Number],
+                    cep50: Number, // m, horizontal radius containing 50% of samples
+                    cep95: Number,
+                    drms2: Number,
+                    sep50: Number, // m, spherical radius containing 50% of samples
+                    sep95: Number,
+                    sphericalRms: Number,
+                    driftRate: Number, // m/s
+                    horizontalDriftRate: Number,
+                    verticalDriftRate: Number,
+                    driftDirection: Number // degrees counter-clockwise from +x
+                }]
             },
             turnAnalysis: {
                 totalTurns: Number,
                 sharpTurns: Number,
-                averageTurnRate: Number,
+                plannedTurns: Number,
+                unplannedTurns: Number,
+                averageTurnRate: Number, // degrees per second
                 maxTurnRate: Number,
                 pathSmoothness: Number,
                 turns: [{
                     index: Number,
                     position: [Number],
-                    bearingChange: Number,
+                    bearingChange: Number, // net 3D heading change in degrees
+                    headingChange: Number, // signed horizontal (yaw) change
+                    climbChange: Number,
                     sharpness: Number,
-                    phase: String
+                    turnRate: Number,
+                    duration: Number,
+                    phase: String,
+                    sequenceIndex: Number,
+                    planned: Boolean
                 }]
             },
             stabilityMetrics: {
                 stabilizationRatio: Number,
                 jitterMetrics: {
-                    averageJitter: Number,
+                    averageJitter: Number, // m, RMS of the error content above 1 Hz
                     maxJitter: Number,
-                    jitterIndex: Number
+                    jitterIndex: Number, // 0-1, share of jitter power in the strongest spectral peak
+                    dominantFrequency: Number, // Hz
+                    dominantAmplitude: Number, // m
+                    oscillationDetected: Boolean,
+                    sampleRate: Number,
+                    hover: oscillationSpectrum,
+                    transit: oscillationSpectrum
                 },
                 waypointStability: {
                     stabilizationRate: Number,
@@ -199,12 +379,36 @@ const flightDataSchema = new mongoose.Schema({
                     averageTransitionError: Number
                 }
             },
+            // Against the ideal path from takeoff through each target, null when not computable
             trajectoryEfficiency: {
-                actualDistance: Number,
+                takeoffPosition: [Number],
+                totalDistance: Number, // m, whole flight including hover
+                actualDistance: Number, // m, flown towards the targets
                 idealDistance: Number,
-                efficiencyRatio: Number,
+                efficiencyRatio: Number, // same as pathOptimality
                 excessDistance: Number,
-                pathOptimality: Number
+                pathOptimality: Number,
+                cruiseSpeed: Number, // m/s
+                transitTime: Number,
+                idealTime: Number,
+                timeEfficiency: Number,
+                plannedLegs: Number,
+                flownLegs: Number,
+                legs: [{
+                    legIndex: Number,
+                    sequenceIndex: Number,
+                    from: [Number],
+                    target: [Number],
+                    flown: Boolean,
+                    reached: Boolean,
+                    idealDistance: Number,
+                    actualDistance: Number,
+                    excessDistance: Number,
+                    pathOptimality: Number,
+                    transitTime: Number,
+                    idealTime: Number,
+                    timeEfficiency: Number
+                }]
             }
         },
         recommendations: [{
@@ -225,10 +429,19 @@ const flightDataSchema = new mongoose.Schema({
         },
         energyEfficiency: {
             estimated: Boolean,
-            batteryUtilization: Number,
-            energyPerMeter: Number,
-            distancePerVolt: Number,
-            projectedFlightTime: Number
+            startStateOfCharge: Number, // % of the pack
+            usableCharge: Number, // % of the pack above the minimum voltage
+            loadFactor: Number, // mean power relative to hover
+            consumedCharge: Number, // % of the pack
+            estimatedEndVoltage: Number,
+            voltageUsed: Number,
+            energyUsed: Number, // J
+            batteryUtilization: Number, // % of the usable charge
+            energyPerMeter: Number, // J/m
+            distancePerVolt: Number, // m/V
+            projectedFlightTime: Number, // s from the start voltage to the minimum
+            remainingEndurance: Number, // s from the end of the flight to the minimum
+            lowStartVoltage: Boolean
         },
         communicationEfficiency: {
             successRate: Number,
@@ -238,17 +451,18 @@ const flightDataSchema = new mongoose.Schema({
             commandsDropped: Number,
             totalAttempts: Number
         },
-        overallPerformanceScore: Number
+        overallPerformanceScore: Number,
+        recommendations: [{
+            category: String,
+            severity: String,
+            message: String,
+            metric: String
+        }]
     },
 
     // Network analysis
     networkAnalysis: {
-        qualityStats: {
-            average: Number,
-            median: Number,
-            min: Number,
-            max: Number
-        },
+        qualityStats: errorStatistics,
         degradationEvents: [{
             startIndex: Number,
             endIndex: Number,
@@ -285,16 +499,100 @@ const flightDataSchema = new mongoose.Schema({
             },
             performanceImpact: Number
         },
+        // Inter-sample intervals and telemetry gaps
+        samplingAnalysis: {
+            sampleCount: Number,
+            duration: Number,
+            nominalRate: Number, // Hz, from the median interval
+            meanRate: Number, // Hz, gaps included
+            intervalStats: errorStatistics,
+            jitter: Number, // s, std of the regular intervals
+            intervalHistogram: [{
+                label: String,
+                maxRatio: Number, // upper bound in nominal intervals, null for the open-ended last bin
+                count: Number
+            }],
+            gapCount: Number,
+            totalGapTime: Number,
+            gapTimeShare: Number,
+            missedSamples: Number,
+            longestGaps: [sampleGap],
+            gaps: [sampleGap],
+            gapErrorCorrelation: {
+                coefficient: Number,
+                spikeThreshold: Number,
+                errorSpikes: Number,
+                spikesAfterGaps: Number,
+                gapsFollowedBySpike: Number,
+                spikeLift: Number
+            }
+        },
         recommendations: [{
-            type: String,
+            type: { type: String }, // nested declaration, a bare `type` key would make this a string array
             severity: String,
             message: String,
             suggestion: String
         }]
     },
 
+    // Command-to-motion latency
+    latencyAnalysis: {
+        sampleRate: Number,
+        rfLatencyMs: Number,
+        initialCommand: {
+            commandTime: Number,
+            firstSampleTime: Number,
+            firstSampleDelay: Number // s from first_command_time to the first logged sample
+        },
+        commandCount: Number,
+        respondedCommands: Number,
+        timeToFirstMotion: errorStatistics,
+        reactionLatency: errorStatistics,
+        commands: [{
+            index: Number,
+            commandTime: Number,
+            sequenceIndex: Number,
+            from: [Number],
+            to: [Number],
+            stepDistance: Number,
+            timeToFirstMotion: Number, // s
+            reactionLatency: Number, // s
+            correlation: Number
+        }]
+    },
+
+    // Ingest data quality report from DataQualityAnalyzer, indices refer to the uploaded position_data
+    dataQuality: {
+        mode: String, // strict | lenient
+        passed: Boolean,
+        totalPoints: Number,
+        acceptedPoints: Number,
+        removedIndices: [Number],
+        sampleRate: Number,
+        gapThreshold: Number,
+        errorCount: Number,
+        warningCount: Number,
+        issueCounts: {
+            invalidValues: Number,
+            duplicateTimestamps: Number,
+            nonMonotonicTimestamps: Number,
+            gaps: Number,
+            teleports: Number,
+            impossibleVelocities: Number
+        },
+        issues: {
+            invalidValues: [{ index: Number, fields: [String] }],
+            duplicateTimestamps: [{ index: Number, time: Number, previousIndex: Number }],
+            nonMonotonicTimestamps: [{ index: Number, time: Number, previousTime: Number }],
+            gaps: [{ index: Number, startTime: Number, duration: Number }],
+            teleports: [{ index: Number, previousIndex: Number, distance: Number, speed: Number }],
+            impossibleVelocities: [{ index: Number, previousIndex: Number, distance: Number, speed: Number }]
+        }
+    },
+
     // Quality assessment
     qualityAssessment: {
+        profile: String, // scoring profile name, see QualityScorer
         overallScore: Number, // 0-100
         breakdown: {
             accuracy: Number,
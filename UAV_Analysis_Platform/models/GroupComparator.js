@@ -0,0 +1,84 @@
+const StatisticsCalculator = require('./StatisticsCalculator');
+
+const DEFAULT_ALPHA = 0.05;
+// |Cohen's d| lower bounds of the conventional effect size labels
+const EFFECT_SIZE_LABELS = [
+    { min: 0.8, label: 'large' },
+    { min: 0.5, label: 'medium' },
+    { min: 0.2, label: 'small' },
+    { min: 0, label: 'negligible' }
+];
+
+/**
+ * Significance of the difference between two groups of values
+ *
+ * Runs Welch's t-test (means, unequal variances) and the Mann-Whitney U test (distributions,
+ * no normality assumption) side by side, with Cohen's d / Hedges' g and the rank-biserial
+ * correlation as effect sizes. Differences are group A - group B. Per-point errors within a
+ * flight are autocorrelated, so p-values from point-level samples overstate significance and
+ * should be read alongside the effect size.
+ */
+class GroupComparator {
+
+    /**
+     * Compare two samples, returns per-group statistics, the tests and effect sizes
+     */
+    static compareSamples(a, b, alpha = DEFAULT_ALPHA) {
+        const welch = StatisticsCalculator.welchTTest(a, b, 1 - alpha);
+        const mannWhitney = StatisticsCalculator.mannWhitneyU(a, b);
+        const { d, g } = StatisticsCalculator.cohensD(a, b);
+
+        return {
+            alpha,
+            groups: [this.describeSample(a, alpha), this.describeSample(b, alpha)],
+            difference: {
+                mean: welch.difference,
+                median: this.median(a) - this.median(b),
+                confidenceInterval: welch.confidenceInterval
+            },
+            welchTTest: {
+                t: welch.t,
+                degreesOfFreedom: welch.degreesOfFreedom,
+                pValue: welch.pValue,
+                significant: welch.pValue < alpha
+            },
+            mannWhitneyU: {
+                u: mannWhitney.u,
+                z: mannWhitney.z,
+                pValue: mannWhitney.pValue,
+                significant: mannWhitney.pValue < alpha,
+                method: 'normal approximation, tie and continuity corrected'
+            },
+            effectSize: {
+                cohensD: d,
+                hedgesG: g,
+                rankBiserial: mannWhitney.rankBiserial,
+                magnitude: EFFECT_SIZE_LABELS.find(entry => Math.abs(d) >= entry.min).label
+            }
+        };
+    }
+
+    // Count, mean with its t-based confidence interval, median and sample standard deviation
+    static describeSample(values, alpha) {
+        const n = values.length;
+        const mean = StatisticsCalculator.mean(values);
+        const stdDev = Math.sqrt(StatisticsCalculator.sampleVariance(values));
+        const margin = n > 1 ? StatisticsCalculator.studentTQuantile(1 - alpha / 2, n - 1) * stdDev / Math.sqrt(n) : null;
+
+        return {
+            n,
+            mean,
+            median: this.median(values),
+            stdDev,
+            confidenceInterval: margin !== null ? [mean - margin, mean + margin] : null
+        };
+    }
+
+    static median(values) {
+        return StatisticsCalculator.percentile(values.slice().sort((x, y) => x - y), 50);
+    }
+}
+
+GroupComparator.DEFAULT_ALPHA = DEFAULT_ALPHA;
+
+module.exports = GroupComparator;
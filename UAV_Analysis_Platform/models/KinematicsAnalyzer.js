@@ -0,0 +1,167 @@
+const StatisticsCalculator = require('./StatisticsCalculator');
+
+// Half width (s) of the local fitting window, wide enough to average out position jitter
+const FIT_HALF_WINDOW = 0.25;
+
+class KinematicsAnalyzer {
+
+    /**
+     * Velocity, acceleration and jerk summary - fills the FlightData velocityAnalysis schema
+     */
+    static analyzeVelocity(positions) {
+        const samples = this.calculateKinematics(positions);
+        if (samples.length === 0) {
+            return {
+                averageVelocity: 0, maxVelocity: 0, minVelocity: 0, velocityVariation: 0,
+                maxHorizontalSpeed: 0, maxVerticalSpeed: 0,
+                averageAcceleration: 0, maxAcceleration: 0,
+                averageJerk: 0, maxJerk: 0, rmsJerk: 0, smoothnessIndex: 1
+            };
+        }
+
+        const speeds = samples.map(s => s.speed);
+        const accelerations = samples.map(s => s.acceleration);
+        const jerks = samples.map(s => s.jerk);
+        const rmsJerk = StatisticsCalculator.rms(jerks);
+
+        return {
+            averageVelocity: this.calculateMean(speeds),
+            maxVelocity: Math.max(...speeds),
+            minVelocity: Math.min(...speeds),
+            velocityVariation: this.calculateStandardDeviation(speeds),
+            maxHorizontalSpeed: Math.max(...samples.map(s => Math.hypot(s.velocity[0], s.velocity[1]))),
+            maxVerticalSpeed: Math.max(...samples.map(s => Math.abs(s.velocity[2]))),
+            averageAcceleration: this.calculateMean(accelerations),
+            maxAcceleration: Math.max(...accelerations),
+            averageJerk: this.calculateMean(jerks),
+            maxJerk: Math.max(...jerks),
+            rmsJerk,
+            // 1 for jerk-free motion, approaching 0 as RMS jerk (m/s^3) grows
+            smoothnessIndex: 1 / (1 + rmsJerk)
+        };
+    }
+
+    /**
+     * Per-sample velocity (m/s), acceleration (m/s^2) and jerk (m/s^3)
+     *
+     * Derivatives come from a least-squares quadratic fitted to the samples within
+     * FIT_HALF_WINDOW of each point (a Savitzky-Golay filter that tolerates uneven
+     * sampling and gaps); jerk is the slope of a linear fit to the fitted acceleration.
+     */
+    static calculateKinematics(positions) {
+        if (!positions || positions.length < 2) return [];
+
+        const times = positions.map(pos => pos.time);
+        const fits = positions.map((pos, i) => {
+            const window = this.getWindow(times, i);
+            const dt = window.map(j => times[j] - times[i]);
+            const axes = ['x', 'y', 'z'].map(axis => this.fitPolynomial(dt, window.map(j => positions[j][axis])));
+
+            return {
+                velocity: axes.map(coefficients => coefficients[1]),
+                acceleration: axes.map(coefficients => 2 * coefficients[2])
+            };
+        });
+
+        return fits.map((fit, i) => {
+            const window = this.getWindow(times, i);
+            const dt = window.map(j => times[j] - times[i]);
+            const jerk = [0, 1, 2].map(axis => (
+                this.fitPolynomial(dt, window.map(j => fits[j].acceleration[axis]), 1)[1]
+            ));
+
+            return {
+                index: i,
+                time: times[i],
+                velocity: fit.velocity,
+                speed: this.magnitude(fit.velocity),
+                accelerationVector: fit.acceleration,
+                acceleration: this.magnitude(fit.acceleration),
+                jerk: this.magnitude(jerk)
+            };
+        });
+    }
+
+    // Indices of the samples within FIT_HALF_WINDOW seconds of sample i
+    static getWindow(times, i) {
+        let start = i;
+        let end = i;
+        while (start > 0 && times[i] - times[start - 1] <= FIT_HALF_WINDOW) start--;
+        while (end < times.length - 1 && times[end + 1] - times[i] <= FIT_HALF_WINDOW) end++;
+
+        const window = [];
+        for (let j = start; j <= end; j++) window.push(j);
+        return window;
+    }
+
+    /**
+     * Least-squares polynomial coefficients [c0, c1, c2] of the requested degree (at most 2),
+     * falling back to a lower degree when there are too few distinct samples
+     */
+    static fitPolynomial(t, values, degree = 2) {
+        const distinct = new Set(t).size;
+        const order = Math.min(degree, distinct - 1);
+        if (order < 1) return [values.length > 0 ? this.calculateMean(values) : 0, 0, 0];
+
+        // Normal equations for 1, t, t^2 basis
+        const size = order + 1;
+        const matrix = Array.from({ length: size }, () => new Array(size).fill(0));
+        const vector = new Array(size).fill(0);
+
+        t.forEach((ti, k) => {
+            const powers = [1, ti, ti * ti];
+            for (let r = 0; r < size; r++) {
+                vector[r] += powers[r] * values[k];
+                for (let c = 0; c < size; c++) matrix[r][c] += powers[r] * powers[c];
+            }
+        });
+
+        const solution = this.solveLinearSystem(matrix, vector);
+        if (!solution) return order > 1 ? this.fitPolynomial(t, values, 1) : [this.calculateMean(values), 0, 0];
+
+        return [solution[0], solution[1] || 0, solution[2] || 0];
+    }
+
+    // Gaussian elimination with partial pivoting, null when singular
+    static solveLinearSystem(matrix, vector) {
+        const n = vector.length;
+        const a = matrix.map((row, i) => [...row, vector[i]]);
+
+        for (let col = 0; col < n; col++) {
+            let pivot = col;
+            for (let row = col + 1; row < n; row++) {
+                if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) pivot = row;
+            }
+            if (Math.abs(a[pivot][col]) < 1e-12) return null;
+            [a[col], a[pivot]] = [a[pivot], a[col]];
+
+            for (let row = col + 1; row < n; row++) {
+                const factor = a[row][col] / a[col][col];
+                for (let c = col; c <= n; c++) a[row][c] -= factor * a[col][c];
+            }
+        }
+
+        const solution = new Array(n).fill(0);
+        for (let row = n - 1; row >= 0; row--) {
+            let sum = a[row][n];
+            for (let c = row + 1; c < n; c++) sum -= a[row][c] * solution[c];
+            solution[row] = sum / a[row][row];
+        }
+        return solution;
+    }
+
+    // Helper calculation methods
+    static magnitude(v) {
+        return Math.sqrt(v[0] * v[0] + v[1] * v[1] + v[2] * v[2]);
+    }
+
+    static calculateMean(values) {
+        return StatisticsCalculator.mean(values);
+    }
+
+    static calculateStandardDeviation(values) {
+        return StatisticsCalculator.standardDeviation(values);
+    }
+}
+
+module.exports = KinematicsAnalyzer;
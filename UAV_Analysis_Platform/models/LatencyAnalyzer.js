@@ -0,0 +1,153 @@
+const StatisticsCalculator = require('./StatisticsCalculator');
+const SpectralAnalyzer = require('./SpectralAnalyzer');
+
+// Displacement (m) towards the new target counted as the first motion, above hover jitter
+const MOTION_THRESHOLD = 0.02;
+// Longest reaction (s) searched for, and the response window (s) analysed after each command
+const MAX_LATENCY = 3;
+const RESPONSE_WINDOW = 5;
+// Commanded moves shorter than this (m) are too small to time reliably
+const MIN_STEP_DISTANCE = 0.05;
+
+/**
+ * Command-to-motion latency
+ *
+ * A command is a change of the logged target; its time is the first sample carrying the new
+ * target, so latencies are measured from the moment the command reached the log. Motion is the
+ * displacement along the commanded direction from the position held at the command:
+ * - time to first motion: when that displacement first exceeds MOTION_THRESHOLD
+ * - reaction latency: lag of the commanded step that best cross-correlates with the displacement,
+ *   i.e. when the response is effectively under way
+ */
+class LatencyAnalyzer {
+
+    /**
+     * Per-command latencies and their distributions for one flight (raw log shape)
+     */
+    static analyzeLatency(flightData) {
+        const positions = flightData.position_data || [];
+        const sampleRate = SpectralAnalyzer.estimateSampleRate(positions);
+        const changes = this.detectTargetChanges(positions);
+
+        const commands = changes.map((change, i) => (
+            this.analyzeCommand(positions, change, changes[i + 1], sampleRate)
+        ));
+        const valuesOf = key => commands.map(command => command[key]).filter(value => value !== null);
+
+        return {
+            sampleRate,
+            rfLatencyMs: flightData.rf_conditions?.latency_ms ?? null,
+            initialCommand: this.analyzeInitialCommand(flightData),
+            commandCount: commands.length,
+            respondedCommands: valuesOf('timeToFirstMotion').length,
+            timeToFirstMotion: StatisticsCalculator.calculateStats(valuesOf('timeToFirstMotion')),
+            reactionLatency: StatisticsCalculator.calculateStats(valuesOf('reactionLatency')),
+            commands
+        };
+    }
+
+    // Delay between first_command_time and the first logged sample, null when not logged
+    static analyzeInitialCommand(flightData) {
+        const positions = flightData.position_data || [];
+        if (typeof flightData.first_command_time !== 'number' || positions.length === 0) return null;
+
+        return {
+            commandTime: flightData.first_command_time,
+            firstSampleTime: positions[0].time,
+            firstSampleDelay: positions[0].time - flightData.first_command_time
+        };
+    }
+
+    /**
+     * Samples where the target differs from the previous sample's target
+     */
+    static detectTargetChanges(positions) {
+        const changes = [];
+
+        for (let i = 1; i < positions.length; i++) {
+            const previous = positions[i - 1].target;
+            const current = positions[i].target;
+            if (!previous || !current || typeof previous.x !== 'number' || typeof current.x !== 'number') continue;
+
+            const from = [previous.x, previous.y, previous.z];
+            const to = [current.x, current.y, current.z];
+            if (from.every((value, axis) => Math.abs(value - to[axis]) < 1e-6)) continue;
+
+            changes.push({ index: i, time: positions[i].time, sequenceIndex: positions[i].sequence_index, from, to });
+        }
+
+        return changes;
+    }
+
+    /**
+     * Time to first motion and cross-correlation latency of a single command
+     */
+    static analyzeCommand(positions, change, next, sampleRate) {
+        const direction = change.to.map((value, axis) => value - change.from[axis]);
+        const stepDistance = Math.sqrt(direction.reduce((sum, d) => sum + d * d, 0));
+        const result = {
+            index: change.index,
+            commandTime: change.time,
+            sequenceIndex: change.sequenceIndex,
+            from: change.from,
+            to: change.to,
+            stepDistance,
+            timeToFirstMotion: null,
+            reactionLatency: null,
+            correlation: null
+        };
+        if (stepDistance < MIN_STEP_DISTANCE) return result;
+
+        const endTime = Math.min(next ? next.time : Infinity, change.time + RESPONSE_WINDOW);
+        const origin = positions[change.index];
+        const unit = direction.map(d => d / stepDistance);
+        const samples = [];
+        for (let i = change.index; i < positions.length && positions[i].time < endTime; i++) {
+            const pos = positions[i];
+            samples.push({
+                time: pos.time,
+                values: [(pos.x - origin.x) * unit[0] + (pos.y - origin.y) * unit[1] + (pos.z - origin.z) * unit[2]]
+            });
+        }
+
+        result.timeToFirstMotion = this.findFirstMotion(samples);
+        Object.assign(result, this.correlateStep(samples, sampleRate));
+        return result;
+    }
+
+    // Time (s) from the command until the displacement crosses MOTION_THRESHOLD, interpolated between samples
+    static findFirstMotion(samples) {
+        for (let i = 1; i < samples.length; i++) {
+            const [a, b] = [samples[i - 1], samples[i]];
+            if (b.values[0] < MOTION_THRESHOLD) continue;
+
+            const t = (MOTION_THRESHOLD - a.values[0]) / (b.values[0] - a.values[0]);
+            return a.time + Math.max(0, Math.min(1, t)) * (b.time - a.time) - samples[0].time;
+        }
+        return null;
+    }
+
+    /**
+     * Lag (s) of a unit step that best correlates with the uniformly resampled displacement
+     */
+    static correlateStep(samples, sampleRate) {
+        if (sampleRate <= 0 || samples.length < 2) return { reactionLatency: null, correlation: null };
+
+        const displacement = SpectralAnalyzer.resample(samples, sampleRate).map(values => values[0]);
+        const maxLag = Math.min(Math.floor(MAX_LATENCY * sampleRate), displacement.length - 2);
+
+        let best = { lag: null, correlation: 0 };
+        for (let lag = 1; lag <= maxLag; lag++) {
+            const step = displacement.map((value, i) => (i < lag ? 0 : 1));
+            const correlation = StatisticsCalculator.correlation(step, displacement);
+            if (correlation > best.correlation) best = { lag, correlation };
+        }
+
+        return best.lag === null ? { reactionLatency: null, correlation: null } : {
+            reactionLatency: best.lag / sampleRate,
+            correlation: best.correlation
+        };
+    }
+}
+
+module.exports = LatencyAnalyzer;
@@ -0,0 +1,217 @@
+const crypto = require('crypto');
+const StatisticsCalculator = require('./StatisticsCalculator');
+const TrajectoryAligner = require('./TrajectoryAligner');
+
+// Runs needed before a drift of performance over time is reported
+const MIN_DRIFT_RUNS = 3;
+// Change of the fitted average error over the template's runs, as a share of the mean, that counts as drift
+const DRIFT_THRESHOLD = 0.05;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+// Flight log timestamps, e.g. 20250514_104755
+const LOG_TIMESTAMP = /^(\d{4})(\d{2})(\d{2})_(\d{2})(\d{2})(\d{2})$/;
+
+/**
+ * Mission templates: flights of the same waypoint sequence grouped together
+ *
+ * Flights are taken in flight order and join the first template whose sequence matches theirs
+ * within TrajectoryAligner.SEQUENCE_TOLERANCE, otherwise they start a new one. A template is
+ * identified by a hash of its earliest flight's sequence rounded to the tolerance, so re-flown
+ * plans keep their id when an older log with slightly different coordinates is uploaded, unless
+ * a coordinate rounds the other way across a tolerance step. Repeatability compares the runs of a template: run-to-run spread of each waypoint's
+ * hover error, best and worst run, and the drift of the average error over time.
+ */
+class MissionTemplateAnalyzer {
+
+    /**
+     * Group flights (FlightData documents) into mission templates, runs in flight order
+     */
+    static groupFlights(flights, tolerance = TrajectoryAligner.SEQUENCE_TOLERANCE) {
+        const templates = [];
+
+        flights
+            .filter(flight => Array.isArray(flight.sequence) && flight.sequence.length > 0)
+            .sort((a, b) => this.flightTime(a) - this.flightTime(b))
+            .forEach(flight => {
+                const template = templates.find(candidate => (
+                    TrajectoryAligner.sameSequence(candidate.sequence, flight.sequence, tolerance)
+                ));
+                if (template) {
+                    template.flights.push(flight);
+                    return;
+                }
+
+                const sequence = flight.sequence.map(waypoint => Array.from(waypoint));
+                templates.push({ templateId: this.templateId(sequence, tolerance), sequence, flights: [flight] });
+            });
+
+        return templates;
+    }
+
+    // Id of a template from its sequence, coordinates rounded to the matching tolerance
+    static templateId(sequence, tolerance = TrajectoryAligner.SEQUENCE_TOLERANCE) {
+        const canonical = sequence.map(waypoint => waypoint.map(value => (
+            Number((Math.round(value / tolerance) * tolerance).toFixed(6)) || 0
+        )));
+        return crypto.createHash('sha1').update(JSON.stringify(canonical)).digest('hex').slice(0, 12);
+    }
+
+    /**
+     * Overview of a template from stored flight summaries (no position data needed)
+     */
+    static summarizeTemplate(template) {
+        const runs = template.flights.map(flight => this.describeRun(flight));
+        const ranked = this.rankRuns(runs);
+        const errors = ranked.map(run => run.averageError);
+
+        return {
+            templateId: template.templateId,
+            sequence: template.sequence,
+            waypointCount: template.sequence.length,
+            runCount: runs.length,
+            firstFlightTime: runs[0].flightTime,
+            lastFlightTime: runs[runs.length - 1].flightTime,
+            meanError: errors.length > 0 ? StatisticsCalculator.mean(errors) : null,
+            errorStdDev: errors.length > 0 ? StatisticsCalculator.standardDeviation(errors) : null,
+            bestRun: ranked.length > 0 ? this.describeRank(ranked[0]) : null,
+            worstRun: ranked.length > 0 ? this.describeRank(ranked[ranked.length - 1]) : null
+        };
+    }
+
+    /**
+     * Repeatability of a template's runs, the flights must include their position data
+     */
+    static analyzeRepeatability(template) {
+        const runs = template.flights.map(flight => ({
+            ...this.describeRun(flight),
+            waypointErrors: this.calculateWaypointErrors(flight, template.sequence.length)
+        }));
+
+        return {
+            ...this.summarizeTemplate(template),
+            runs,
+            waypoints: template.sequence.map((target, waypointIndex) => (
+                this.analyzeWaypoint(runs, waypointIndex, target)
+            )),
+            drift: this.calculateDrift(runs)
+        };
+    }
+
+    // Stored figures of one run of the template
+    static describeRun(flight) {
+        const overall = flight.analysis?.positionAccuracy?.overall;
+        const rf = flight.analysis?.rfConditions;
+
+        return {
+            flightId: flight._id,
+            flightName: flight.flightName,
+            timestamp: flight.timestamp,
+            flightTime: this.flightTime(flight).toISOString(),
+            averageError: typeof overall?.average === 'number' ? overall.average : null,
+            maxError: typeof overall?.max === 'number' ? overall.max : null,
+            qualityScore: flight.qualityAssessment?.overallScore ?? null,
+            grade: flight.qualityAssessment?.grade || null,
+            rfConditions: rf && Object.values(rf).some(value => value !== null && value !== undefined) ? {
+                bandwidthKbps: rf.bandwidthKbps ?? null,
+                latencyMs: rf.latencyMs ?? null,
+                packetLossRate: rf.packetLossRate ?? null
+            } : null
+        };
+    }
+
+    // Runs with an average error, best (lowest) first
+    static rankRuns(runs) {
+        return runs.filter(run => run.averageError !== null).sort((a, b) => a.averageError - b.averageError);
+    }
+
+    static describeRank(run) {
+        return { flightId: run.flightId, flightName: run.flightName, averageError: run.averageError };
+    }
+
+    /**
+     * Mean hover error at each waypoint of the sequence, null for waypoints the run never held
+     */
+    static calculateWaypointErrors(flight, waypointCount) {
+        const errors = Array.from({ length: waypointCount }, () => []);
+
+        (flight.positionData || []).forEach(pos => {
+            const index = pos.sequence_index;
+            if (pos.phase === 'waypoint' && index >= 0 && index < waypointCount && typeof pos.error === 'number') {
+                errors[index].push(pos.error);
+            }
+        });
+
+        return errors.map(values => (values.length > 0 ? StatisticsCalculator.mean(values) : null));
+    }
+
+    /**
+     * Run-to-run spread of one waypoint's hover error
+     */
+    static analyzeWaypoint(runs, waypointIndex, target) {
+        const held = runs
+            .filter(run => run.waypointErrors[waypointIndex] !== null)
+            .map(run => ({ run, error: run.waypointErrors[waypointIndex] }))
+            .sort((a, b) => a.error - b.error);
+        const errors = held.map(entry => entry.error);
+        const meanError = errors.length > 0 ? StatisticsCalculator.mean(errors) : null;
+        const stdDev = errors.length > 0 ? StatisticsCalculator.standardDeviation(errors) : null;
+        const describe = entry => ({ flightId: entry.run.flightId, flightName: entry.run.flightName, error: entry.error });
+
+        return {
+            waypointIndex,
+            target,
+            runs: errors.length,
+            meanError,
+            variance: stdDev !== null ? stdDev * stdDev : null,
+            stdDev,
+            coefficientOfVariation: meanError > 0 ? stdDev / meanError : null,
+            bestRun: held.length > 0 ? describe(held[0]) : null,
+            worstRun: held.length > 0 ? describe(held[held.length - 1]) : null
+        };
+    }
+
+    /**
+     * Trend of the average error over the runs' flight times
+     */
+    static calculateDrift(runs) {
+        const timed = runs.filter(run => run.averageError !== null);
+        if (timed.length < MIN_DRIFT_RUNS) {
+            return { metric: 'averageError', runs: timed.length, direction: 'insufficient_data' };
+        }
+
+        const start = Date.parse(timed[0].flightTime);
+        const days = timed.map(run => (Date.parse(run.flightTime) - start) / MS_PER_DAY);
+        const errors = timed.map(run => run.averageError);
+        const { slope, intercept, r2 } = StatisticsCalculator.linearRegression(days, errors);
+        const meanError = StatisticsCalculator.mean(errors);
+        const change = slope * (days[days.length - 1] - days[0]);
+        const relativeChange = meanError > 0 ? change / meanError : 0;
+
+        let direction = 'stable';
+        if (Math.abs(relativeChange) >= DRIFT_THRESHOLD) {
+            direction = change > 0 ? 'degrading' : 'improving';
+        }
+
+        return {
+            metric: 'averageError',
+            runs: timed.length,
+            slopePerDay: slope,
+            intercept,
+            r2,
+            change,
+            relativeChange,
+            direction
+        };
+    }
+
+    // When the flight was flown, from the log timestamp, falling back to the upload time
+    static flightTime(flight) {
+        const match = LOG_TIMESTAMP.exec(flight.timestamp || '');
+        if (match) {
+            const [, year, month, day, hour, minute, second] = match.map(Number);
+            return new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+        }
+        return new Date(flight.createdAt || flight.uploadDate || 0);
+    }
+}
+
+module.exports = MissionTemplateAnalyzer;
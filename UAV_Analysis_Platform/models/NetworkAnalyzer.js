@@ -0,0 +1,417 @@
+const StatisticsCalculator = require('./StatisticsCalculator');
+
+// Quality (0-100) below which the link is considered degraded
+const DEGRADED_THRESHOLD = 70;
+// Sample interval, as a multiple of the nominal interval, treated as a telemetry gap
+const GAP_RATIO_THRESHOLD = 1.5;
+// Time constant (s) for the link to recover after a gap
+const RECOVERY_TAU = 0.5;
+// Window (s) after a gap searched for an error spike, also the settling time after a target change
+// during which error spikes are expected and not blamed on the link
+const GAP_ERROR_WINDOW = 0.5;
+// Error above mean + ERROR_SPIKE_SIGMA standard deviations counts as a spike
+const ERROR_SPIKE_SIGMA = 2;
+// Longest gaps listed in the sampling report
+const LONGEST_GAPS = 5;
+
+class NetworkAnalyzer {
+
+    /**
+     * Full RF/network analysis - fills the FlightData.networkAnalysis schema
+     */
+    static analyzeNetwork(flightData) {
+        const positions = flightData.position_data || [];
+        const qualities = positions.map(pos => (
+            typeof pos.networkQuality === 'number' ? pos.networkQuality : null
+        ));
+
+        // Derive the signal when the points do not carry one
+        const signal = qualities.every(q => q !== null) ? qualities : this.calculateQualitySignal(flightData);
+
+        const degradationEvents = this.detectDegradationEvents(positions, signal);
+        const recoveryMetrics = this.calculateRecoveryMetrics(positions, signal, degradationEvents);
+        const impactAssessment = this.assessImpact(positions, signal);
+        const samplingAnalysis = this.analyzeSampling(positions);
+
+        return {
+            qualityStats: this.calculateStats(signal),
+            degradationEvents,
+            recoveryMetrics,
+            impactAssessment,
+            samplingAnalysis,
+            recommendations: this.generateRecommendations(flightData, degradationEvents, impactAssessment, samplingAnalysis)
+        };
+    }
+
+    // Whether the commanded target changes between two consecutive samples (a leg switch)
+    static isTargetChange(prev, pos) {
+        if (prev.sequence_index !== undefined || pos.sequence_index !== undefined) {
+            return prev.sequence_index !== pos.sequence_index;
+        }
+        if (!prev.target || !pos.target) return false;
+        return ['x', 'y', 'z'].some(axis => prev.target[axis] !== pos.target[axis]);
+    }
+
+    /**
+     * Inter-sample interval distribution, telemetry gaps and the error spikes that follow them
+     */
+    static analyzeSampling(positions) {
+        const intervals = [];
+        for (let i = 1; i < positions.length; i++) {
+            intervals.push(positions[i].time - positions[i - 1].time);
+        }
+        const positive = intervals.filter(interval => interval > 0);
+        const intervalStats = this.calculateStats(positive);
+        const nominalInterval = intervalStats.median;
+        const duration = positions.length > 1 ? positions[positions.length - 1].time - positions[0].time : 0;
+
+        // Error spikes relative to the whole flight, leaving out the step error right after a target change
+        const errors = positions.map(pos => pos.error || 0);
+        const errorStats = this.calculateStats(errors);
+        const spikeThreshold = errorStats.average + ERROR_SPIKE_SIGMA * errorStats.stdDev;
+        const settling = this.findSettlingSamples(positions);
+        const isSpike = errors.map((error, i) => errorStats.stdDev > 0 && error > spikeThreshold && !settling[i]);
+
+        const gaps = [];
+        const afterGap = new Array(positions.length).fill(false);
+        intervals.forEach((interval, i) => {
+            if (nominalInterval <= 0 || interval / nominalInterval <= GAP_RATIO_THRESHOLD) return;
+
+            const index = i + 1;
+            const pos = positions[index];
+            let maxErrorAfter = 0;
+            let spike = false;
+            for (let j = index; j < positions.length && positions[j].time - pos.time <= GAP_ERROR_WINDOW; j++) {
+                afterGap[j] = true;
+                maxErrorAfter = Math.max(maxErrorAfter, errors[j]);
+                spike = spike || isSpike[j];
+            }
+
+            gaps.push({
+                index,
+                startTime: positions[i].time,
+                duration: interval,
+                missedSamples: Math.max(0, Math.round(interval / nominalInterval) - 1),
+                flightProgress: duration > 0 ? (positions[i].time - positions[0].time) / duration : 0,
+                phase: pos.phase,
+                sequenceIndex: pos.sequence_index,
+                legSwitch: this.isTargetChange(positions[i], pos),
+                position: [pos.x, pos.y, pos.z],
+                errorBefore: errors[i],
+                maxErrorAfter,
+                followedBySpike: spike
+            });
+        });
+
+        const spikeCount = isSpike.filter(Boolean).length;
+        const spikesAfterGaps = isSpike.filter((spike, i) => spike && afterGap[i]).length;
+        const windowShare = positions.length > 0 ? afterGap.filter(Boolean).length / positions.length : 0;
+        const totalGapTime = gaps.reduce((sum, gap) => sum + gap.duration, 0);
+
+        return {
+            sampleCount: positions.length,
+            duration,
+            nominalRate: nominalInterval > 0 ? 1 / nominalInterval : 0,
+            meanRate: duration > 0 ? (positions.length - 1) / duration : 0,
+            intervalStats,
+            // Spread of the regular intervals (s), gaps excluded
+            jitter: this.calculateStats(positive.filter(interval => interval / nominalInterval <= GAP_RATIO_THRESHOLD)).stdDev,
+            intervalHistogram: this.buildIntervalHistogram(positive, nominalInterval),
+            gapCount: gaps.length,
+            totalGapTime,
+            gapTimeShare: duration > 0 ? totalGapTime / duration : 0,
+            missedSamples: gaps.reduce((sum, gap) => sum + gap.missedSamples, 0),
+            longestGaps: gaps.slice().sort((a, b) => b.duration - a.duration).slice(0, LONGEST_GAPS),
+            gaps,
+            gapErrorCorrelation: {
+                // Correlation between the interval preceding a sample and its error
+                coefficient: StatisticsCalculator.correlation(intervals, errors.slice(1)),
+                spikeThreshold,
+                errorSpikes: spikeCount,
+                spikesAfterGaps,
+                gapsFollowedBySpike: gaps.filter(gap => gap.followedBySpike).length,
+                // How much more often spikes land just after a gap than chance would place them there
+                spikeLift: spikeCount > 0 && windowShare > 0 ? (spikesAfterGaps / spikeCount) / windowShare : 0
+            }
+        };
+    }
+
+    // Samples within GAP_ERROR_WINDOW after a target change
+    static findSettlingSamples(positions) {
+        const settling = new Array(positions.length).fill(false);
+        let changeTime = null;
+        positions.forEach((pos, i) => {
+            if (i > 0 && this.isTargetChange(positions[i - 1], pos)) changeTime = pos.time;
+            settling[i] = changeTime !== null && pos.time - changeTime <= GAP_ERROR_WINDOW;
+        });
+        return settling;
+    }
+
+    // Interval counts in multiples of the nominal interval, the last bin is open-ended (maxRatio null)
+    static buildIntervalHistogram(intervals, nominalInterval) {
+        const bins = [
+            { label: 'nominal', maxRatio: GAP_RATIO_THRESHOLD },
+            { label: 'short_gap', maxRatio: 3 },
+            { label: 'gap', maxRatio: 10 },
+            { label: 'long_gap', maxRatio: null }
+        ].map(bin => ({ ...bin, count: 0 }));
+
+        intervals.forEach(interval => {
+            const ratio = nominalInterval > 0 ? interval / nominalInterval : 1;
+            bins.find(bin => bin.maxRatio === null || ratio <= bin.maxRatio).count++;
+        });
+
+        return bins;
+    }
+
+    /**
+     * Per-point network quality (0-100) from rf_conditions, command drops and sample gaps
+     *
+     * The logger pauses at each leg switch, so a gap spanning a target change only counts against
+     * the link when the flight dropped commands.
+     */
+    static calculateQualitySignal(flightData) {
+        const positions = flightData.position_data || [];
+        if (positions.length === 0) return [];
+
+        const baseQuality = 100 - this.calculateLinkPenalty(flightData.rf_conditions, flightData.command_stats);
+        const nominalInterval = this.calculateNominalInterval(positions);
+        const commandStats = flightData.command_stats || {};
+        const droppedCommands = typeof commandStats.dropped === 'number' && commandStats.dropped > 0;
+
+        const signal = [];
+        let gapPenalty = 0;
+
+        positions.forEach((pos, i) => {
+            if (i > 0 && nominalInterval > 0) {
+                const interval = pos.time - positions[i - 1].time;
+
+                // Let the previous gap penalty decay, then apply any new gap
+                gapPenalty *= Math.exp(-Math.max(0, interval) / RECOVERY_TAU);
+
+                const gapRatio = interval / nominalInterval;
+                const explained = !droppedCommands && this.isTargetChange(positions[i - 1], pos);
+                if (gapRatio > GAP_RATIO_THRESHOLD && !explained) {
+                    gapPenalty = Math.max(gapPenalty, Math.min(60, (gapRatio - 1) * 10));
+                }
+            }
+
+            signal.push(Math.max(0, Math.min(100, baseQuality - gapPenalty)));
+        });
+
+        return signal;
+    }
+
+    /**
+     * Flight-wide penalty from logged RF conditions and command drop rate
+     */
+    static calculateLinkPenalty(rfConditions, commandStats) {
+        const rf = rfConditions || {};
+        let penalty = 0;
+
+        if (typeof rf.latency_ms === 'number' && rf.latency_ms > 20) {
+            penalty += Math.min(40, (rf.latency_ms - 20) / 5);
+        }
+        if (typeof rf.packet_loss_rate === 'number') {
+            penalty += Math.min(50, rf.packet_loss_rate * 200);
+        }
+        if (typeof rf.bandwidth_kbps === 'number' && rf.bandwidth_kbps < 250) {
+            penalty += ((250 - rf.bandwidth_kbps) / 250) * 20;
+        }
+        if (commandStats && commandStats.total_attempts > 0 && typeof commandStats.dropped === 'number') {
+            penalty += Math.min(30, (commandStats.dropped / commandStats.total_attempts) * 200);
+        }
+
+        return Math.min(100, penalty);
+    }
+
+    /**
+     * Median sample interval - robust against the gaps we are trying to find
+     */
+    static calculateNominalInterval(positions) {
+        const intervals = [];
+        for (let i = 1; i < positions.length; i++) {
+            const interval = positions[i].time - positions[i - 1].time;
+            if (interval > 0) intervals.push(interval);
+        }
+        return this.calculateStats(intervals).median;
+    }
+
+    /**
+     * Contiguous runs of degraded quality
+     */
+    static detectDegradationEvents(positions, signal) {
+        const events = [];
+        let start = -1;
+
+        for (let i = 0; i <= signal.length; i++) {
+            const degraded = i < signal.length && signal[i] < DEGRADED_THRESHOLD;
+
+            if (degraded && start === -1) {
+                start = i;
+            } else if (!degraded && start !== -1) {
+                const end = i - 1;
+                const minQuality = Math.min(...signal.slice(start, i));
+
+                events.push({
+                    startIndex: start,
+                    endIndex: end,
+                    startTime: positions[start].time,
+                    endTime: positions[end].time,
+                    duration: positions[end].time - positions[start].time,
+                    minQuality,
+                    startPosition: [positions[start].x, positions[start].y, positions[start].z],
+                    endPosition: [positions[end].x, positions[end].y, positions[end].z],
+                    severity: minQuality < 30 ? 'critical' : minQuality < 50 ? 'high' : 'moderate'
+                });
+                start = -1;
+            }
+        }
+
+        return events;
+    }
+
+    /**
+     * Recovery point after each degradation event and the time taken from the quality minimum
+     */
+    static calculateRecoveryMetrics(positions, signal, degradationEvents) {
+        const recoveryEvents = [];
+        const recoveryTimes = [];
+
+        degradationEvents.forEach(event => {
+            const index = event.endIndex + 1;
+            if (index >= signal.length) return; // Flight ended while degraded
+
+            let minIndex = event.startIndex;
+            for (let i = event.startIndex; i <= event.endIndex; i++) {
+                if (signal[i] < signal[minIndex]) minIndex = i;
+            }
+
+            recoveryEvents.push({
+                index,
+                time: positions[index].time,
+                fromQuality: signal[event.endIndex],
+                toQuality: signal[index],
+                improvement: signal[index] - signal[event.endIndex],
+                position: [positions[index].x, positions[index].y, positions[index].z]
+            });
+            recoveryTimes.push(positions[index].time - positions[minIndex].time);
+        });
+
+        return {
+            totalRecoveries: recoveryEvents.length,
+            averageRecoveryTime: recoveryTimes.length > 0 ?
+                recoveryTimes.reduce((sum, t) => sum + t, 0) / recoveryTimes.length : 0,
+            recoveryEvents
+        };
+    }
+
+    /**
+     * Compare tracking error while the link is healthy vs degraded
+     */
+    static assessImpact(positions, signal) {
+        const high = [];
+        const low = [];
+
+        positions.forEach((pos, i) => {
+            const error = pos.error || 0;
+            if (signal[i] >= DEGRADED_THRESHOLD) {
+                high.push(error);
+            } else {
+                low.push(error);
+            }
+        });
+
+        const summarize = errors => ({
+            count: errors.length,
+            averageError: this.calculateStats(errors).average,
+            percentage: positions.length > 0 ? (errors.length / positions.length) * 100 : 0
+        });
+
+        const highQualityPerformance = summarize(high);
+        const lowQualityPerformance = summarize(low);
+
+        // Percentage increase of the average error while degraded
+        const performanceImpact = high.length > 0 && low.length > 0 && highQualityPerformance.averageError > 0 ?
+            ((lowQualityPerformance.averageError - highQualityPerformance.averageError) /
+                highQualityPerformance.averageError) * 100 : 0;
+
+        return { highQualityPerformance, lowQualityPerformance, performanceImpact };
+    }
+
+    /**
+     * Network recommendations in the FlightData.networkAnalysis.recommendations shape
+     */
+    static generateRecommendations(flightData, degradationEvents, impactAssessment, samplingAnalysis) {
+        const recommendations = [];
+        const rf = flightData.rf_conditions || {};
+        const commandStats = flightData.command_stats || {};
+
+        const critical = degradationEvents.filter(e => e.severity === 'critical');
+        if (critical.length > 0) {
+            recommendations.push({
+                type: 'link_loss',
+                severity: 'high',
+                message: `${critical.length} critical link degradation event(s) detected`,
+                suggestion: 'Check antenna placement and interference sources along the affected segments'
+            });
+        }
+
+        if (impactAssessment.lowQualityPerformance.percentage > 10) {
+            recommendations.push({
+                type: 'degraded_coverage',
+                severity: 'medium',
+                message: `${impactAssessment.lowQualityPerformance.percentage.toFixed(1)}% of samples were recorded on a degraded link`,
+                suggestion: 'Reduce range or raise the radio data rate for this test setup'
+            });
+        }
+
+        if (impactAssessment.performanceImpact > 20) {
+            recommendations.push({
+                type: 'error_impact',
+                severity: 'medium',
+                message: `Tracking error rises ${impactAssessment.performanceImpact.toFixed(1)}% while the link is degraded`,
+                suggestion: 'Consider holding position or slowing down when link quality drops'
+            });
+        }
+
+        if (commandStats.total_attempts > 0 && commandStats.dropped / commandStats.total_attempts > 0.01) {
+            recommendations.push({
+                type: 'command_drops',
+                severity: 'medium',
+                message: `${((commandStats.dropped / commandStats.total_attempts) * 100).toFixed(2)}% of command attempts were dropped`,
+                suggestion: 'Lower the command rate or enable retransmission on the control link'
+            });
+        }
+
+        if (samplingAnalysis && samplingAnalysis.gapErrorCorrelation.gapsFollowedBySpike > 0) {
+            const { gapsFollowedBySpike } = samplingAnalysis.gapErrorCorrelation;
+            recommendations.push({
+                type: 'sampling_gaps',
+                severity: gapsFollowedBySpike > 1 ? 'medium' : 'low',
+                message: `${gapsFollowedBySpike} of ${samplingAnalysis.gapCount} telemetry gap(s) were followed by a tracking error spike`,
+                suggestion: 'Check packet loss on the telemetry link and buffer position updates across short dropouts'
+            });
+        }
+
+        const rfRecorded = ['bandwidth_kbps', 'latency_ms', 'packet_loss_rate']
+            .some(field => typeof rf[field] === 'number');
+        if (!rfRecorded) {
+            recommendations.push({
+                type: 'missing_rf_data',
+                severity: 'low',
+                message: 'RF conditions were not recorded - quality is estimated from sample gaps and command drops only',
+                suggestion: 'Log bandwidth, latency and packet loss in rf_conditions for a full RF analysis'
+            });
+        }
+
+        return recommendations;
+    }
+
+    // Helper calculation methods
+    static calculateStats(values) {
+        return StatisticsCalculator.calculateStats(values);
+    }
+}
+
+module.exports = NetworkAnalyzer;
@@ -0,0 +1,167 @@
+const BatteryModel = require('./BatteryModel');
+
+// Speed (m/s) above which the UAV is considered to be actively moving
+const ACTIVE_SPEED_THRESHOLD = 0.05;
+// Window (s) used to measure displacement speed, long enough to average out position jitter
+const SPEED_WINDOW = 0.5;
+
+class PerformanceAnalyzer {
+
+    /**
+     * Calculate performance metrics from the position stream, command_stats and battery data
+     */
+    static calculatePerformanceMetrics(flightData) {
+        const positions = flightData.position_data || [];
+
+        const timeEfficiency = this.calculateTimeEfficiency(positions);
+        const distance = this.calculateDistance(positions);
+        const energyEfficiency = BatteryModel.estimate(flightData.battery, positions, timeEfficiency.totalFlightTime, distance);
+        const communicationEfficiency = this.calculateCommunicationEfficiency(flightData.command_stats);
+
+        return {
+            timeEfficiency,
+            energyEfficiency,
+            communicationEfficiency,
+            overallPerformanceScore: this.calculateOverallScore(timeEfficiency, energyEfficiency, communicationEfficiency),
+            recommendations: this.generateRecommendations(flightData.battery, energyEfficiency)
+        };
+    }
+
+    /**
+     * Split flight time into active (moving) and idle (hovering) time
+     */
+    static calculateTimeEfficiency(positions) {
+        if (positions.length < 2) {
+            return { totalFlightTime: 0, activeFlightTime: 0, idleTime: 0, efficiencyRatio: 0 };
+        }
+
+        const totalFlightTime = positions[positions.length - 1].time - positions[0].time;
+        let activeFlightTime = 0;
+        let windowEnd = 0;
+
+        for (let i = 0; i < positions.length - 1; i++) {
+            // Advance to the first sample at least SPEED_WINDOW seconds ahead (or the last sample)
+            windowEnd = Math.max(windowEnd, i + 1);
+            while (windowEnd < positions.length - 1 && positions[windowEnd].time - positions[i].time < SPEED_WINDOW) {
+                windowEnd++;
+            }
+
+            const start = positions[i];
+            const end = positions[windowEnd];
+            const elapsed = end.time - start.time;
+            const speed = elapsed > 0 ? this.distanceBetween(start, end) / elapsed : 0;
+
+            if (speed >= ACTIVE_SPEED_THRESHOLD) {
+                activeFlightTime += positions[i + 1].time - start.time;
+            }
+        }
+
+        return {
+            totalFlightTime,
+            activeFlightTime,
+            idleTime: totalFlightTime - activeFlightTime,
+            efficiencyRatio: totalFlightTime > 0 ? activeFlightTime / totalFlightTime : 0
+        };
+    }
+
+    /**
+     * Derive command link efficiency from command_stats
+     */
+    static calculateCommunicationEfficiency(commandStats) {
+        const sent = commandStats && commandStats.sent;
+        const dropped = commandStats && commandStats.dropped;
+        const totalAttempts = commandStats && commandStats.total_attempts;
+
+        if (typeof sent !== 'number' || typeof dropped !== 'number' || !totalAttempts) {
+            return {
+                successRate: null,
+                dropRate: null,
+                reliability: null,
+                commandsSent: typeof sent === 'number' ? sent : null,
+                commandsDropped: typeof dropped === 'number' ? dropped : null,
+                totalAttempts: typeof totalAttempts === 'number' ? totalAttempts : null
+            };
+        }
+
+        return {
+            // Share of sent commands that were not dropped
+            successRate: sent > 0 ? Math.max(0, (sent - dropped) / sent) * 100 : 0,
+            dropRate: (dropped / totalAttempts) * 100,
+            // Share of all attempts (including retries) that reached the UAV
+            reliability: ((totalAttempts - dropped) / totalAttempts) * 100,
+            commandsSent: sent,
+            commandsDropped: dropped,
+            totalAttempts
+        };
+    }
+
+    /**
+     * Weighted 0-100 score over the components that could be computed
+     */
+    static calculateOverallScore(timeEfficiency, energyEfficiency, communicationEfficiency) {
+        const components = [
+            { weight: 0.3, score: timeEfficiency.totalFlightTime > 0 ? timeEfficiency.efficiencyRatio * 100 : null },
+            { weight: 0.3, score: energyEfficiency.estimated ? 100 - energyEfficiency.batteryUtilization : null },
+            { weight: 0.4, score: communicationEfficiency.reliability }
+        ].filter(component => component.score !== null);
+
+        if (components.length === 0) return 0;
+
+        const totalWeight = components.reduce((sum, c) => sum + c.weight, 0);
+        const score = components.reduce((sum, c) => sum + c.weight * c.score, 0) / totalWeight;
+        return Math.round(score * 10) / 10;
+    }
+
+    /**
+     * Battery recommendations in the FlightData.performanceMetrics.recommendations shape
+     */
+    static generateRecommendations(battery, energyEfficiency) {
+        const recommendations = [];
+        if (!energyEfficiency.estimated) return recommendations;
+
+        const startVoltage = battery.start_voltage;
+        const minimumRequired = battery.minimum_required;
+        const margin = `${startVoltage.toFixed(2)}V start, ${minimumRequired.toFixed(2)}V minimum`;
+
+        if (energyEfficiency.batteryUtilization >= 100) {
+            recommendations.push({
+                category: 'battery',
+                severity: 'high',
+                message: `Estimated consumption reaches the minimum voltage before the end of the flight (${margin}) - ` +
+                    'charge or swap the pack before flying this mission',
+                metric: 'performanceMetrics.energyEfficiency.batteryUtilization'
+            });
+        } else if (energyEfficiency.lowStartVoltage) {
+            recommendations.push({
+                category: 'battery',
+                severity: 'medium',
+                message: `Flight started close to the minimum voltage (${margin}): ` +
+                    `${energyEfficiency.usableCharge.toFixed(0)}% of the pack usable, ` +
+                    `about ${Math.round(energyEfficiency.remainingEndurance)}s of flight left at this load - ` +
+                    'low voltage sag can degrade thrust and tracking',
+                metric: 'performanceMetrics.energyEfficiency.usableCharge'
+            });
+        }
+
+        return recommendations;
+    }
+
+    // Helper calculation methods
+    static calculateDistance(positions) {
+        let distance = 0;
+        for (let i = 1; i < positions.length; i++) {
+            distance += this.distanceBetween(positions[i - 1], positions[i]);
+        }
+        return distance;
+    }
+
+    static distanceBetween(a, b) {
+        return Math.sqrt(
+            Math.pow(b.x - a.x, 2) +
+            Math.pow(b.y - a.y, 2) +
+            Math.pow(b.z - a.z, 2)
+        );
+    }
+}
+
+module.exports = PerformanceAnalyzer;
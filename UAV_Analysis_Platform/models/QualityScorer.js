@@ -0,0 +1,170 @@
+const COMPONENTS = ['accuracy', 'stability', 'efficiency', 'adaptability'];
+const GRADES = ['A', 'B', 'C', 'D'];
+const DEFAULT_PROFILE = 'default';
+// Component score (0-100) below which an improvement is suggested
+const IMPROVEMENT_THRESHOLD = 70;
+
+// Built-in profiles, users and organizations can override them by name. 'default' reproduces the
+// original accuracy-only rule: 100 points at 0m average error, 0 points at 0.1m
+const BUILT_IN_PROFILES = {
+    default: {
+        name: 'default',
+        label: 'Default',
+        description: 'Average tracking error only',
+        weights: { accuracy: 1, stability: 0, efficiency: 0, adaptability: 0 },
+        accuracy: { targetError: 0, maxError: 0.1 }, // m
+        adaptability: { maxImpact: 100 }, // % error increase under a degraded link scoring 0
+        gradeThresholds: { A: 90, B: 80, C: 70, D: 60 }
+    },
+    'indoor-precision': {
+        name: 'indoor-precision',
+        label: 'Indoor precision',
+        description: 'Tight positioning and hover stability for indoor motion-capture flights',
+        weights: { accuracy: 0.5, stability: 0.3, efficiency: 0.1, adaptability: 0.1 },
+        accuracy: { targetError: 0.01, maxError: 0.1 },
+        adaptability: { maxImpact: 50 },
+        gradeThresholds: { A: 92, B: 85, C: 75, D: 65 }
+    },
+    'outdoor-survey': {
+        name: 'outdoor-survey',
+        label: 'Outdoor survey',
+        description: 'Looser positioning, weighted towards efficiency and tolerance of link degradation',
+        weights: { accuracy: 0.3, stability: 0.2, efficiency: 0.3, adaptability: 0.2 },
+        accuracy: { targetError: 0.05, maxError: 0.5 },
+        adaptability: { maxImpact: 200 },
+        gradeThresholds: { A: 85, B: 75, C: 65, D: 55 }
+    }
+};
+
+const IMPROVEMENTS = {
+    accuracy: 'Reduce average tracking error - check position estimate quality and controller gains',
+    stability: 'Improve stability - error variance or oscillation is high, review damping and hover tuning',
+    efficiency: 'Improve efficiency - reduce idle time, battery use or command drops',
+    adaptability: 'Improve adaptability - tracking error rises sharply while the link is degraded'
+};
+
+/**
+ * Weighted flight quality score under a named scoring profile
+ *
+ * Each component is scored 0-100 from already computed analysis blocks:
+ * - accuracy: average error, linear between the profile's targetError (100) and maxError (0)
+ * - stability: trajectoryAnalysis stability score
+ * - efficiency: performanceMetrics overall score
+ * - adaptability: error increase while the link is degraded, 0% -> 100, maxImpact -> 0
+ * Components that cannot be computed are left out and the remaining weights renormalised.
+ * Works on processed flight data and on stored FlightData documents, so flights can be rescored.
+ */
+class QualityScorer {
+
+    /**
+     * Fill the FlightData.qualityAssessment block for a flight under the given profile
+     */
+    static scoreFlight(flight, profile = BUILT_IN_PROFILES[DEFAULT_PROFILE]) {
+        const scores = this.calculateComponentScores(flight, profile);
+        const weighted = COMPONENTS.filter(component => scores[component] !== null && profile.weights[component] > 0);
+        const totalWeight = weighted.reduce((sum, component) => sum + profile.weights[component], 0);
+        const overallScore = totalWeight > 0 ?
+            weighted.reduce((sum, component) => sum + profile.weights[component] * scores[component], 0) / totalWeight : 0;
+
+        // Grades and improvements use the rounded scores that are shown
+        const breakdown = {};
+        COMPONENTS.forEach(component => {
+            breakdown[component] = scores[component] !== null ? Math.round(scores[component]) : null;
+        });
+
+        return {
+            profile: profile.name,
+            overallScore: Math.round(overallScore),
+            breakdown,
+            grade: this.assignGrade(Math.round(overallScore), profile.gradeThresholds),
+            improvements: weighted
+                .filter(component => breakdown[component] < IMPROVEMENT_THRESHOLD)
+                .sort((a, b) => profile.weights[b] - profile.weights[a])
+                .map(component => IMPROVEMENTS[component])
+        };
+    }
+
+    // 0-100 score per component, null when the flight lacks the data
+    static calculateComponentScores(flight, profile) {
+        const averageError = flight.analysis?.positionAccuracy?.overall?.average;
+        const stability = flight.trajectoryAnalysis?.detailed?.stabilityMetrics?.overallStabilityScore;
+        const efficiency = flight.performanceMetrics?.overallPerformanceScore;
+        const impact = flight.networkAnalysis?.impactAssessment?.performanceImpact;
+        const { targetError, maxError } = profile.accuracy;
+
+        return {
+            accuracy: typeof averageError === 'number' ?
+                this.clampScore(100 * (maxError - averageError) / (maxError - targetError)) : null,
+            stability: typeof stability === 'number' ? this.clampScore(stability) : null,
+            efficiency: typeof efficiency === 'number' ? this.clampScore(efficiency) : null,
+            adaptability: typeof impact === 'number' ?
+                this.clampScore(100 - 100 * Math.max(0, impact) / profile.adaptability.maxImpact) : null
+        };
+    }
+
+    // Letter grade from the profile's lower bounds, F below D
+    static assignGrade(score, thresholds) {
+        return GRADES.find(grade => score >= thresholds[grade]) || 'F';
+    }
+
+    /**
+     * Check a user supplied profile definition, returns an error message or null
+     */
+    static validateProfile(profile) {
+        if (!profile || typeof profile !== 'object') return 'Profile definition must be an object';
+
+        const weights = profile.weights || {};
+        if (!COMPONENTS.every(component => typeof weights[component] === 'number' && weights[component] >= 0)) {
+            return `weights must give a non-negative number for each of: ${COMPONENTS.join(', ')}`;
+        }
+        if (COMPONENTS.every(component => weights[component] === 0)) {
+            return 'At least one weight must be positive';
+        }
+
+        const accuracy = profile.accuracy || {};
+        if (typeof accuracy.targetError !== 'number' || typeof accuracy.maxError !== 'number' ||
+            accuracy.targetError < 0 || accuracy.maxError <= accuracy.targetError) {
+            return 'accuracy.maxError must be greater than accuracy.targetError (both in meters, >= 0)';
+        }
+
+        const maxImpact = profile.adaptability && profile.adaptability.maxImpact;
+        if (typeof maxImpact !== 'number' || maxImpact <= 0) {
+            return 'adaptability.maxImpact must be a positive percentage';
+        }
+
+        const thresholds = profile.gradeThresholds || {};
+        const bounds = GRADES.map(grade => thresholds[grade]);
+        if (!bounds.every(bound => typeof bound === 'number' && bound >= 0 && bound <= 100)) {
+            return `gradeThresholds must give a 0-100 score for each of: ${GRADES.join(', ')}`;
+        }
+        if (bounds.some((bound, i) => i > 0 && bound >= bounds[i - 1])) {
+            return 'gradeThresholds must decrease from A to D';
+        }
+        return null;
+    }
+
+    /**
+     * Complete a partial profile definition from a base profile (built-in default unless given)
+     */
+    static mergeProfile(definition, base = BUILT_IN_PROFILES[DEFAULT_PROFILE]) {
+        return {
+            name: definition.name || base.name,
+            label: definition.label || base.label,
+            description: definition.description !== undefined ? definition.description : base.description,
+            weights: { ...base.weights, ...definition.weights },
+            accuracy: { ...base.accuracy, ...definition.accuracy },
+            adaptability: { ...base.adaptability, ...definition.adaptability },
+            gradeThresholds: { ...base.gradeThresholds, ...definition.gradeThresholds }
+        };
+    }
+
+    static clampScore(score) {
+        return Math.max(0, Math.min(100, score));
+    }
+}
+
+QualityScorer.COMPONENTS = COMPONENTS;
+QualityScorer.DEFAULT_PROFILE = DEFAULT_PROFILE;
+QualityScorer.BUILT_IN_PROFILES = BUILT_IN_PROFILES;
+
+module.exports = QualityScorer;
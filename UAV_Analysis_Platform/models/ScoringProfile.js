@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+const QualityScorer = require('./QualityScorer');
+const User = require('./User');
+
+// Quality scoring profile owned by a single user or shared by an organization (see QualityScorer)
+const scoringProfileSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        lowercase: true,
+        match: /^[a-z0-9][a-z0-9-]*$/
+    },
+    label: String,
+    description: String,
+    scope: {
+        type: String,
+        enum: ['user', 'organization'],
+        required: true
+    },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // owner of user profiles, last editor otherwise
+    organization: String, // set for organization profiles
+    weights: {
+        accuracy: Number,
+        stability: Number,
+        efficiency: Number,
+        adaptability: Number
+    },
+    accuracy: {
+        targetError: Number, // m, scores 100
+        maxError: Number // m, scores 0
+    },
+    adaptability: {
+        maxImpact: Number // % error increase under a degraded link, scores 0
+    },
+    gradeThresholds: {
+        A: Number,
+        B: Number,
+        C: Number,
+        D: Number
+    }
+}, {
+    timestamps: true
+});
+
+scoringProfileSchema.index({ name: 1, scope: 1, userId: 1, organization: 1 });
+
+// Plain profile definition as used by QualityScorer
+scoringProfileSchema.methods.toProfile = function() {
+    const profile = this.toObject();
+    return {
+        name: profile.name,
+        label: profile.label || profile.name,
+        description: profile.description || '',
+        scope: profile.scope,
+        organization: profile.organization || null,
+        weights: profile.weights,
+        accuracy: profile.accuracy,
+        adaptability: profile.adaptability,
+        gradeThresholds: profile.gradeThresholds
+    };
+};
+
+// Owner filter for a user's or an organization's profiles
+scoringProfileSchema.statics.ownerQuery = function(scope, owner) {
+    return scope === 'organization' ? { scope, organization: owner.organization } : { scope, userId: owner.userId };
+};
+
+// The user id and organization profiles are looked up for, and whether the user may edit the latter
+scoringProfileSchema.statics.findOwner = async function(userId) {
+    const user = await User.findById(userId).select('profile.organization profile.organizationRole');
+    const organization = user?.profile?.organization || null;
+    return { userId, organization, organizationAdmin: !!organization && user.profile.organizationRole === 'admin' };
+};
+
+/**
+ * Resolve a profile by name: the user's own, then their organization's, then the built-in one
+ */
+scoringProfileSchema.statics.resolve = async function(name, owner) {
+    const own = await this.findOne({ name, ...this.ownerQuery('user', owner) });
+    if (own) return own.toProfile();
+
+    if (owner.organization) {
+        const shared = await this.findOne({ name, ...this.ownerQuery('organization', owner) });
+        if (shared) return shared.toProfile();
+    }
+
+    // Own keys only, so names like 'constructor' do not resolve to Object.prototype members
+    if (!Object.prototype.hasOwnProperty.call(QualityScorer.BUILT_IN_PROFILES, name)) return null;
+    return { ...QualityScorer.BUILT_IN_PROFILES[name], scope: 'built-in', organization: null };
+};
+
+module.exports = mongoose.model('ScoringProfile', scoringProfileSchema);
@@ -0,0 +1,300 @@
+const StatisticsCalculator = require('./StatisticsCalculator');
+const TrajectoryErrorCalculator = require('./TrajectoryErrorCalculator');
+
+// FFT length (samples, power of two) of a Welch segment; shorter runs are zero-padded to it
+const SEGMENT_LENGTH = 64;
+// Runs with fewer resampled samples hold too little of a cycle to analyse
+const MIN_RUN_SAMPLES = 8;
+// A sampling interval this many times the median splits a run
+const GAP_FACTOR = 3;
+// Lowest frequency (Hz) treated as oscillation rather than slow drift
+const MIN_OSCILLATION_FREQUENCY = 1;
+// Full cycles a segment must hold for a frequency bin to count, lower bins only carry trend leakage
+const MIN_CYCLES = 2;
+// Peak amplitude (m) and share of the band power above which a spectral peak counts as an oscillation
+const OSCILLATION_AMPLITUDE = 0.01;
+const OSCILLATION_POWER_RATIO = 0.5;
+// Half width (bins) of the Hann main lobe of a full segment, the most a peak's power is summed over
+const MAIN_LOBE_BINS = 2;
+const AXES = ['x', 'y', 'z'];
+
+/**
+ * Frequency-domain analysis of the position error signals
+ *
+ * Hover samples are measured against their target, transit samples against the closest point
+ * of the leg from the previous waypoint. Each uninterrupted run is resampled to the median
+ * sampling rate and split into Hann-windowed, linearly detrended Welch segments (50% overlap);
+ * the averaged one-sided PSD of each axis gives the dominant oscillation and its amplitude.
+ */
+class SpectralAnalyzer {
+
+    /**
+     * Dominant oscillations of the hover and transit error signals
+     */
+    static analyzeOscillations(positions, sequence) {
+        const sampleRate = this.estimateSampleRate(positions);
+        const runs = this.splitIntoRuns(positions, sampleRate);
+
+        const analyse = phase => this.analyzeSignal(
+            runs.filter(run => run.phase === phase).map(run => run.samples.map(pos => ({
+                time: pos.time,
+                values: this.calculateErrorVector(pos, sequence)
+            }))),
+            sampleRate
+        );
+
+        return {
+            sampleRate,
+            hover: analyse('waypoint'),
+            transit: analyse('transit')
+        };
+    }
+
+    /**
+     * Welch PSD per axis of a set of error runs, with the dominant peak of each axis
+     */
+    static analyzeSignal(runs, sampleRate) {
+        const bins = SEGMENT_LENGTH / 2 + 1;
+        const resolution = sampleRate / SEGMENT_LENGTH;
+        const psd = AXES.map(() => new Array(bins).fill(0));
+        const weights = new Array(bins).fill(0);
+        let analysedSamples = 0;
+        let analysedRuns = 0;
+
+        if (sampleRate > 0) {
+            runs.forEach(run => {
+                const resampled = this.resample(run, sampleRate);
+                if (resampled.length < MIN_RUN_SAMPLES) return;
+
+                analysedRuns++;
+                analysedSamples += resampled.length;
+                const length = Math.min(SEGMENT_LENGTH, resampled.length);
+                const step = Math.max(1, Math.floor(length / 2));
+                const lowest = Math.max(MIN_OSCILLATION_FREQUENCY, MIN_CYCLES * sampleRate / length);
+                const firstBin = Math.ceil(lowest / resolution - 1e-9);
+
+                for (let start = 0; start + length <= resampled.length; start += step) {
+                    AXES.forEach((axis, a) => {
+                        const segment = resampled.slice(start, start + length).map(values => values[a]);
+                        const spectrum = this.calculatePeriodogram(segment, sampleRate);
+                        // Longer segments carry more of the signal, weight them accordingly
+                        for (let k = firstBin; k < bins; k++) psd[a][k] += spectrum[k] * length;
+                    });
+                    for (let k = firstBin; k < bins; k++) weights[k] += length;
+                }
+            });
+        }
+
+        if (weights.every(weight => weight === 0)) {
+            return {
+                analysedSamples: 0, analysedRuns: 0, jitter: 0,
+                dominantFrequency: null, dominantAmplitude: null, dominantAxis: null,
+                oscillationDetected: false, axes: []
+            };
+        }
+
+        const axes = AXES.map((axis, a) => ({
+            axis,
+            ...this.findDominantPeak(psd[a].map((power, k) => (weights[k] > 0 ? power / weights[k] : null)), resolution)
+        }));
+        const dominant = axes.reduce((best, axis) => (
+            axis.amplitude !== null && (best === null || axis.amplitude > best.amplitude) ? axis : best
+        ), null);
+
+        return {
+            analysedSamples,
+            analysedRuns,
+            jitter: Math.sqrt(axes.reduce((sum, axis) => sum + axis.rms * axis.rms, 0)),
+            dominantFrequency: dominant ? dominant.frequency : null,
+            dominantAmplitude: dominant ? dominant.amplitude : null,
+            dominantAxis: dominant ? dominant.axis : null,
+            oscillationDetected: axes.some(axis => axis.oscillation),
+            axes
+        };
+    }
+
+    /**
+     * Strongest peak of a one-sided PSD (m^2/Hz), bins below the analysed band are null
+     *
+     * The peak's power is summed down its lobe, at most MAIN_LOBE_BINS either side, so a sinusoid
+     * of amplitude A gives amplitude = sqrt(2 * power) = A on full-length segments. Broadband noise
+     * on short zero-padded segments slopes down across the whole band and would otherwise count
+     * as one lobe. A maximum at the lower band edge is the tail of slow error drift, not an oscillation.
+     */
+    static findDominantPeak(psd, resolution) {
+        const first = Math.max(1, psd.findIndex(power => power !== null));
+        let bandPower = 0;
+        let peak = -1;
+        for (let k = first; k < psd.length; k++) {
+            bandPower += psd[k] * resolution;
+            if (peak < 0 || psd[k] > psd[peak]) peak = k;
+        }
+
+        if (peak < 0 || bandPower <= 0) {
+            return { frequency: null, amplitude: null, powerRatio: 0, rms: 0, driftTail: false, oscillation: false };
+        }
+
+        let low = peak;
+        let high = peak;
+        while (low > Math.max(first, peak - MAIN_LOBE_BINS) && psd[low - 1] < psd[low]) low--;
+        while (high < Math.min(psd.length - 1, peak + MAIN_LOBE_BINS) && psd[high + 1] < psd[high]) high++;
+
+        let peakPower = 0;
+        for (let k = low; k <= high; k++) peakPower += psd[k] * resolution;
+
+        const amplitude = Math.sqrt(2 * peakPower);
+        const powerRatio = peakPower / bandPower;
+
+        return {
+            frequency: peak * resolution,
+            amplitude,
+            powerRatio,
+            rms: Math.sqrt(bandPower),
+            driftTail: peak === first,
+            oscillation: peak > first && amplitude >= OSCILLATION_AMPLITUDE && powerRatio >= OSCILLATION_POWER_RATIO
+        };
+    }
+
+    /**
+     * One-sided PSD (m^2/Hz) of a Hann-windowed, linearly detrended segment zero-padded to SEGMENT_LENGTH
+     */
+    static calculatePeriodogram(segment, sampleRate) {
+        const n = segment.length;
+        const index = segment.map((value, i) => i);
+        const trend = StatisticsCalculator.linearRegression(index, segment);
+        const window = index.map(i => (n > 1 ? 0.5 * (1 - Math.cos(2 * Math.PI * i / (n - 1))) : 1));
+        const windowPower = window.reduce((sum, w) => sum + w * w, 0);
+
+        const re = new Array(SEGMENT_LENGTH).fill(0);
+        const im = new Array(SEGMENT_LENGTH).fill(0);
+        segment.forEach((value, i) => {
+            re[i] = (value - (trend.intercept + trend.slope * i)) * window[i];
+        });
+        this.fft(re, im);
+
+        const scale = 1 / (sampleRate * windowPower);
+        const half = SEGMENT_LENGTH / 2;
+        const psd = [];
+        for (let k = 0; k <= half; k++) {
+            const power = (re[k] * re[k] + im[k] * im[k]) * scale;
+            psd.push(k === 0 || k === half ? power : 2 * power);
+        }
+        return psd;
+    }
+
+    // In-place iterative radix-2 FFT, length must be a power of two
+    static fft(re, im) {
+        const n = re.length;
+
+        for (let i = 1, j = 0; i < n; i++) {
+            let bit = n >> 1;
+            for (; j & bit; bit >>= 1) j ^= bit;
+            j ^= bit;
+            if (i < j) {
+                [re[i], re[j]] = [re[j], re[i]];
+                [im[i], im[j]] = [im[j], im[i]];
+            }
+        }
+
+        for (let size = 2; size <= n; size <<= 1) {
+            const angle = -2 * Math.PI / size;
+            for (let start = 0; start < n; start += size) {
+                for (let k = 0; k < size / 2; k++) {
+                    const wr = Math.cos(angle * k);
+                    const wi = Math.sin(angle * k);
+                    const a = start + k;
+                    const b = a + size / 2;
+                    const tr = re[b] * wr - im[b] * wi;
+                    const ti = re[b] * wi + im[b] * wr;
+                    re[b] = re[a] - tr;
+                    im[b] = im[a] - ti;
+                    re[a] += tr;
+                    im[a] += ti;
+                }
+            }
+        }
+    }
+
+    // Linear interpolation of a run of {time, values} onto a uniform grid
+    static resample(run, sampleRate) {
+        if (run.length === 0) return [];
+
+        const start = run[0].time;
+        const count = Math.floor((run[run.length - 1].time - start) * sampleRate + 1e-9) + 1;
+        const resampled = [];
+        let j = 0;
+        for (let i = 0; i < count; i++) {
+            const time = start + i / sampleRate;
+            while (j < run.length - 2 && run[j + 1].time < time) j++;
+
+            const a = run[j];
+            const b = run[Math.min(j + 1, run.length - 1)];
+            const span = b.time - a.time;
+            const t = span > 0 ? Math.max(0, Math.min(1, (time - a.time) / span)) : 0;
+            resampled.push(a.values.map((value, axis) => value + t * (b.values[axis] - value)));
+        }
+        return resampled;
+    }
+
+    // Sampling rate (Hz) from the median interval between samples
+    static estimateSampleRate(positions) {
+        const intervals = [];
+        for (let i = 1; i < (positions || []).length; i++) {
+            const dt = positions[i].time - positions[i - 1].time;
+            if (dt > 0) intervals.push(dt);
+        }
+        if (intervals.length === 0) return 0;
+
+        const median = StatisticsCalculator.percentile(intervals.sort((a, b) => a - b), 50);
+        return 1 / median;
+    }
+
+    // Uninterrupted runs of one phase towards one target, split at sampling gaps
+    static splitIntoRuns(positions, sampleRate) {
+        const maxInterval = sampleRate > 0 ? GAP_FACTOR / sampleRate : Infinity;
+        const runs = [];
+        let current = null;
+
+        (positions || []).forEach((pos, i) => {
+            if (!pos.target || typeof pos.target.x !== 'number') {
+                current = null;
+                return;
+            }
+
+            const prev = positions[i - 1];
+            const continues = current && prev && prev.phase === pos.phase &&
+                prev.sequence_index === pos.sequence_index &&
+                pos.time - prev.time > 0 && pos.time - prev.time <= maxInterval;
+
+            if (!continues) {
+                current = { phase: pos.phase, samples: [] };
+                runs.push(current);
+            }
+            current.samples.push(pos);
+        });
+
+        return runs;
+    }
+
+    /**
+     * Per-axis error (m): offset from the target while hovering, from the closest point of the leg in transit
+     */
+    static calculateErrorVector(point, sequence) {
+        const end = [point.target.x, point.target.y, point.target.z];
+        const position = [point.x, point.y, point.z];
+        const start = point.phase === 'waypoint' ? null : TrajectoryErrorCalculator.getLegStart(point, sequence);
+        if (!start) return position.map((value, axis) => value - end[axis]);
+
+        const leg = end.map((value, axis) => value - start[axis]);
+        const lengthSquared = leg.reduce((sum, d) => sum + d * d, 0);
+        const along = lengthSquared > 0 ?
+            Math.max(0, Math.min(1, leg.reduce((sum, d, axis) => sum + (position[axis] - start[axis]) * d, 0) / lengthSquared)) : 0;
+
+        return position.map((value, axis) => value - (start[axis] + along * leg[axis]));
+    }
+}
+
+SpectralAnalyzer.MIN_OSCILLATION_FREQUENCY = MIN_OSCILLATION_FREQUENCY;
+SpectralAnalyzer.OSCILLATION_AMPLITUDE = OSCILLATION_AMPLITUDE;
+
+module.exports = SpectralAnalyzer;
@@ -0,0 +1,289 @@
+// z-value for a two-sided 95% confidence interval
+const Z_95 = 1.96;
+// Spread relative to the mean below which a series is treated as constant (rounding residue)
+const CONSTANT_TOLERANCE = 1e-9;
+
+class StatisticsCalculator {
+
+    /**
+     * Descriptive statistics of a sample - the shape stored in analysis.positionAccuracy
+     *
+     * Standard deviation is the population value and confidence95 the half-width of the 95%
+     * interval of the mean (1.96 * std / sqrt(n)), matching position_accuracy in the flight logs.
+     */
+    static calculateStats(values) {
+        const clean = (values || []).filter(v => typeof v === 'number' && !isNaN(v));
+
+        if (clean.length === 0) {
+            return {
+                average: 0, median: 0, min: 0, max: 0, stdDev: 0, rms: 0,
+                p50: 0, p90: 0, p95: 0, p99: 0, confidence95: 0, count: 0
+            };
+        }
+
+        const sorted = clean.slice().sort((a, b) => a - b);
+        const average = this.mean(clean);
+        const stdDev = this.standardDeviation(clean);
+
+        return {
+            average,
+            median: this.percentile(sorted, 50),
+            min: sorted[0],
+            max: sorted[sorted.length - 1],
+            stdDev,
+            rms: this.rms(clean),
+            p50: this.percentile(sorted, 50),
+            p90: this.percentile(sorted, 90),
+            p95: this.percentile(sorted, 95),
+            p99: this.percentile(sorted, 99),
+            confidence95: this.confidenceHalfWidth(stdDev, clean.length),
+            count: clean.length
+        };
+    }
+
+    static mean(values) {
+        if (!values || values.length === 0) return 0;
+        return values.reduce((sum, v) => sum + v, 0) / values.length;
+    }
+
+    // Population standard deviation
+    static standardDeviation(values) {
+        if (!values || values.length === 0) return 0;
+        const average = this.mean(values);
+        return Math.sqrt(this.mean(values.map(v => Math.pow(v - average, 2))));
+    }
+
+    static rms(values) {
+        if (!values || values.length === 0) return 0;
+        return Math.sqrt(this.mean(values.map(v => v * v)));
+    }
+
+    // Percentile (0-100) of an ascending array, linearly interpolated between ranks
+    static percentile(sorted, p) {
+        if (!sorted || sorted.length === 0) return 0;
+
+        const rank = (p / 100) * (sorted.length - 1);
+        const lower = Math.floor(rank);
+        const upper = Math.ceil(rank);
+        return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+    }
+
+    /**
+     * Least-squares line y = intercept + slope * x with its coefficient of determination
+     */
+    static linearRegression(x, y) {
+        const n = Math.min(x.length, y.length);
+        if (n < 2) return { slope: 0, intercept: n === 1 ? y[0] : 0, r2: 0 };
+
+        const meanX = this.mean(x.slice(0, n));
+        const meanY = this.mean(y.slice(0, n));
+        let sxx = 0;
+        let sxy = 0;
+        let syy = 0;
+        for (let i = 0; i < n; i++) {
+            sxx += (x[i] - meanX) * (x[i] - meanX);
+            sxy += (x[i] - meanX) * (y[i] - meanY);
+            syy += (y[i] - meanY) * (y[i] - meanY);
+        }
+
+        const slope = sxx > 0 ? sxy / sxx : 0;
+        return {
+            slope,
+            intercept: meanY - slope * meanX,
+            r2: sxx > 0 && syy > 0 ? (sxy * sxy) / (sxx * syy) : 0
+        };
+    }
+
+    // Pearson correlation coefficient, 0 when either series is constant (up to rounding)
+    static correlation(x, y) {
+        const n = x.length;
+        if (n !== y.length || n === 0) return 0;
+
+        const meanX = x.reduce((sum, val) => sum + val, 0) / n;
+        const meanY = y.reduce((sum, val) => sum + val, 0) / n;
+        let sumXY = 0;
+        let sumXX = 0;
+        let sumYY = 0;
+        for (let i = 0; i < n; i++) {
+            sumXY += (x[i] - meanX) * (y[i] - meanY);
+            sumXX += Math.pow(x[i] - meanX, 2);
+            sumYY += Math.pow(y[i] - meanY, 2);
+        }
+
+        const isConstant = (spread, mean) => spread <= Math.pow(CONSTANT_TOLERANCE * mean, 2) * n;
+        if (isConstant(sumXX, meanX) || isConstant(sumYY, meanY)) return 0;
+
+        return Math.max(-1, Math.min(1, sumXY / Math.sqrt(sumXX * sumYY)));
+    }
+
+    static confidenceHalfWidth(stdDev, count) {
+        return count > 0 ? Z_95 * stdDev / Math.sqrt(count) : 0;
+    }
+
+    // Sample (n - 1) variance, 0 below two values
+    static sampleVariance(values) {
+        if (!values || values.length < 2) return 0;
+        const average = this.mean(values);
+        return values.reduce((sum, v) => sum + Math.pow(v - average, 2), 0) / (values.length - 1);
+    }
+
+    /**
+     * Welch's unequal-variance t-test of mean(a) - mean(b), two-sided,
+     * with the confidence interval of the difference at the given level
+     */
+    static welchTTest(a, b, confidence = 0.95) {
+        const varianceA = this.sampleVariance(a) / a.length;
+        const varianceB = this.sampleVariance(b) / b.length;
+        const standardError = Math.sqrt(varianceA + varianceB);
+        const difference = this.mean(a) - this.mean(b);
+
+        // Identical constant samples: no evidence of a difference, distinct constants: certain
+        if (standardError === 0) {
+            return {
+                t: difference === 0 ? 0 : Math.sign(difference) * Infinity,
+                degreesOfFreedom: a.length + b.length - 2,
+                pValue: difference === 0 ? 1 : 0,
+                difference,
+                standardError,
+                confidenceInterval: [difference, difference]
+            };
+        }
+
+        const t = difference / standardError;
+        const degreesOfFreedom = Math.pow(varianceA + varianceB, 2) /
+            (varianceA * varianceA / (a.length - 1) + varianceB * varianceB / (b.length - 1));
+        const margin = this.studentTQuantile(1 - (1 - confidence) / 2, degreesOfFreedom) * standardError;
+
+        return {
+            t,
+            degreesOfFreedom,
+            pValue: Math.min(1, 2 * (1 - this.studentTCdf(Math.abs(t), degreesOfFreedom))),
+            difference,
+            standardError,
+            confidenceInterval: [difference - margin, difference + margin]
+        };
+    }
+
+    /**
+     * Mann-Whitney U test, two-sided normal approximation with tie and continuity correction.
+     * u is the statistic of sample a, rankBiserial = 2u / (na * nb) - 1 (positive: a tends larger)
+     */
+    static mannWhitneyU(a, b) {
+        const n1 = a.length;
+        const n2 = b.length;
+        const n = n1 + n2;
+        const pooled = a.map(value => ({ value, fromA: true }))
+            .concat(b.map(value => ({ value, fromA: false })))
+            .sort((x, y) => x.value - y.value);
+
+        // Average ranks over ties, collecting the tie correction term
+        let rankSumA = 0;
+        let tieTerm = 0;
+        for (let i = 0; i < n;) {
+            let j = i;
+            while (j + 1 < n && pooled[j + 1].value === pooled[i].value) j++;
+            const rank = (i + j) / 2 + 1;
+            const tied = j - i + 1;
+            for (let k = i; k <= j; k++) if (pooled[k].fromA) rankSumA += rank;
+            tieTerm += tied * tied * tied - tied;
+            i = j + 1;
+        }
+
+        const u = rankSumA - n1 * (n1 + 1) / 2;
+        const meanU = n1 * n2 / 2;
+        const sigma = Math.sqrt(n1 * n2 / 12 * ((n + 1) - tieTerm / (n * (n - 1))));
+        const z = sigma > 0 ? Math.sign(u - meanU) * Math.max(0, Math.abs(u - meanU) - 0.5) / sigma : 0;
+
+        return {
+            u,
+            z,
+            pValue: sigma > 0 ? Math.min(1, 2 * (1 - this.normalCdf(Math.abs(z)))) : 1,
+            rankBiserial: 2 * u / (n1 * n2) - 1
+        };
+    }
+
+    /**
+     * Cohen's d of mean(a) - mean(b) with the pooled sample standard deviation, and Hedges' g
+     * (small-sample corrected d)
+     */
+    static cohensD(a, b) {
+        const pooledVariance = ((a.length - 1) * this.sampleVariance(a) + (b.length - 1) * this.sampleVariance(b)) /
+            (a.length + b.length - 2);
+        const difference = this.mean(a) - this.mean(b);
+        const d = pooledVariance > 0 ? difference / Math.sqrt(pooledVariance) : 0;
+        return { d, g: d * (1 - 3 / (4 * (a.length + b.length) - 9)) };
+    }
+
+    // Standard normal CDF (Abramowitz & Stegun 7.1.26 erf, |error| < 1.5e-7)
+    static normalCdf(z) {
+        const x = Math.abs(z) / Math.SQRT2;
+        const t = 1 / (1 + 0.3275911 * x);
+        const erf = 1 - t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429)))) *
+            Math.exp(-x * x);
+        return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+    }
+
+    // Student's t CDF through the regularized incomplete beta function
+    static studentTCdf(t, degreesOfFreedom) {
+        const tail = this.incompleteBeta(degreesOfFreedom / (degreesOfFreedom + t * t), degreesOfFreedom / 2, 0.5) / 2;
+        return t >= 0 ? 1 - tail : tail;
+    }
+
+    // Inverse of studentTCdf by bisection, p in (0, 1)
+    static studentTQuantile(p, degreesOfFreedom) {
+        let low = -1e3;
+        let high = 1e3;
+        for (let i = 0; i < 100; i++) {
+            const mid = (low + high) / 2;
+            if (this.studentTCdf(mid, degreesOfFreedom) < p) low = mid; else high = mid;
+        }
+        return (low + high) / 2;
+    }
+
+    // Regularized incomplete beta I_x(a, b), continued fraction (Numerical Recipes betacf)
+    static incompleteBeta(x, a, b) {
+        if (x <= 0) return 0;
+        if (x >= 1) return 1;
+
+        const front = Math.exp(this.logGamma(a + b) - this.logGamma(a) - this.logGamma(b) +
+            a * Math.log(x) + b * Math.log(1 - x));
+        // The continued fraction converges quickly only below (a + 1) / (a + b + 2)
+        if (x > (a + 1) / (a + b + 2)) return 1 - this.incompleteBeta(1 - x, b, a);
+
+        const tiny = 1e-300;
+        let c = 1;
+        let d = 1 - (a + b) * x / (a + 1);
+        d = 1 / (Math.abs(d) < tiny ? tiny : d);
+        let result = d;
+        for (let m = 1; m <= 200; m++) {
+            const m2 = 2 * m;
+            for (const numerator of [
+                m * (b - m) * x / ((a + m2 - 1) * (a + m2)),
+                -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1))
+            ]) {
+                d = 1 + numerator * d;
+                d = 1 / (Math.abs(d) < tiny ? tiny : d);
+                c = 1 + numerator / c;
+                if (Math.abs(c) < tiny) c = tiny;
+                result *= d * c;
+            }
+            if (Math.abs(d * c - 1) < 1e-12) break;
+        }
+        return front * result / a;
+    }
+
+    // ln(Gamma(x)), Lanczos approximation
+    static logGamma(x) {
+        const coefficients = [
+            76.18009172947146, -86.50532032941677, 24.01409824083091,
+            -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5
+        ];
+        let denominator = x;
+        const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+        let series = 1.000000000190015;
+        coefficients.forEach(coefficient => { series += coefficient / ++denominator; });
+        return -tmp + Math.log(2.5066282746310005 * series / x);
+    }
+}
+
+module.exports = StatisticsCalculator;
@@ -0,0 +1,262 @@
+const StatisticsCalculator = require('./StatisticsCalculator');
+
+const ALIGNMENT_METHODS = ['dtw', 'leg_time'];
+// Largest per-axis difference (m) for two planned waypoints to count as the same
+const SEQUENCE_TOLERANCE = 0.01;
+// Sakoe-Chiba band half-width as a share of the longer segment
+const DTW_BAND = 0.25;
+// Segments longer than this (samples) are decimated before DTW to bound the cost matrix
+const MAX_SEGMENT_SAMPLES = 1000;
+// Points of the aligned difference series returned for the visualization overlay
+const MAX_SERIES_POINTS = 500;
+
+/**
+ * Point-wise alignment of two flights of the same planned sequence
+ *
+ * Both flights are split into segments by the sequence index each sample flies towards and the
+ * segments with the same index are aligned to each other, so a pairing never crosses a leg:
+ * - dtw: dynamic time warping on the 3D positions, constrained to a band around the diagonal
+ * - leg_time: each reference sample paired with the comparison position at the same fraction
+ *   of the leg's duration, interpolated between samples
+ * Flights without per-sample sequence indices are aligned as a single segment. Deviation is
+ * the 3D distance between paired positions, the difference series is comparison - reference.
+ */
+class TrajectoryAligner {
+
+    /**
+     * Whether two planned sequences visit the same waypoints in the same order
+     */
+    static sameSequence(a, b, tolerance = SEQUENCE_TOLERANCE) {
+        if (!Array.isArray(a) || !Array.isArray(b) || a.length === 0 || a.length !== b.length) return false;
+
+        return a.every((waypoint, i) => (
+            waypoint.length === b[i].length &&
+            waypoint.every((value, axis) => Math.abs(value - b[i][axis]) <= tolerance)
+        ));
+    }
+
+    /**
+     * Align a comparison flight to a reference flight (raw log positions of each)
+     */
+    static alignFlights(referencePositions, comparisonPositions, method = 'dtw') {
+        const referenceStart = referencePositions.length > 0 ? referencePositions[0].time : 0;
+        const comparisonStart = comparisonPositions.length > 0 ? comparisonPositions[0].time : 0;
+        const segmented = this.hasSequenceIndices(referencePositions) && this.hasSequenceIndices(comparisonPositions);
+        const referenceSegments = this.splitSegments(referencePositions, segmented);
+        const comparisonSegments = this.splitSegments(comparisonPositions, segmented);
+
+        const series = [];
+        const segments = [...new Set([...referenceSegments.keys(), ...comparisonSegments.keys()])]
+            .sort((a, b) => (a ?? -1) - (b ?? -1))
+            .map(sequenceIndex => {
+                const reference = referenceSegments.get(sequenceIndex) || [];
+                const comparison = comparisonSegments.get(sequenceIndex) || [];
+                if (reference.length === 0 || comparison.length === 0) {
+                    return {
+                        sequenceIndex,
+                        aligned: false,
+                        referenceSamples: reference.length,
+                        samples: comparison.length
+                    };
+                }
+
+                const pairs = method === 'leg_time' ?
+                    this.alignByLegTime(reference, comparison) :
+                    this.alignByDtw(reference, comparison);
+                const entries = pairs.map(pair => (
+                    this.describePair(pair, sequenceIndex, referenceStart, comparisonStart)
+                ));
+                series.push(...entries);
+
+                return this.summarizeSegment(sequenceIndex, reference, comparison, entries);
+            });
+
+        const alignedSegments = segments.filter(segment => segment.aligned);
+        const deviations = series.map(entry => entry.deviation);
+        const worst = alignedSegments.reduce((best, segment) => (
+            best === null || segment.meanDeviation > best.meanDeviation ? segment : best
+        ), null);
+
+        return {
+            method,
+            segmented,
+            summary: {
+                alignedPairs: series.length,
+                alignedSegments: alignedSegments.length,
+                unmatchedSegments: segments.length - alignedSegments.length,
+                ...this.summarizeDeviation(deviations),
+                meanTimeOffset: series.length > 0 ? StatisticsCalculator.mean(series.map(entry => entry.timeOffset)) : null,
+                worstSegment: worst ? worst.sequenceIndex : null
+            },
+            segments,
+            series: this.decimate(series, MAX_SERIES_POINTS)
+        };
+    }
+
+    // Every sample knows which waypoint it flies towards
+    static hasSequenceIndices(positions) {
+        return positions.length > 0 && positions.every(pos => typeof pos.sequence_index === 'number');
+    }
+
+    // Samples grouped by sequence index in flight order, one null segment when not segmented
+    static splitSegments(positions, segmented) {
+        const segments = new Map();
+        positions.forEach(pos => {
+            const key = segmented ? pos.sequence_index : null;
+            if (!segments.has(key)) segments.set(key, []);
+            segments.get(key).push(pos);
+        });
+        return segments;
+    }
+
+    /**
+     * Dynamic time warping of two segments, returns the warping path as reference/comparison pairs
+     */
+    static alignByDtw(reference, comparison) {
+        const a = this.decimate(reference, MAX_SEGMENT_SAMPLES);
+        const b = this.decimate(comparison, MAX_SEGMENT_SAMPLES);
+        const n = a.length;
+        const m = b.length;
+        const band = Math.ceil(DTW_BAND * Math.max(n, m)) + 1;
+        const cost = new Float64Array(n * m).fill(Infinity);
+        const distance = (i, j) => Math.hypot(a[i].x - b[j].x, a[i].y - b[j].y, a[i].z - b[j].z);
+
+        // Band follows the diagonal of the n x m matrix so segments of different lengths stay aligned end to end
+        const inBand = (i, j) => Math.abs(j - (n > 1 ? i * (m - 1) / (n - 1) : 0)) <= band;
+        const at = (i, j) => (i >= 0 && j >= 0 ? cost[i * m + j] : Infinity);
+
+        for (let i = 0; i < n; i++) {
+            for (let j = 0; j < m; j++) {
+                if (!inBand(i, j)) continue;
+                const previous = i === 0 && j === 0 ? 0 : Math.min(at(i - 1, j - 1), at(i - 1, j), at(i, j - 1));
+                cost[i * m + j] = distance(i, j) + previous;
+            }
+        }
+
+        // Backtrack from the end of both segments along the cheapest predecessor
+        const path = [];
+        let i = n - 1;
+        let j = m - 1;
+        while (i > 0 || j > 0) {
+            path.push({ reference: a[i], comparison: b[j] });
+            const diagonal = at(i - 1, j - 1);
+            const up = at(i - 1, j);
+            const left = at(i, j - 1);
+            if (diagonal <= up && diagonal <= left) {
+                i--;
+                j--;
+            } else if (up <= left) {
+                i--;
+            } else {
+                j--;
+            }
+        }
+        path.push({ reference: a[0], comparison: b[0] });
+
+        return path.reverse();
+    }
+
+    /**
+     * Pair each reference sample with the comparison position at the same fraction of the segment's duration
+     */
+    static alignByLegTime(reference, comparison) {
+        const fractionsOf = points => {
+            const start = points[0].time;
+            const duration = points[points.length - 1].time - start;
+            return points.map((pos, i) => (
+                duration > 0 ? (pos.time - start) / duration : points.length > 1 ? i / (points.length - 1) : 0
+            ));
+        };
+        const referenceFractions = fractionsOf(reference);
+        const comparisonFractions = fractionsOf(comparison);
+        let j = 0;
+
+        return reference.map((pos, i) => {
+            const fraction = referenceFractions[i];
+            while (j < comparison.length - 2 && comparisonFractions[j + 1] <= fraction) j++;
+
+            const a = comparison[j];
+            const b = comparison[Math.min(j + 1, comparison.length - 1)];
+            const span = comparisonFractions[Math.min(j + 1, comparison.length - 1)] - comparisonFractions[j];
+            const t = span > 0 ? Math.max(0, Math.min(1, (fraction - comparisonFractions[j]) / span)) : 0;
+
+            return {
+                reference: pos,
+                comparison: {
+                    x: a.x + t * (b.x - a.x),
+                    y: a.y + t * (b.y - a.y),
+                    z: a.z + t * (b.z - a.z),
+                    time: a.time + t * (b.time - a.time)
+                }
+            };
+        });
+    }
+
+    // One entry of the aligned difference series, times relative to each flight's first sample
+    static describePair(pair, sequenceIndex, referenceStart, comparisonStart) {
+        const { reference, comparison } = pair;
+        const difference = [comparison.x - reference.x, comparison.y - reference.y, comparison.z - reference.z];
+        const referenceTime = reference.time - referenceStart;
+        const time = comparison.time - comparisonStart;
+
+        return {
+            sequenceIndex,
+            referenceTime,
+            time,
+            timeOffset: time - referenceTime,
+            referencePosition: [reference.x, reference.y, reference.z],
+            position: [comparison.x, comparison.y, comparison.z],
+            difference,
+            deviation: Math.hypot(...difference)
+        };
+    }
+
+    /**
+     * Per-segment deviation between the runs
+     */
+    static summarizeSegment(sequenceIndex, reference, comparison, entries) {
+        const target = reference[0].target;
+        const referenceDuration = reference[reference.length - 1].time - reference[0].time;
+        const duration = comparison[comparison.length - 1].time - comparison[0].time;
+
+        return {
+            sequenceIndex,
+            aligned: true,
+            target: target ? [target.x, target.y, target.z] : null,
+            referenceSamples: reference.length,
+            samples: comparison.length,
+            alignedPairs: entries.length,
+            referenceDuration,
+            duration,
+            durationDifference: duration - referenceDuration,
+            ...this.summarizeDeviation(entries.map(entry => entry.deviation)),
+            meanTimeOffset: StatisticsCalculator.mean(entries.map(entry => entry.timeOffset))
+        };
+    }
+
+    // Deviation statistics (m), null without aligned pairs
+    static summarizeDeviation(deviations) {
+        if (deviations.length === 0) {
+            return { meanDeviation: null, rmsDeviation: null, p95Deviation: null, maxDeviation: null };
+        }
+        const sorted = deviations.slice().sort((a, b) => a - b);
+        return {
+            meanDeviation: StatisticsCalculator.mean(deviations),
+            rmsDeviation: StatisticsCalculator.rms(deviations),
+            p95Deviation: StatisticsCalculator.percentile(sorted, 95),
+            maxDeviation: sorted[sorted.length - 1]
+        };
+    }
+
+    // Evenly spaced subset of at most maxPoints items, keeping the first and the last
+    static decimate(items, maxPoints) {
+        if (items.length <= maxPoints) return items;
+        const step = (items.length - 1) / (maxPoints - 1);
+        return Array.from({ length: maxPoints }, (_, i) => items[Math.round(i * step)]);
+    }
+}
+
+TrajectoryAligner.ALIGNMENT_METHODS = ALIGNMENT_METHODS;
+TrajectoryAligner.SEQUENCE_TOLERANCE = SEQUENCE_TOLERANCE;
+
+module.exports = TrajectoryAligner;
@@ -1,3 +1,30 @@
+const NetworkAnalyzer = require('./NetworkAnalyzer');
+const KinematicsAnalyzer = require('./KinematicsAnalyzer');
+const StatisticsCalculator = require('./StatisticsCalculator');
+const SpectralAnalyzer = require('./SpectralAnalyzer');
+
+// Path resampling distance (m) for turn detection, larger than typical hover jitter
+const TURN_RESAMPLE_STEP = 0.05;
+// Heading change (degrees) at a single resampled vertex that marks the path as bending
+const TURN_VERTEX_THRESHOLD = 10;
+// Net heading change (degrees) of a bending section counted as a turn
+const TURN_ANGLE_THRESHOLD = 30;
+// Net heading change (degrees) classified as a sharp turn
+const SHARP_TURN_ANGLE = 90;
+// Distance (m) from a planned waypoint within which a turn counts as a planned corner
+const PLANNED_TURN_RADIUS = 0.15;
+// Smallest commanded altitude change (m) analysed as a vertical step
+const MIN_VERTICAL_STEP = 0.05;
+// Settling band as a fraction of the step size, never tighter than MIN_SETTLING_TOLERANCE (m)
+const SETTLING_BAND = 0.05;
+const MIN_SETTLING_TOLERANCE = 0.02;
+// Final part of a leg (s) averaged for the steady-state error
+const STEADY_STATE_WINDOW = 0.5;
+// Hover samples needed before a drift line is fitted
+const MIN_DRIFT_SAMPLES = 3;
+// Percentile of the sample speeds taken as the flight's cruise speed for ideal leg times
+const CRUISE_SPEED_PERCENTILE = 90;
+
 class TrajectoryAnalyzer {
 
     /**
@@ -10,8 +37,13 @@ class TrajectoryAnalyzer {
             pathAccuracy: this.calculatePathAccuracy(positions),
             basicStats: this.calculateBasicStats(positions),
             phaseAnalysis: this.analyzePhases(positions),
-            stabilityMetrics: this.calculateStabilityMetrics(positions),
-            trajectoryEfficiency: this.calculateEfficiency(positions, flightData.sequence)
+            stabilityMetrics: this.calculateStabilityMetrics(positions, flightData.sequence),
+            trajectoryEfficiency: this.calculateEfficiency(positions, flightData.sequence),
+            velocityAnalysis: KinematicsAnalyzer.analyzeVelocity(positions),
+            altitudeProfile: this.analyzeAltitudeProfile(positions),
+            hoverPrecision: this.analyzeHoverPrecision(positions),
+            turnAnalysis: this.analyzeTurns(positions, flightData.sequence),
+            networkCorrelation: this.calculateNetworkCorrelation(positions, this.getNetworkQualities(flightData))
         };
     }
 
@@ -49,6 +81,7 @@ class TrajectoryAnalyzer {
             maxError: maxDeviation,
             minError: errors.length > 0 ? Math.min(...errors) : 0,
             totalPoints: errors.length,
+            errorStatistics: StatisticsCalculator.calculateStats(errors),
             xyPlaneAccuracy: {
                 average: xyErrors.length > 0 ? this.calculateMean(xyErrors) : 0,
                 max: xyErrors.length > 0 ? Math.max(...xyErrors) : 0,
@@ -107,57 +140,655 @@ class TrajectoryAnalyzer {
     /**
      * Calculate stability metrics - based on stabilized field
      */
-    static calculateStabilityMetrics(positions) {
+    static calculateStabilityMetrics(positions, sequence) {
         const stabilizedCount = positions.filter(pos => pos.stabilized).length;
         const stabilizationRatio = positions.length > 0 ? stabilizedCount / positions.length : 0;
 
         // Calculate error variance for stability assessment
         const errors = positions.map(p => p.error || 0);
         const errorVariance = this.calculateStandardDeviation(errors);
+        const jitterMetrics = this.calculateJitterMetrics(SpectralAnalyzer.analyzeOscillations(positions, sequence));
 
         return {
             stabilizationRatio: stabilizationRatio,
             stabilizedPoints: stabilizedCount,
             unstabilizedPoints: positions.length - stabilizedCount,
             errorVariance: errorVariance,
-            overallStabilityScore: Math.max(0, 100 - (errorVariance * 1000)) // Convert to 0-100 score
+            jitterMetrics,
+            // Error spread plus oscillation (jitter RMS) penalty, converted to a 0-100 score
+            overallStabilityScore: Math.max(0, 100 - ((errorVariance + jitterMetrics.averageJitter) * 1000))
+        };
+    }
+
+    /**
+     * Jitter summary of the hover and transit error spectra
+     */
+    static calculateJitterMetrics(oscillations) {
+        const signals = [oscillations.hover, oscillations.transit].filter(signal => signal.analysedSamples > 0);
+        const dominant = signals.reduce((best, signal) => (
+            best === null || signal.dominantAmplitude > best.dominantAmplitude ? signal : best
+        ), null);
+        // Peaks at the lower band edge are drift tails, not jitter
+        const peakRatios = signals.flatMap(signal => signal.axes.filter(axis => !axis.driftTail).map(axis => axis.powerRatio));
+
+        return {
+            averageJitter: this.calculateMean(signals.map(signal => signal.jitter)),
+            maxJitter: signals.length > 0 ? Math.max(...signals.map(signal => signal.jitter)) : 0,
+            // Share (0-1) of the jitter power held by the strongest spectral peak - 1 is a pure oscillation
+            jitterIndex: peakRatios.length > 0 ? Math.max(...peakRatios) : 0,
+            dominantFrequency: dominant ? dominant.dominantFrequency : null,
+            dominantAmplitude: dominant ? dominant.dominantAmplitude : null,
+            oscillationDetected: signals.some(signal => signal.oscillationDetected),
+            sampleRate: oscillations.sampleRate,
+            hover: oscillations.hover,
+            transit: oscillations.transit
         };
     }
 
     /**
-     * Calculate trajectory efficiency
+     * Trajectory efficiency against the ideal piecewise path
+     *
+     * The ideal path runs in straight lines from the takeoff position (first sample) through each
+     * target in the order flown, taken from the samples' targets or, when the points carry none,
+     * from the planned sequence (overall figures only). Per leg, the flown distance runs from the
+     * end of the previous leg until the first waypoint sample (the whole leg when never reached),
+     * so hover jitter is not counted as path. Time efficiency compares the transit time with the time the straight
+     * leg takes at the flight's cruise speed (CRUISE_SPEED_PERCENTILE of the sample speeds).
+     * Metrics with nothing to compare against are null.
      */
     static calculateEfficiency(positions, sequence) {
-        if (!sequence || sequence.length < 2) {
+        const totalDistance = this.calculateActualDistance(positions);
+        const speeds = KinematicsAnalyzer.calculateKinematics(positions).map(sample => sample.speed);
+        const cruiseSpeed = speeds.length > 0 ?
+            StatisticsCalculator.percentile(speeds.slice().sort((a, b) => a - b), CRUISE_SPEED_PERCENTILE) : null;
+
+        let from = positions.length > 0 ? [positions[0].x, positions[0].y, positions[0].z] : null;
+        let previousEnd = 0;
+        const planned = positions.length > 0 ? this.getPlannedLegs(positions, sequence) : [];
+        const legs = planned.map((leg, legIndex) => {
+            const samples = leg.startIndex !== null ? positions.slice(leg.startIndex, leg.endIndex + 1) : [];
+            const arrivalOffset = samples.findIndex(pos => pos.phase === 'waypoint');
+            const transitEnd = arrivalOffset === -1 ? leg.endIndex : leg.startIndex + arrivalOffset;
+
+            const idealDistance = Math.hypot(leg.target[0] - from[0], leg.target[1] - from[1], leg.target[2] - from[2]);
+            const actualDistance = samples.length > 0 ?
+                this.calculateActualDistance(positions.slice(previousEnd, transitEnd + 1)) : null;
+            const transitTime = arrivalOffset !== -1 ? samples[arrivalOffset].time - positions[previousEnd].time : null;
+            const idealTime = cruiseSpeed > 0 ? idealDistance / cruiseSpeed : null;
+
+            const result = {
+                legIndex,
+                sequenceIndex: leg.sequenceIndex,
+                from,
+                target: leg.target,
+                flown: samples.length > 0,
+                reached: arrivalOffset !== -1,
+                idealDistance,
+                actualDistance,
+                excessDistance: actualDistance !== null ? actualDistance - idealDistance : null,
+                pathOptimality: actualDistance > 0 && idealDistance > 0 ? Math.min(1, idealDistance / actualDistance) : null,
+                transitTime,
+                idealTime,
+                timeEfficiency: transitTime > 0 && idealTime !== null ? Math.min(1, idealTime / transitTime) : null
+            };
+
+            from = leg.target;
+            if (samples.length > 0) previousEnd = leg.endIndex;
+            return result;
+        });
+
+        // Without per-point targets the legs cannot be told apart - the whole log is compared to the whole plan
+        const flownLegs = legs.filter(leg => leg.flown);
+        const attributed = flownLegs.length > 0;
+        const sum = (items, key) => items.reduce((total, item) => total + item[key], 0);
+        const idealDistance = sum(attributed ? flownLegs : legs, 'idealDistance');
+        const actualDistance = attributed ? sum(flownLegs, 'actualDistance') :
+            legs.length > 0 && positions.length > 1 ? totalDistance : null;
+        const timedLegs = legs.filter(leg => leg.transitTime > 0 && leg.idealTime !== null);
+        const transitTime = sum(timedLegs, 'transitTime');
+        const pathOptimality = actualDistance > 0 && idealDistance > 0 ? Math.min(1, idealDistance / actualDistance) : null;
+
+        return {
+            takeoffPosition: positions.length > 0 ? [positions[0].x, positions[0].y, positions[0].z] : [],
+            totalDistance,
+            actualDistance,
+            idealDistance,
+            excessDistance: actualDistance !== null ? actualDistance - idealDistance : null,
+            pathOptimality,
+            efficiencyRatio: pathOptimality,
+            cruiseSpeed,
+            transitTime: timedLegs.length > 0 ? transitTime : null,
+            idealTime: timedLegs.length > 0 ? sum(timedLegs, 'idealTime') : null,
+            timeEfficiency: transitTime > 0 ? Math.min(1, sum(timedLegs, 'idealTime') / transitTime) : null,
+            plannedLegs: legs.length,
+            flownLegs: flownLegs.length,
+            legs
+        };
+    }
+
+    /**
+     * Targets of the ideal path in flight order with the samples flown towards each
+     * (startIndex null for planned targets the log never reached)
+     */
+    static getPlannedLegs(positions, sequence) {
+        const flown = this.splitIntoLegs(positions).map(leg => ({
+            target: leg.target,
+            sequenceIndex: positions[leg.startIndex].sequence_index ?? null,
+            startIndex: leg.startIndex,
+            endIndex: leg.endIndex
+        }));
+        if (flown.length > 0 || !Array.isArray(sequence)) return flown;
+
+        return sequence.map((target, i) => ({ target, sequenceIndex: i, startIndex: null, endIndex: null }));
+    }
+
+    /**
+     * Turn detection - heading changes in 3D on a jitter-free, distance-resampled path
+     */
+    static analyzeTurns(positions, sequence) {
+        const path = this.resamplePathByDistance(positions, TURN_RESAMPLE_STEP);
+        if (path.length < 3) {
             return {
-                efficiencyRatio: 0.85, // Default fallback
-                actualDistance: this.calculateActualDistance(positions),
-                idealDistance: 0
+                totalTurns: 0, sharpTurns: 0, plannedTurns: 0, unplannedTurns: 0,
+                averageTurnRate: 0, maxTurnRate: 0, pathSmoothness: 1, turns: []
             };
         }
 
-        // Calculate actual path distance
-        const actualDistance = this.calculateActualDistance(positions);
-
-        // Calculate ideal distance from sequence
-        let idealDistance = 0;
-        for (let i = 1; i < sequence.length; i++) {
-            const curr = sequence[i];
-            const prev = sequence[i - 1];
-            idealDistance += Math.sqrt(
-                Math.pow(curr[0] - prev[0], 2) +
-                Math.pow(curr[1] - prev[1], 2) +
-                Math.pow(curr[2] - prev[2], 2)
+        // Direction of each resampled segment and the heading change at each interior vertex
+        const directions = [];
+        for (let i = 1; i < path.length; i++) {
+            directions.push(this.normalizeVector(this.subtractPoints(path[i], path[i - 1])));
+        }
+        const vertexChanges = [];
+        for (let i = 1; i < directions.length; i++) {
+            vertexChanges.push(this.angleBetween(directions[i - 1], directions[i]));
+        }
+
+        // Group consecutive bending vertices into one manoeuvre and measure its net heading change
+        const turns = [];
+        let groupStart = -1;
+        for (let i = 0; i <= vertexChanges.length; i++) {
+            const bending = i < vertexChanges.length && vertexChanges[i] >= TURN_VERTEX_THRESHOLD;
+            if (bending && groupStart === -1) {
+                groupStart = i;
+            } else if (!bending && groupStart !== -1) {
+                const turn = this.describeTurn(path, directions, groupStart, i - 1, sequence);
+                if (turn.bearingChange >= TURN_ANGLE_THRESHOLD) turns.push(turn);
+                groupStart = -1;
+            }
+        }
+
+        const turnRates = turns.map(turn => turn.turnRate);
+        const plannedTurns = turns.filter(turn => turn.planned).length;
+
+        return {
+            totalTurns: turns.length,
+            sharpTurns: turns.filter(turn => turn.bearingChange >= SHARP_TURN_ANGLE).length,
+            plannedTurns,
+            unplannedTurns: turns.length - plannedTurns,
+            averageTurnRate: this.calculateMean(turnRates),
+            maxTurnRate: turnRates.length > 0 ? Math.max(...turnRates) : 0,
+            // 1 = perfectly straight, 0 = every step reverses direction
+            pathSmoothness: 1 - this.calculateMean(vertexChanges) / 180,
+            turns
+        };
+    }
+
+    /**
+     * Describe a grouped turn spanning path vertices [first, last] (vertex k sits between directions k and k+1)
+     */
+    static describeTurn(path, directions, first, last, sequence) {
+        const entry = directions[first];
+        const exit = directions[last + 1];
+        const apex = path[Math.round((first + last) / 2) + 1];
+        const startPoint = path[first + 1];
+        const endPoint = path[last + 1];
+
+        const bearingChange = this.angleBetween(entry, exit);
+        const duration = Math.max(0, endPoint.time - startPoint.time) ||
+            Math.max(0, path[last + 2].time - path[first].time) / 2;
+
+        // Horizontal heading (yaw) change, signed counter-clockwise, and climb angle change
+        const heading = dir => Math.atan2(dir.y, dir.x) * 180 / Math.PI;
+        const climb = dir => Math.asin(Math.max(-1, Math.min(1, dir.z))) * 180 / Math.PI;
+        const horizontal = Math.hypot(entry.x, entry.y) > 0.1 && Math.hypot(exit.x, exit.y) > 0.1;
+        let headingChange = horizontal ? heading(exit) - heading(entry) : 0;
+        if (headingChange > 180) headingChange -= 360;
+        if (headingChange < -180) headingChange += 360;
+
+        const nearestWaypoint = this.distanceToNearestWaypoint(apex, sequence);
+
+        return {
+            index: apex.index,
+            position: [apex.x, apex.y, apex.z],
+            bearingChange,
+            headingChange,
+            climbChange: climb(exit) - climb(entry),
+            sharpness: bearingChange / 180,
+            turnRate: duration > 0 ? bearingChange / duration : 0,
+            duration,
+            phase: apex.phase,
+            sequenceIndex: apex.sequenceIndex,
+            // Turns near a planned waypoint are intended corners, others are corrections or oscillation
+            planned: nearestWaypoint !== null && nearestWaypoint <= PLANNED_TURN_RADIUS
+        };
+    }
+
+    /**
+     * Keep a point each time the path has moved at least `step` metres - removes hover jitter
+     */
+    static resamplePathByDistance(positions, step) {
+        if (!positions || positions.length === 0) return [];
+
+        const toPoint = (pos, index) => ({
+            x: pos.x, y: pos.y, z: pos.z, time: pos.time, index,
+            phase: pos.phase, sequenceIndex: pos.sequence_index
+        });
+        const path = [toPoint(positions[0], 0)];
+
+        for (let i = 1; i < positions.length; i++) {
+            const last = path[path.length - 1];
+            if (this.vectorLength(this.subtractPoints(positions[i], last)) >= step) {
+                path.push(toPoint(positions[i], i));
+            }
+        }
+        return path;
+    }
+
+    static distanceToNearestWaypoint(point, sequence) {
+        if (!sequence || sequence.length === 0) return null;
+        return Math.min(...sequence.map(wp => Math.sqrt(
+            Math.pow(point.x - wp[0], 2) +
+            Math.pow(point.y - wp[1], 2) +
+            Math.pow(point.z - wp[2], 2)
+        )));
+    }
+
+    /**
+     * Altitude range/stability and step-response metrics for every vertical leg
+     */
+    static analyzeAltitudeProfile(positions) {
+        const altitudes = positions.map(pos => pos.z);
+        const hoverErrors = positions
+            .filter(pos => pos.phase === 'waypoint' && pos.target && typeof pos.target.z === 'number')
+            .map(pos => pos.z - pos.target.z);
+
+        const stepResponses = [];
+        let previousTarget = positions.length > 0 ? [positions[0].x, positions[0].y, positions[0].z] : null;
+
+        this.splitIntoLegs(positions).forEach((leg, legIndex) => {
+            const verticalStep = leg.target[2] - previousTarget[2];
+            const horizontalStep = Math.hypot(leg.target[0] - previousTarget[0], leg.target[1] - previousTarget[1]);
+
+            // Only legs that are predominantly vertical behave like an altitude step
+            if (Math.abs(verticalStep) >= MIN_VERTICAL_STEP && horizontalStep <= Math.abs(verticalStep)) {
+                stepResponses.push({
+                    legIndex,
+                    ...this.analyzeStepResponse(positions.slice(leg.startIndex, leg.endIndex + 1), previousTarget[2], leg.target[2]),
+                    startIndex: leg.startIndex,
+                    endIndex: leg.endIndex
+                });
+            }
+            previousTarget = leg.target;
+        });
+
+        const averageOf = key => {
+            const values = stepResponses.map(step => step[key]).filter(value => value !== null);
+            return values.length > 0 ? this.calculateMean(values) : null;
+        };
+
+        return {
+            minAltitude: altitudes.length > 0 ? Math.min(...altitudes) : 0,
+            maxAltitude: altitudes.length > 0 ? Math.max(...altitudes) : 0,
+            averageAltitude: this.calculateMean(altitudes),
+            altitudeRange: altitudes.length > 0 ? Math.max(...altitudes) - Math.min(...altitudes) : 0,
+            // Standard deviation of the altitude error while holding a waypoint
+            altitudeStability: this.calculateStandardDeviation(hoverErrors),
+            verticalMovements: stepResponses.length,
+            averageRiseTime: averageOf('riseTime'),
+            averageOvershoot: averageOf('overshoot'),
+            averageSettlingTime: averageOf('settlingTime'),
+            averageSteadyStateError: stepResponses.length > 0 ?
+                this.calculateMean(stepResponses.map(step => Math.abs(step.steadyStateError))) : null,
+            stepResponses
+        };
+    }
+
+    /**
+     * Classic step-response metrics of the altitude samples of one leg
+     */
+    static analyzeStepResponse(samples, startAltitude, targetAltitude) {
+        const stepSize = targetAltitude - startAltitude;
+        const startTime = samples[0].time;
+        const endTime = samples[samples.length - 1].time;
+        const progress = samples.map(pos => (pos.z - startAltitude) / stepSize);
+
+        // 10% -> 90% rise time
+        const t10 = samples.find((pos, i) => progress[i] >= 0.1);
+        const t90 = samples.find((pos, i) => progress[i] >= 0.9);
+
+        // Overshoot beyond the target, in the direction of the step
+        const peakProgress = Math.max(...progress);
+        const peakIndex = progress.indexOf(peakProgress);
+
+        // Settled once the altitude stays inside the band until the end of the leg
+        const tolerance = Math.max(SETTLING_BAND * Math.abs(stepSize), MIN_SETTLING_TOLERANCE);
+        let lastOutside = -1;
+        samples.forEach((pos, i) => {
+            if (Math.abs(pos.z - targetAltitude) > tolerance) lastOutside = i;
+        });
+        const settled = lastOutside < samples.length - 1;
+
+        const finalSamples = samples.filter(pos => pos.time >= endTime - STEADY_STATE_WINDOW);
+
+        return {
+            startAltitude,
+            targetAltitude,
+            stepSize,
+            direction: stepSize > 0 ? 'up' : 'down',
+            duration: endTime - startTime,
+            riseTime: t10 && t90 ? t90.time - t10.time : null,
+            peakAltitude: samples[peakIndex].z,
+            overshoot: Math.max(0, peakProgress - 1) * 100, // % of the step
+            overshootDistance: Math.max(0, peakProgress - 1) * Math.abs(stepSize),
+            settlingTime: settled ? (lastOutside === -1 ? 0 : samples[lastOutside + 1].time - startTime) : null,
+            settled,
+            // Mean altitude minus target over the end of the leg (positive = above target)
+            steadyStateError: this.calculateMean(finalSamples.map(pos => pos.z)) - targetAltitude
+        };
+    }
+
+    /**
+     * Per-waypoint leg metrics - timing, tracking error and path efficiency for each target
+     */
+    static analyzeLegs(positions) {
+        let previousTarget = positions.length > 0 ? [positions[0].x, positions[0].y, positions[0].z] : null;
+
+        const legs = this.splitIntoLegs(positions).map((leg, legIndex) => {
+            const samples = positions.slice(leg.startIndex, leg.endIndex + 1);
+            const startTime = samples[0].time;
+            const endTime = samples[samples.length - 1].time;
+
+            // Arrival = first sample flagged as holding the waypoint
+            const arrivalOffset = samples.findIndex(pos => pos.phase === 'waypoint');
+            const arrival = arrivalOffset === -1 ? null : samples[arrivalOffset];
+            const stabilized = samples.find(pos => pos.stabilized);
+
+            // Path efficiency of the transit part: straight line from the previous target vs distance flown
+            const transitSamples = arrivalOffset === -1 ? samples : samples.slice(0, arrivalOffset + 1);
+            const idealDistance = Math.sqrt(
+                Math.pow(leg.target[0] - previousTarget[0], 2) +
+                Math.pow(leg.target[1] - previousTarget[1], 2) +
+                Math.pow(leg.target[2] - previousTarget[2], 2)
             );
+            const actualDistance = this.calculateActualDistance(transitSamples);
+
+            const errors = samples.map(pos => pos.error || 0);
+            const xyErrors = samples.filter(pos => pos.error_xy !== undefined).map(pos => pos.error_xy);
+            const zErrors = samples.filter(pos => pos.error_z !== undefined).map(pos => pos.error_z);
+
+            previousTarget = leg.target;
+
+            return {
+                legIndex,
+                sequenceIndex: samples[0].sequence_index,
+                target: leg.target,
+                startIndex: leg.startIndex,
+                endIndex: leg.endIndex,
+                pointCount: samples.length,
+                startTime,
+                endTime,
+                duration: endTime - startTime,
+                reached: arrival !== null,
+                transitTime: arrival ? arrival.time - startTime : null,
+                dwellTime: arrival ? endTime - arrival.time : 0,
+                timeToStabilize: stabilized ? stabilized.time - startTime : null,
+                meanError: this.calculateMean(errors),
+                maxError: Math.max(...errors),
+                meanErrorXY: xyErrors.length > 0 ? this.calculateMean(xyErrors) : null,
+                maxErrorXY: xyErrors.length > 0 ? Math.max(...xyErrors) : null,
+                meanErrorZ: zErrors.length > 0 ? this.calculateMean(zErrors) : null,
+                maxErrorZ: zErrors.length > 0 ? Math.max(...zErrors) : null,
+                idealDistance,
+                actualDistance,
+                pathEfficiency: actualDistance > 0 ? Math.min(1, idealDistance / actualDistance) : null
+            };
+        });
+
+        const averageOf = key => {
+            const values = legs.map(leg => leg[key]).filter(value => value !== null);
+            return values.length > 0 ? this.calculateMean(values) : null;
+        };
+
+        return {
+            summary: {
+                totalLegs: legs.length,
+                reachedLegs: legs.filter(leg => leg.reached).length,
+                averageTransitTime: averageOf('transitTime'),
+                averageDwellTime: averageOf('dwellTime'),
+                averageTimeToStabilize: averageOf('timeToStabilize'),
+                averagePathEfficiency: averageOf('pathEfficiency'),
+                worstLegIndex: legs.length > 0 ?
+                    legs.reduce((worst, leg) => leg.meanError > worst.meanError ? leg : worst).legIndex : null
+            },
+            legs
+        };
+    }
+
+    /**
+     * Integral error criteria (IAE, ISE, ITAE, ITSE) for the whole flight and per leg
+     *
+     * Time weighting runs from the start of the signal - the first sample of the flight, or the
+     * setpoint change that starts each leg.
+     */
+    static calculatePerformanceIndices(positions) {
+        const legs = this.splitIntoLegs(positions).map((leg, legIndex) => ({
+            legIndex,
+            sequenceIndex: positions[leg.startIndex].sequence_index,
+            target: leg.target,
+            ...this.integrateErrorCriteria(positions.slice(leg.startIndex, leg.endIndex + 1))
+        }));
+
+        return {
+            overall: this.integrateErrorCriteria(positions),
+            legs
+        };
+    }
+
+    /**
+     * Trapezoidal integrals of |e|, e^2, t|e| and t*e^2 over time-stamped error samples
+     */
+    static integrateErrorCriteria(positions) {
+        const samples = positions.filter(pos => typeof pos.error === 'number' && typeof pos.time === 'number');
+        const result = { iae: 0, ise: 0, itae: 0, itse: 0, duration: 0, samples: samples.length };
+        if (samples.length < 2) return result;
+
+        const start = samples[0].time;
+        for (let i = 1; i < samples.length; i++) {
+            const dt = samples[i].time - samples[i - 1].time;
+            if (dt <= 0) continue;
+
+            const [a, b] = [samples[i - 1], samples[i]];
+            const [ta, tb] = [a.time - start, b.time - start];
+            const [ea, eb] = [Math.abs(a.error), Math.abs(b.error)];
+
+            result.iae += (ea + eb) / 2 * dt;
+            result.ise += (ea * ea + eb * eb) / 2 * dt;
+            result.itae += (ta * ea + tb * eb) / 2 * dt;
+            result.itse += (ta * ea * ea + tb * eb * eb) / 2 * dt;
+        }
+        result.duration = samples[samples.length - 1].time - start;
+
+        return result;
+    }
+
+    /**
+     * Hover quality per waypoint from the phase === 'waypoint' samples of each leg
+     */
+    static analyzeHoverPrecision(positions) {
+        const waypoints = [];
+
+        this.splitIntoLegs(positions).forEach((leg, legIndex) => {
+            const samples = positions
+                .slice(leg.startIndex, leg.endIndex + 1)
+                .filter(pos => pos.phase === 'waypoint');
+            if (samples.length === 0) return;
+
+            waypoints.push({
+                legIndex,
+                sequenceIndex: samples[0].sequence_index,
+                target: leg.target,
+                ...this.calculateHoverMetrics(samples, leg.target)
+            });
+        });
+
+        const averageOf = key => this.calculateMean(waypoints.map(wp => wp[key]));
+        const driftRates = waypoints.map(wp => wp.driftRate).filter(rate => rate !== null);
+
+        return {
+            waypointCount: waypoints.length,
+            averageCep50: averageOf('cep50'),
+            averageCep95: averageOf('cep95'),
+            averageDrms2: averageOf('drms2'),
+            averageSep50: averageOf('sep50'),
+            maxDriftRate: driftRates.length > 0 ? Math.max(...driftRates) : null,
+            waypoints
+        };
+    }
+
+    /**
+     * CEP, 2DRMS, spherical error and drift of hover samples around a target
+     */
+    static calculateHoverMetrics(samples, target) {
+        const dx = samples.map(pos => pos.x - target[0]);
+        const dy = samples.map(pos => pos.y - target[1]);
+        const dz = samples.map(pos => pos.z - target[2]);
+        const horizontal = StatisticsCalculator.calculateStats(dx.map((x, i) => Math.hypot(x, dy[i])));
+        const spherical = StatisticsCalculator.calculateStats(dx.map((x, i) => Math.hypot(x, dy[i], dz[i])));
+
+        // Drift = slope of a straight line fitted to each axis over the dwell window
+        let drift = null;
+        if (samples.length >= MIN_DRIFT_SAMPLES) {
+            const times = samples.map(pos => pos.time - samples[0].time);
+            const [vx, vy, vz] = [dx, dy, dz].map(axis => StatisticsCalculator.linearRegression(times, axis).slope);
+            const horizontalRate = Math.hypot(vx, vy);
+            drift = {
+                driftRate: Math.hypot(vx, vy, vz),
+                horizontalDriftRate: horizontalRate,
+                verticalDriftRate: vz,
+                // Heading of the horizontal drift, degrees counter-clockwise from +x
+                driftDirection: horizontalRate > 0 ? (Math.atan2(vy, vx) * 180 / Math.PI + 360) % 360 : null
+            };
+        }
+
+        return {
+            sampleCount: samples.length,
+            dwellTime: samples[samples.length - 1].time - samples[0].time,
+            meanOffset: [this.calculateMean(dx), this.calculateMean(dy), this.calculateMean(dz)],
+            cep50: horizontal.p50,
+            cep95: horizontal.p95,
+            // Twice the horizontal RMS error about the target
+            drms2: 2 * horizontal.rms,
+            sep50: spherical.p50,
+            sep95: spherical.p95,
+            sphericalRms: spherical.rms,
+            driftRate: drift ? drift.driftRate : null,
+            horizontalDriftRate: drift ? drift.horizontalDriftRate : null,
+            verticalDriftRate: drift ? drift.verticalDriftRate : null,
+            driftDirection: drift ? drift.driftDirection : null
+        };
+    }
+
+    /**
+     * Split the flight into legs - runs of consecutive points sharing the same target
+     */
+    static splitIntoLegs(positions) {
+        const legs = [];
+
+        positions.forEach((pos, index) => {
+            if (!pos.target || typeof pos.target.x !== 'number') return;
+
+            const target = [pos.target.x, pos.target.y, pos.target.z];
+            const current = legs[legs.length - 1];
+            const sameTarget = current && target.every((value, axis) => Math.abs(value - current.target[axis]) < 1e-6);
+
+            if (sameTarget) {
+                current.endIndex = index;
+            } else {
+                legs.push({ target, startIndex: index, endIndex: index });
+            }
+        });
+
+        return legs;
+    }
+
+    /**
+     * Per-point network quality - stored values when present, otherwise derived from telemetry
+     */
+    static getNetworkQualities(flightData) {
+        const positions = flightData.position_data;
+        if (positions.length > 0 && positions.every(pos => typeof pos.networkQuality === 'number')) {
+            return positions.map(pos => pos.networkQuality);
+        }
+        return NetworkAnalyzer.calculateQualitySignal(flightData);
+    }
+
+    /**
+     * Correlate network quality with tracking error
+     */
+    static calculateNetworkCorrelation(positions, qualities) {
+        const errors = positions.map(p => p.error || 0);
+        const segmentBounds = { excellent: [90, Infinity], good: [70, 90], fair: [50, 70], poor: [-Infinity, 50] };
+
+        const networkSegments = {};
+        Object.keys(segmentBounds).forEach(segment => {
+            const [low, high] = segmentBounds[segment];
+            const segmentErrors = errors.filter((error, i) => qualities[i] >= low && qualities[i] < high);
+            networkSegments[segment] = {
+                count: segmentErrors.length,
+                avgError: this.calculateMean(segmentErrors)
+            };
+        });
+
+        // Highest segment boundary below which the error rises more than 20% over the excellent segment
+        const baseline = networkSegments.excellent.count > 0 ?
+            networkSegments.excellent.avgError : this.calculateMean(errors);
+        let criticalThreshold = null;
+        for (const threshold of [90, 70, 50]) {
+            const below = errors.filter((error, i) => qualities[i] < threshold);
+            if (below.length > 0 && baseline > 0 && this.calculateMean(below) > baseline * 1.2) {
+                criticalThreshold = threshold;
+                break;
+            }
         }
 
-        const efficiencyRatio = idealDistance > 0 ? idealDistance / actualDistance : 0.85;
+        let performanceDrop = 0;
+        if (criticalThreshold !== null) {
+            const below = errors.filter((error, i) => qualities[i] < criticalThreshold);
+            const above = errors.filter((error, i) => qualities[i] >= criticalThreshold);
+            const aboveMean = this.calculateMean(above);
+            performanceDrop = aboveMean > 0 ? ((this.calculateMean(below) - aboveMean) / aboveMean) * 100 : 0;
+        }
+
+        // Correlation restricted to points where the link was not excellent
+        const degradedIndices = qualities.map((q, i) => i).filter(i => qualities[i] < 90);
 
         return {
-            actualDistance: actualDistance,
-            idealDistance: idealDistance,
-            efficiencyRatio: Math.min(1.0, efficiencyRatio), // Cap at 100%
-            excessDistance: actualDistance - idealDistance
+            networkErrorCorrelation: this.calculateCorrelation(qualities, errors),
+            averageNetworkQuality: this.calculateMean(qualities),
+            networkQualityRange: {
+                min: qualities.length > 0 ? Math.min(...qualities) : 0,
+                max: qualities.length > 0 ? Math.max(...qualities) : 0
+            },
+            networkSegments,
+            degradationImpact: {
+                impactCorrelation: this.calculateCorrelation(
+                    degradedIndices.map(i => qualities[i]),
+                    degradedIndices.map(i => errors[i])
+                ),
+                criticalThreshold,
+                performanceDrop
+            }
         };
     }
 
@@ -203,23 +834,77 @@ class TrajectoryAnalyzer {
                 maxError: analysis.pathAccuracy.maxError.toFixed(4),
                 totalPoints: analysis.basicStats.totalPoints,
                 stabilizationRate: (analysis.stabilityMetrics.stabilizationRatio * 100).toFixed(1) + '%',
-                efficiencyRatio: (analysis.trajectoryEfficiency.efficiencyRatio * 100).toFixed(1) + '%'
+                efficiencyRatio: this.formatRatio(analysis.trajectoryEfficiency.efficiencyRatio),
+                timeEfficiency: this.formatRatio(analysis.trajectoryEfficiency.timeEfficiency),
+                pathSmoothness: (analysis.turnAnalysis.pathSmoothness * 100).toFixed(1) + '%',
+                networkImpact: analysis.networkCorrelation.networkErrorCorrelation.toFixed(3)
             },
-            detailed: analysis
+            detailed: analysis,
+            recommendations: this.generateRecommendations(analysis)
+        };
+    }
+
+    /**
+     * Recommendations drawn from the trajectory analysis
+     */
+    static generateRecommendations(analysis) {
+        const recommendations = [];
+        const jitter = analysis.stabilityMetrics.jitterMetrics;
+        const advice = {
+            hover: 'while holding waypoints - reduce the position loop gain or add damping (D term)',
+            transit: 'while tracking legs - reduce the velocity loop gain or feed-forward'
         };
+
+        ['hover', 'transit'].forEach(phase => {
+            jitter[phase].axes.filter(axis => axis.oscillation).forEach(axis => {
+                recommendations.push({
+                    category: 'controller_tuning',
+                    severity: axis.amplitude >= 2 * SpectralAnalyzer.OSCILLATION_AMPLITUDE ? 'high' : 'medium',
+                    message: `${axis.axis.toUpperCase()}-axis oscillation of ${(axis.amplitude * 100).toFixed(1)} cm ` +
+                        `at ${axis.frequency.toFixed(2)} Hz ${advice[phase]}`,
+                    metric: `stabilityMetrics.jitterMetrics.${phase}`
+                });
+            });
+        });
+
+        return recommendations;
     }
 
     // Helper calculation methods
     static calculateMean(values) {
-        if (values.length === 0) return 0;
-        return values.reduce((sum, val) => sum + val, 0) / values.length;
+        return StatisticsCalculator.mean(values);
     }
 
     static calculateStandardDeviation(values) {
-        if (values.length === 0) return 0;
-        const mean = this.calculateMean(values);
-        const squaredDiffs = values.map(val => Math.pow(val - mean, 2));
-        return Math.sqrt(this.calculateMean(squaredDiffs));
+        return StatisticsCalculator.standardDeviation(values);
+    }
+
+    // Ratio as a percentage string, 'N/A' when it could not be computed
+    static formatRatio(ratio) {
+        return ratio === null ? 'N/A' : (ratio * 100).toFixed(1) + '%';
+    }
+
+    static subtractPoints(a, b) {
+        return { x: a.x - b.x, y: a.y - b.y, z: a.z - b.z };
+    }
+
+    static vectorLength(v) {
+        return Math.sqrt(v.x * v.x + v.y * v.y + v.z * v.z);
+    }
+
+    static normalizeVector(v) {
+        const length = this.vectorLength(v);
+        return length > 0 ? { x: v.x / length, y: v.y / length, z: v.z / length } : { x: 0, y: 0, z: 0 };
+    }
+
+    // Angle in degrees between two unit vectors
+    static angleBetween(a, b) {
+        const dot = a.x * b.x + a.y * b.y + a.z * b.z;
+        return Math.acos(Math.max(-1, Math.min(1, dot))) * 180 / Math.PI;
+    }
+
+    static calculateCorrelation(x, y) {
+        return StatisticsCalculator.correlation(x, y);
     }
 }
 
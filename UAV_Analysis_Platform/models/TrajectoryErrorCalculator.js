@@ -0,0 +1,216 @@
+const StatisticsCalculator = require('./StatisticsCalculator');
+
+// Name the flight logs use for this calculator in error_calculation.method
+const METHOD = 'TrajectoryAwareErrorCalculator3D';
+const VERTICAL_MODES = ['direct', 'path'];
+const DEFAULT_OPTIONS = { verticalMode: 'direct', heightWeight: 1.0, excludeTransit: true };
+
+/**
+ * Server-side TrajectoryAwareErrorCalculator3D
+ *
+ * Waypoint samples are measured against their target. Transit samples are measured against
+ * the leg from the previous waypoint to the target: horizontally against the closest point of
+ * the leg, vertically against the altitude interpolated by transition progress.
+ * - 'path' vertical mode: transit error includes the full interpolated altitude error
+ * - 'direct' vertical mode: transit altitude only counts once it leaves the band between the
+ *   two waypoint altitudes, so climbing or descending faster than the reference is not penalised
+ * height_weight scales the vertical component; exclude_transit keeps transit samples out of the
+ * "valid" error statistics.
+ */
+class TrajectoryErrorCalculator {
+
+    /**
+     * Resolve calculator options, falling back to the logged config and then the defaults
+     */
+    static resolveOptions(options = {}, logged = {}) {
+        const pick = key => (
+            options[key] !== undefined && options[key] !== null ? options[key] :
+                logged[key] !== undefined && logged[key] !== null ? logged[key] : DEFAULT_OPTIONS[key]
+        );
+
+        return {
+            verticalMode: pick('verticalMode'),
+            heightWeight: Number(pick('heightWeight')),
+            excludeTransit: pick('excludeTransit') === true || pick('excludeTransit') === 'true'
+        };
+    }
+
+    /**
+     * Check user supplied options, returns an error message or null
+     */
+    static validateOptions(options) {
+        if (options.verticalMode !== undefined && !VERTICAL_MODES.includes(options.verticalMode)) {
+            return `verticalMode must be one of: ${VERTICAL_MODES.join(', ')}`;
+        }
+        if (options.heightWeight !== undefined &&
+            (isNaN(Number(options.heightWeight)) || Number(options.heightWeight) < 0)) {
+            return 'heightWeight must be a non-negative number';
+        }
+        if (options.excludeTransit !== undefined && typeof options.excludeTransit !== 'boolean' &&
+            !['true', 'false'].includes(options.excludeTransit)) {
+            return 'excludeTransit must be a boolean';
+        }
+        return null;
+    }
+
+    /**
+     * Error components of a single sample, null when the sample has no target
+     */
+    static calculatePointError(point, sequence, options) {
+        const target = point.target;
+        if (!target || typeof target.x !== 'number') return null;
+
+        const end = [target.x, target.y, target.z];
+        const start = this.getLegStart(point, sequence) || end;
+        const weight = options.heightWeight;
+
+        if (point.phase === 'waypoint') {
+            const errorXY = Math.hypot(point.x - end[0], point.y - end[1]);
+            const errorZ = Math.abs(point.z - end[2]);
+            return { error: Math.hypot(errorXY, weight * errorZ), error_xy: errorXY, error_z: errorZ };
+        }
+
+        // Horizontal distance to the closest point of the leg's XY projection
+        const dx = end[0] - start[0];
+        const dy = end[1] - start[1];
+        const lengthSquared = dx * dx + dy * dy;
+        const s = lengthSquared > 0 ?
+            Math.max(0, Math.min(1, ((point.x - start[0]) * dx + (point.y - start[1]) * dy) / lengthSquared)) : 0;
+        const errorXY = Math.hypot(point.x - (start[0] + s * dx), point.y - (start[1] + s * dy));
+
+        // Altitude expected at the current transition progress
+        const progress = typeof point.transition_progress === 'number' ?
+            point.transition_progress : this.projectOnLeg(point, start, end);
+        const errorZ = Math.abs(point.z - (start[2] + progress * (end[2] - start[2])));
+
+        let verticalError = errorZ;
+        if (options.verticalMode === 'direct') {
+            const low = Math.min(start[2], end[2]);
+            const high = Math.max(start[2], end[2]);
+            verticalError = Math.max(0, low - point.z, point.z - high);
+        }
+
+        return { error: Math.hypot(errorXY, weight * verticalError), error_xy: errorXY, error_z: errorZ };
+    }
+
+    /**
+     * Re-run the calculator over a flight (raw log shape) with the given options
+     */
+    static recalculate(flightData, options) {
+        const positions = flightData.position_data || [];
+        const sequence = flightData.sequence || [];
+
+        const errors = positions.map(point => this.calculatePointError(point, sequence, options));
+
+        return {
+            method: METHOD,
+            config: options,
+            errors,
+            summary: this.summarize(positions, errors, options)
+        };
+    }
+
+    /**
+     * Fill error components on samples that were logged without an error value
+     */
+    static fillMissingErrors(flightData, options) {
+        const sequence = flightData.sequence || [];
+        let recomputedPoints = 0;
+
+        const positions = (flightData.position_data || []).map(point => {
+            if (typeof point.error === 'number') return point;
+
+            const computed = this.calculatePointError(point, sequence, options);
+            if (!computed) return point;
+
+            recomputedPoints++;
+            return { ...point, ...computed };
+        });
+
+        return { positions, recomputedPoints };
+    }
+
+    /**
+     * Error statistics per phase and component, mirroring the logged position_accuracy block
+     */
+    static summarize(positions, errors, options) {
+        const overall = [];
+        const waypoint = [];
+        const transit = [];
+        const valid = [];
+        const xy = [];
+        const z = [];
+
+        errors.forEach((result, i) => {
+            if (!result) return;
+            const isWaypoint = positions[i].phase === 'waypoint';
+
+            overall.push(result.error);
+            (isWaypoint ? waypoint : transit).push(result.error);
+            if (typeof result.error_xy === 'number') xy.push(result.error_xy);
+            if (typeof result.error_z === 'number') z.push(result.error_z);
+            if (isWaypoint || !options.excludeTransit) valid.push(result.error);
+        });
+
+        return {
+            overall: this.calculateStats(overall),
+            waypoint: this.calculateStats(waypoint),
+            transit: this.calculateStats(transit),
+            valid: this.calculateStats(valid),
+            xyPlane: this.calculateStats(xy),
+            altitude: this.calculateStats(z),
+            validPoints: valid.length,
+            excludedPoints: overall.length - valid.length
+        };
+    }
+
+    /**
+     * Per-point differences between two error series
+     */
+    static compareErrors(baseline, candidate) {
+        const differences = [];
+        baseline.forEach((value, i) => {
+            if (typeof value === 'number' && typeof candidate[i] === 'number') {
+                differences.push(candidate[i] - value);
+            }
+        });
+
+        const absolute = differences.map(Math.abs);
+        return {
+            comparedPoints: differences.length,
+            averageDifference: differences.length > 0 ?
+                differences.reduce((sum, d) => sum + d, 0) / differences.length : 0,
+            maxAbsoluteDifference: absolute.length > 0 ? Math.max(...absolute) : 0,
+            changedPoints: absolute.filter(d => d > 1e-6).length
+        };
+    }
+
+    // Waypoint the current leg starts from - sequence[sequence_index - 1]
+    static getLegStart(point, sequence) {
+        const index = point.sequence_index;
+        if (!Array.isArray(sequence) || typeof index !== 'number' || index < 1 || index > sequence.length) {
+            return null;
+        }
+        return sequence[index - 1];
+    }
+
+    // Fraction (0-1) of the leg covered by the point's projection, used when progress is not logged
+    static projectOnLeg(point, start, end) {
+        const leg = [end[0] - start[0], end[1] - start[1], end[2] - start[2]];
+        const lengthSquared = leg[0] * leg[0] + leg[1] * leg[1] + leg[2] * leg[2];
+        if (lengthSquared === 0) return 1;
+
+        const along = (point.x - start[0]) * leg[0] + (point.y - start[1]) * leg[1] + (point.z - start[2]) * leg[2];
+        return Math.max(0, Math.min(1, along / lengthSquared));
+    }
+
+    // Helper calculation methods
+    static calculateStats(values) {
+        return StatisticsCalculator.calculateStats(values);
+    }
+}
+
+TrajectoryErrorCalculator.METHOD = METHOD;
+TrajectoryErrorCalculator.VERTICAL_MODES = VERTICAL_MODES;
+
+module.exports = TrajectoryErrorCalculator;
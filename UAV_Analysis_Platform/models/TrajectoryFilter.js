@@ -0,0 +1,312 @@
+const TrajectoryErrorCalculator = require('./TrajectoryErrorCalculator');
+const UAVDataProcessor = require('./UAVDataProcessor');
+
+const FILTER_TYPES = ['none', 'moving_average', 'savitzky_golay', 'kalman'];
+const DEFAULT_OPTIONS = {
+    filter: 'none',
+    window: null, // samples, odd - defaults per filter below
+    polyOrder: 2,
+    processNoise: 0.5, // m/s^2, std of the unmodelled acceleration
+    measurementNoise: 0.02, // m, std of the position measurement
+    resampleRate: null // Hz, null keeps the logged timestamps
+};
+const DEFAULT_WINDOWS = { moving_average: 5, savitzky_golay: 7 };
+const MAX_WINDOW = 51;
+const MAX_POLY_ORDER = 5;
+// Resampling above this rate (Hz) would only interpolate between a 20Hz log
+const MAX_RESAMPLE_RATE = 200;
+// Most points a resampled flight may have, a long timestamp gap would otherwise blow up the output
+const MAX_RESAMPLED_POINTS = 20000;
+const AXES = ['x', 'y', 'z'];
+
+/**
+ * Optional smoothing and resampling applied to a flight before analysis
+ *
+ * Filters work per axis on the logged positions:
+ * - moving_average: centred window, shrunk symmetrically at the ends of the flight
+ * - savitzky_golay: local least-squares polynomial over the window, fitted against the sample
+ *   times so uneven sampling and gaps are handled
+ * - kalman: forward constant-velocity Kalman filter
+ * Resampling to a uniform rate runs first; positions and transition progress are interpolated,
+ * every other field is held from the previous sample. Errors are then recomputed with the
+ * flight's error calculator config, and the applied options are returned as a record so the
+ * numbers can be reproduced.
+ */
+class TrajectoryFilter {
+
+    /**
+     * Resolve filter options from query parameters, falling back to the defaults
+     */
+    static resolveOptions(query = {}) {
+        const pick = key => (query[key] !== undefined && query[key] !== '' ? query[key] : DEFAULT_OPTIONS[key]);
+        const filter = pick('filter');
+        const resampleRate = pick('resampleRate');
+        const window = pick('window');
+
+        return {
+            filter,
+            window: window !== null ? Number(window) : DEFAULT_WINDOWS[filter] || null,
+            polyOrder: Number(pick('polyOrder')),
+            processNoise: Number(pick('processNoise')),
+            measurementNoise: Number(pick('measurementNoise')),
+            resampleRate: resampleRate !== null ? Number(resampleRate) : null
+        };
+    }
+
+    /**
+     * Check user supplied filter parameters, returns an error message or null
+     */
+    static validateOptions(query = {}) {
+        const options = this.resolveOptions(query);
+
+        if (!FILTER_TYPES.includes(options.filter)) {
+            return `filter must be one of: ${FILTER_TYPES.join(', ')}`;
+        }
+        if (options.window !== null &&
+            (!Number.isInteger(options.window) || options.window < 3 || options.window > MAX_WINDOW || options.window % 2 === 0)) {
+            return `window must be an odd integer between 3 and ${MAX_WINDOW}`;
+        }
+        if (!Number.isInteger(options.polyOrder) || options.polyOrder < 1 || options.polyOrder > MAX_POLY_ORDER) {
+            return `polyOrder must be an integer between 1 and ${MAX_POLY_ORDER}`;
+        }
+        if (options.filter === 'savitzky_golay' && options.polyOrder >= options.window) {
+            return 'polyOrder must be lower than window';
+        }
+        if (!(options.processNoise > 0) || !(options.measurementNoise > 0)) {
+            return 'processNoise and measurementNoise must be positive numbers';
+        }
+        if (options.resampleRate !== null && !(options.resampleRate > 0 && options.resampleRate <= MAX_RESAMPLE_RATE)) {
+            return `resampleRate must be a number between 0 and ${MAX_RESAMPLE_RATE} Hz`;
+        }
+        return null;
+    }
+
+    /**
+     * Check the resampled size of a flight's positions, returns an error message or null
+     */
+    static validateOutputSize(positions, options) {
+        if (options.resampleRate === null || positions.length < 2) return null;
+
+        const duration = positions[positions.length - 1].time - positions[0].time;
+        if (duration * options.resampleRate + 1 > MAX_RESAMPLED_POINTS) {
+            return `resampleRate ${options.resampleRate} Hz over ${duration.toFixed(1)}s would exceed ` +
+                `${MAX_RESAMPLED_POINTS} points - lower the rate`;
+        }
+        return null;
+    }
+
+    /**
+     * Filter a flight (raw log shape), returns the filtered flight and the record of what was applied
+     */
+    static apply(flightData, options, errorOptions) {
+        const input = flightData.position_data || [];
+        const record = this.describe(options, input.length);
+        if (options.filter === 'none' && options.resampleRate === null) {
+            return { flightData, filter: record };
+        }
+
+        let positions = input.map(point => UAVDataProcessor.processPositionPoint(point));
+        if (options.resampleRate !== null) {
+            positions = this.resample(positions, options.resampleRate);
+        }
+        if (options.filter !== 'none') {
+            positions = this.smooth(positions, options);
+        }
+
+        const sequence = flightData.sequence || [];
+        positions = positions.map(point => {
+            const computed = TrajectoryErrorCalculator.calculatePointError(point, sequence, errorOptions);
+            return computed ? { ...point, ...computed } : point;
+        });
+
+        record.outputPoints = positions.length;
+        record.errorCalculation = { method: TrajectoryErrorCalculator.METHOD, config: errorOptions };
+
+        return {
+            flightData: { ...flightData, position_data: positions },
+            filter: record
+        };
+    }
+
+    // Options that affect the result, for the response
+    static describe(options, inputPoints) {
+        const record = { type: options.filter };
+        if (options.filter === 'moving_average') {
+            record.window = options.window;
+        } else if (options.filter === 'savitzky_golay') {
+            record.window = options.window;
+            record.polyOrder = options.polyOrder;
+        } else if (options.filter === 'kalman') {
+            record.processNoise = options.processNoise;
+            record.measurementNoise = options.measurementNoise;
+        }
+        record.resampleRate = options.resampleRate;
+        record.inputPoints = inputPoints;
+        record.outputPoints = inputPoints;
+        record.errorCalculation = null; // logged errors kept
+        return record;
+    }
+
+    /**
+     * Apply the selected smoothing filter to x/y/z of already copied points
+     */
+    static smooth(positions, options) {
+        const times = positions.map(point => point.time);
+        const smoothed = positions.map(point => ({ ...point }));
+
+        AXES.forEach(axis => {
+            const values = positions.map(point => point[axis]);
+            let result;
+            if (options.filter === 'moving_average') {
+                result = this.movingAverage(values, options.window);
+            } else if (options.filter === 'savitzky_golay') {
+                result = this.savitzkyGolay(values, times, options.window, options.polyOrder);
+            } else {
+                result = this.kalmanConstantVelocity(values, times, options.processNoise, options.measurementNoise);
+            }
+            result.forEach((value, i) => { smoothed[i][axis] = value; });
+        });
+
+        return smoothed;
+    }
+
+    // Centred moving average, the window shrinks symmetrically near either end
+    static movingAverage(values, window) {
+        const half = Math.floor(window / 2);
+
+        return values.map((value, i) => {
+            const reach = Math.min(half, i, values.length - 1 - i);
+            let sum = 0;
+            for (let j = i - reach; j <= i + reach; j++) sum += values[j];
+            return sum / (2 * reach + 1);
+        });
+    }
+
+    /**
+     * Savitzky-Golay smoothing: value of the least-squares polynomial fitted to the window around
+     * each sample, using sample times as the abscissa. The window is shifted, not shrunk, at the ends.
+     */
+    static savitzkyGolay(values, times, window, polyOrder) {
+        const n = values.length;
+        const size = Math.min(window, n);
+        const order = Math.min(polyOrder, size - 1);
+        const half = Math.floor(size / 2);
+
+        return values.map((value, i) => {
+            const start = Math.max(0, Math.min(i - half, n - size));
+            const span = (times[start + size - 1] - times[start]) || 1;
+            const normal = Array.from({ length: order + 1 }, () => new Array(order + 2).fill(0));
+
+            // Normal equations of the fit in normalised time relative to sample i
+            for (let j = start; j < start + size; j++) {
+                const t = (times[j] - times[i]) / span;
+                const powers = [1];
+                for (let k = 1; k <= 2 * order; k++) powers.push(powers[k - 1] * t);
+                for (let row = 0; row <= order; row++) {
+                    for (let col = 0; col <= order; col++) normal[row][col] += powers[row + col];
+                    normal[row][order + 1] += powers[row] * values[j];
+                }
+            }
+
+            const coefficients = this.solveLinearSystem(normal);
+            return coefficients ? coefficients[0] : value;
+        });
+    }
+
+    // Gauss-Jordan elimination with partial pivoting on an augmented matrix, null when singular
+    static solveLinearSystem(augmented) {
+        const size = augmented.length;
+        const m = augmented.map(row => row.slice());
+
+        for (let col = 0; col < size; col++) {
+            let pivot = col;
+            for (let row = col + 1; row < size; row++) {
+                if (Math.abs(m[row][col]) > Math.abs(m[pivot][col])) pivot = row;
+            }
+            if (Math.abs(m[pivot][col]) < 1e-12) return null;
+            [m[col], m[pivot]] = [m[pivot], m[col]];
+
+            for (let row = 0; row < size; row++) {
+                if (row === col) continue;
+                const factor = m[row][col] / m[col][col];
+                for (let k = col; k <= size; k++) m[row][k] -= factor * m[col][k];
+            }
+        }
+
+        return m.map((row, i) => row[size] / row[i]);
+    }
+
+    /**
+     * Forward constant-velocity Kalman filter on one axis, using the logged time steps
+     */
+    static kalmanConstantVelocity(values, times, processNoise, measurementNoise) {
+        if (values.length === 0) return [];
+
+        const q = processNoise * processNoise;
+        const r = measurementNoise * measurementNoise;
+        let position = values[0];
+        let velocity = 0;
+        // Covariance [[p00, p01], [p01, p11]]
+        let p00 = r;
+        let p01 = 0;
+        let p11 = 1;
+
+        return values.map((measurement, i) => {
+            if (i > 0) {
+                const dt = Math.max(0, times[i] - times[i - 1]);
+                position += velocity * dt;
+                // P = F P F' + Q, white-noise acceleration model
+                p00 += dt * (2 * p01 + dt * p11) + q * dt * dt * dt / 3;
+                p01 += dt * p11 + q * dt * dt / 2;
+                p11 += q * dt;
+            }
+
+            const innovation = measurement - position;
+            const s = p00 + r;
+            const k0 = p00 / s;
+            const k1 = p01 / s;
+            position += k0 * innovation;
+            velocity += k1 * innovation;
+            p11 -= k1 * p01;
+            p01 -= k0 * p01;
+            p00 -= k0 * p00;
+
+            return position;
+        });
+    }
+
+    /**
+     * Resample to a uniform rate between the first and last sample
+     */
+    static resample(positions, rate) {
+        if (positions.length < 2) return positions;
+
+        const start = positions[0].time;
+        const count = Math.floor((positions[positions.length - 1].time - start) * rate + 1e-9) + 1;
+        const resampled = [];
+        let j = 0;
+
+        for (let i = 0; i < count; i++) {
+            const time = start + i / rate;
+            while (j < positions.length - 2 && positions[j + 1].time <= time) j++;
+
+            const a = positions[j];
+            const b = positions[j + 1];
+            const t = b.time > a.time ? Math.max(0, Math.min(1, (time - a.time) / (b.time - a.time))) : 0;
+            const point = { ...a, time };
+            AXES.forEach(axis => { point[axis] = a[axis] + t * (b[axis] - a[axis]); });
+            if (typeof a.transition_progress === 'number' && typeof b.transition_progress === 'number' &&
+                a.sequence_index === b.sequence_index) {
+                point.transition_progress = a.transition_progress + t * (b.transition_progress - a.transition_progress);
+            }
+            resampled.push(point);
+        }
+
+        return resampled;
+    }
+}
+
+TrajectoryFilter.FILTER_TYPES = FILTER_TYPES;
+TrajectoryFilter.MAX_RESAMPLED_POINTS = MAX_RESAMPLED_POINTS;
+
+module.exports = TrajectoryFilter;
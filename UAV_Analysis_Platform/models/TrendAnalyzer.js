@@ -0,0 +1,180 @@
+const StatisticsCalculator = require('./StatisticsCalculator');
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+// Change of the fitted line over the series, as a share of the mean, below which the trend is stable
+const TREND_THRESHOLD = 0.05;
+// Significance the regression slope needs before a trend is reported
+const TREND_ALPHA = 0.05;
+// Trailing window (points) of the rolling average
+const ROLLING_WINDOW = 5;
+// Change points: fewest points on either side, most reported, and the Welch p-value a split needs.
+// Every candidate split is tested, so the threshold is stricter than a single test would use
+const MIN_SEGMENT_POINTS = 3;
+const MAX_CHANGE_POINTS = 3;
+const CHANGE_POINT_ALPHA = 0.01;
+
+/**
+ * Trend of a metric over time
+ *
+ * Works on [{ date, value }] points in any order:
+ * - least-squares line with the p-value of its slope, and the Theil-Sen line (median of the
+ *   pairwise slopes) which a few outlier flights cannot tilt
+ * - trailing rolling average
+ * - change points by binary segmentation: the split that best separates the mean of a segment,
+ *   kept when a Welch t-test between both sides is significant, then repeated on each side
+ * The trend is read from the robust slope: it must change the metric by TREND_THRESHOLD of its
+ * mean over the series and the least-squares slope must be significant. `better` says which way
+ * is an improvement ('lower' for errors), so a rising error is reported as declining.
+ */
+class TrendAnalyzer {
+
+    static analyzeSeries(points, better = 'higher', window = ROLLING_WINDOW) {
+        const series = points
+            .filter(point => typeof point.value === 'number' && !isNaN(point.value))
+            .map(point => ({ date: new Date(point.date), value: point.value }))
+            .sort((a, b) => a.date - b.date);
+
+        if (series.length < 2) {
+            return { count: series.length, trend: 'insufficient_data', changePoints: [], rollingAverage: [] };
+        }
+
+        const start = series[0].date.getTime();
+        const days = series.map(point => (point.date.getTime() - start) / MS_PER_DAY);
+        const values = series.map(point => point.value);
+        const spanDays = days[days.length - 1];
+        const mean = StatisticsCalculator.mean(values);
+
+        const regression = this.linearRegression(days, values);
+        const robust = this.theilSen(days, values);
+        const change = robust.slopePerDay * spanDays;
+        const relativeChange = mean !== 0 ? change / Math.abs(mean) : null;
+
+        return {
+            count: series.length,
+            spanDays,
+            mean,
+            regression,
+            robustRegression: robust,
+            change,
+            relativeChange,
+            trend: this.classifyTrend(change, relativeChange, regression.pValue, better),
+            rollingAverage: this.rollingAverage(series, window),
+            changePoints: this.detectChangePoints(series, better)
+        };
+    }
+
+    // Least-squares fit against days with the two-sided p-value of the slope
+    static linearRegression(days, values) {
+        const { slope, intercept, r2 } = StatisticsCalculator.linearRegression(days, values);
+        const n = values.length;
+        const meanDays = StatisticsCalculator.mean(days);
+        const sxx = days.reduce((sum, day) => sum + (day - meanDays) * (day - meanDays), 0);
+        const sse = values.reduce((sum, value, i) => sum + Math.pow(value - intercept - slope * days[i], 2), 0);
+
+        let pValue = null;
+        if (n > 2 && sxx > 0) {
+            const standardError = Math.sqrt(sse / (n - 2) / sxx);
+            pValue = standardError > 0 ?
+                2 * (1 - StatisticsCalculator.studentTCdf(Math.abs(slope / standardError), n - 2)) :
+                (slope === 0 ? 1 : 0);
+        }
+
+        return { slopePerDay: slope, intercept, r2, pValue };
+    }
+
+    // Theil-Sen estimator: median pairwise slope, intercept the median of value - slope * day
+    static theilSen(days, values) {
+        const slopes = [];
+        for (let i = 0; i < days.length; i++) {
+            for (let j = i + 1; j < days.length; j++) {
+                if (days[j] !== days[i]) slopes.push((values[j] - values[i]) / (days[j] - days[i]));
+            }
+        }
+        const median = list => StatisticsCalculator.percentile(list.slice().sort((a, b) => a - b), 50);
+        const slope = slopes.length > 0 ? median(slopes) : 0;
+
+        return {
+            slopePerDay: slope,
+            intercept: median(values.map((value, i) => value - slope * days[i]))
+        };
+    }
+
+    static classifyTrend(change, relativeChange, pValue, better) {
+        const meaningful = relativeChange !== null ? Math.abs(relativeChange) >= TREND_THRESHOLD : change !== 0;
+        if (!meaningful || pValue === null || pValue >= TREND_ALPHA) return 'stable';
+        return (change > 0) === (better === 'higher') ? 'improving' : 'declining';
+    }
+
+    // Mean of the last `window` points at each point
+    static rollingAverage(series, window) {
+        return series.map((point, i) => {
+            const slice = series.slice(Math.max(0, i - window + 1), i + 1);
+            return { date: point.date, value: StatisticsCalculator.mean(slice.map(entry => entry.value)) };
+        });
+    }
+
+    /**
+     * Mean shifts by binary segmentation, in date order
+     */
+    static detectChangePoints(series, better) {
+        const found = [];
+        const segments = [[0, series.length]];
+
+        while (segments.length > 0 && found.length < MAX_CHANGE_POINTS) {
+            const [from, to] = segments.shift();
+            const split = this.bestSplit(series, from, to);
+            if (!split) continue;
+
+            const before = series.slice(from, split).map(point => point.value);
+            const after = series.slice(split, to).map(point => point.value);
+            const test = StatisticsCalculator.welchTTest(after, before);
+            if (test.pValue >= CHANGE_POINT_ALPHA) continue;
+
+            const beforeMean = StatisticsCalculator.mean(before);
+            found.push({
+                index: split,
+                date: series[split].date,
+                beforeMean,
+                afterMean: StatisticsCalculator.mean(after),
+                shift: test.difference,
+                relativeShift: beforeMean !== 0 ? test.difference / Math.abs(beforeMean) : null,
+                pValue: test.pValue,
+                direction: (test.difference > 0) === (better === 'higher') ? 'improving' : 'declining'
+            });
+            segments.push([from, split], [split, to]);
+        }
+
+        return found.sort((a, b) => a.index - b.index);
+    }
+
+    // Split index of [from, to) that most reduces the squared error around the segment means
+    static bestSplit(series, from, to) {
+        if (to - from < 2 * MIN_SEGMENT_POINTS) return null;
+
+        const values = series.slice(from, to).map(point => point.value);
+        const total = values.reduce((sum, value) => sum + value, 0);
+        const totalSquares = values.reduce((sum, value) => sum + value * value, 0);
+        let best = null;
+        let bestCost = Infinity;
+        let leftSum = 0;
+        let leftSquares = 0;
+
+        for (let k = 1; k < values.length; k++) {
+            leftSum += values[k - 1];
+            leftSquares += values[k - 1] * values[k - 1];
+            if (k < MIN_SEGMENT_POINTS || values.length - k < MIN_SEGMENT_POINTS) continue;
+
+            const rightSum = total - leftSum;
+            const cost = leftSquares - leftSum * leftSum / k +
+                (totalSquares - leftSquares) - rightSum * rightSum / (values.length - k);
+            if (cost < bestCost) {
+                bestCost = cost;
+                best = from + k;
+            }
+        }
+
+        return best;
+    }
+}
+
+module.exports = TrendAnalyzer;
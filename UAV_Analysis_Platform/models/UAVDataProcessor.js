@@ -1,4 +1,11 @@
 const TrajectoryAnalyzer = require('./TrajectoryAnalyzer');
+const PerformanceAnalyzer = require('./PerformanceAnalyzer');
+const NetworkAnalyzer = require('./NetworkAnalyzer');
+const KinematicsAnalyzer = require('./KinematicsAnalyzer');
+const TrajectoryErrorCalculator = require('./TrajectoryErrorCalculator');
+const StatisticsCalculator = require('./StatisticsCalculator');
+const LatencyAnalyzer = require('./LatencyAnalyzer');
+const QualityScorer = require('./QualityScorer');
 
 class UAVDataProcessor {
 
@@ -18,13 +25,12 @@ class UAVDataProcessor {
                 return { valid: false, error: 'Position data must be a non-empty array' };
             }
 
-            // Validate position_data structure - only basic fields needed
-            const firstPoint = data.position_data[0];
-            const requiredPointFields = ['x', 'y', 'z', 'time'];
-            for (let field of requiredPointFields) {
-                if (firstPoint[field] === undefined) {
-                    return { valid: false, error: `Missing field '${field}' in position data` };
-                }
+            // Point fields are checked per point by DataQualityAnalyzer, which repairs them in lenient mode
+
+            // Validate optional flight-level metadata blocks
+            const metadataError = this.validateMetadataBlocks(data);
+            if (metadataError) {
+                return { valid: false, error: metadataError };
             }
 
             return { valid: true };
@@ -33,48 +39,259 @@ class UAVDataProcessor {
         }
     }
 
+    // Validate rf_conditions, command_stats, battery, first_command_time and error_calculation when present,
+    // null (not logged) is accepted for every block and field
+    static validateMetadataBlocks(data) {
+        const isNumber = value => typeof value === 'number' && isFinite(value);
+        const isNonNegative = value => isNumber(value) && value >= 0;
+        const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+        if (data.rf_conditions !== undefined && data.rf_conditions !== null) {
+            if (!isObject(data.rf_conditions)) {
+                return 'rf_conditions must be an object';
+            }
+            for (let field of ['bandwidth_kbps', 'latency_ms', 'packet_loss_rate']) {
+                const value = data.rf_conditions[field];
+                if (value !== undefined && value !== null && !isNonNegative(value)) {
+                    return `rf_conditions.${field} must be a non-negative number or null`;
+                }
+            }
+            if (isNumber(data.rf_conditions.packet_loss_rate) && data.rf_conditions.packet_loss_rate > 1) {
+                return 'rf_conditions.packet_loss_rate must be a fraction between 0 and 1';
+            }
+        }
+
+        if (data.command_stats !== undefined && data.command_stats !== null) {
+            if (!isObject(data.command_stats)) {
+                return 'command_stats must be an object';
+            }
+            for (let field of ['sent', 'dropped', 'total_attempts']) {
+                const value = data.command_stats[field];
+                if (value !== undefined && value !== null && !(isNonNegative(value) && Number.isInteger(value))) {
+                    return `command_stats.${field} must be a non-negative integer or null`;
+                }
+            }
+            const { dropped, total_attempts: totalAttempts } = data.command_stats;
+            if (isNumber(dropped) && isNumber(totalAttempts) && dropped > totalAttempts) {
+                return 'command_stats.dropped cannot exceed command_stats.total_attempts';
+            }
+        }
+
+        if (data.battery !== undefined && data.battery !== null) {
+            if (!isObject(data.battery)) {
+                return 'battery must be an object';
+            }
+            for (let field of ['start_voltage', 'minimum_required']) {
+                const value = data.battery[field];
+                if (value !== undefined && value !== null && !(isNumber(value) && value > 0)) {
+                    return `battery.${field} must be a positive number or null`;
+                }
+            }
+        }
+
+        if (data.first_command_time !== undefined && data.first_command_time !== null && !isNumber(data.first_command_time)) {
+            return 'first_command_time must be a number';
+        }
+
+        if (data.error_calculation !== undefined && data.error_calculation !== null) {
+            if (!isObject(data.error_calculation)) {
+                return 'error_calculation must be an object';
+            }
+            for (let field of ['method', 'vertical_mode']) {
+                const value = data.error_calculation[field];
+                if (value !== undefined && value !== null && typeof value !== 'string') {
+                    return `error_calculation.${field} must be a string or null`;
+                }
+            }
+        }
+
+        return null;
+    }
+
+    // Parse flight-level metadata blocks into the camelCase shape stored on FlightData.analysis
+    static parseFlightMetadata(jsonData) {
+        const rf = jsonData.rf_conditions || {};
+        const commands = jsonData.command_stats || {};
+        const battery = jsonData.battery || {};
+        const errorCalculation = jsonData.error_calculation || {};
+        // The calculator options are logged under position_accuracy.config
+        const config = (jsonData.position_accuracy && jsonData.position_accuracy.config) || {};
+        const valueOrNull = value => (value === undefined ? null : value);
+
+        return {
+            rfConditions: {
+                bandwidthKbps: valueOrNull(rf.bandwidth_kbps),
+                latencyMs: valueOrNull(rf.latency_ms),
+                packetLossRate: valueOrNull(rf.packet_loss_rate)
+            },
+            commandStats: {
+                sent: valueOrNull(commands.sent),
+                dropped: valueOrNull(commands.dropped),
+                totalAttempts: valueOrNull(commands.total_attempts)
+            },
+            battery: {
+                startVoltage: valueOrNull(battery.start_voltage),
+                minimumRequired: valueOrNull(battery.minimum_required)
+            },
+            firstCommandTime: valueOrNull(jsonData.first_command_time),
+            errorCalculation: {
+                method: valueOrNull(errorCalculation.method),
+                verticalMode: valueOrNull(errorCalculation.vertical_mode || config.vertical_mode),
+                heightWeight: valueOrNull(errorCalculation.height_weight !== undefined ?
+                    errorCalculation.height_weight : config.height_weight),
+                excludeTransit: valueOrNull(errorCalculation.exclude_transit !== undefined ?
+                    errorCalculation.exclude_transit : config.exclude_transit)
+            }
+        };
+    }
+
+    // Rebuild the raw log shape from a stored flight so analyzers can re-run on it
+    static toRawFlightData(flight) {
+        const analysis = flight.analysis || {};
+        const battery = analysis.battery || {};
+        const commandStats = analysis.commandStats || {};
+        const rfConditions = analysis.rfConditions || {};
+        const errorCalculation = analysis.errorCalculation || {};
+
+        return {
+            timestamp: flight.timestamp,
+            response_time: analysis.responseTime,
+            sequence: flight.sequence,
+            position_data: flight.positionData,
+            first_command_time: analysis.firstCommandTime,
+            battery: {
+                start_voltage: battery.startVoltage,
+                minimum_required: battery.minimumRequired
+            },
+            command_stats: {
+                sent: commandStats.sent,
+                dropped: commandStats.dropped,
+                total_attempts: commandStats.totalAttempts
+            },
+            rf_conditions: {
+                bandwidth_kbps: rfConditions.bandwidthKbps,
+                latency_ms: rfConditions.latencyMs,
+                packet_loss_rate: rfConditions.packetLossRate
+            },
+            error_calculation: {
+                method: errorCalculation.method,
+                vertical_mode: errorCalculation.verticalMode,
+                height_weight: errorCalculation.heightWeight,
+                exclude_transit: errorCalculation.excludeTransit
+            }
+        };
+    }
+
     // Process flight data - simplified version, keeping all required fields for controller
     static processFlightData(jsonData, metadata) {
         const flightName = metadata.flightName || `Flight_${jsonData.timestamp}`;
 
-        // Extract and simplify position data
-        const processedPositions = jsonData.position_data.map(point => ({
-            x: point.x,
-            y: point.y,
-            z: point.z,
-            time: point.time,
-            error: point.error || 0, // Default value is 0
-            phase: point.phase || 'transit'
-        }));
+        const flightMetadata = this.parseFlightMetadata(jsonData);
+
+        // Recompute error from position and target for samples logged without one
+        const errorOptions = TrajectoryErrorCalculator.resolveOptions({}, flightMetadata.errorCalculation);
+        const { positions, recomputedPoints } = TrajectoryErrorCalculator.fillMissingErrors(jsonData, errorOptions);
+        if (recomputedPoints > 0) {
+            flightMetadata.errorCalculation = {
+                ...errorOptions,
+                method: flightMetadata.errorCalculation.method || TrajectoryErrorCalculator.METHOD,
+                recomputedPoints
+            };
+        }
 
-        // Basic statistical analysis
-        const basicAnalysis = this.calculateBasicAnalysis(processedPositions);
+        // Extract position data, keeping every per-point telemetry field
+        const processedPositions = positions.map(point => this.processPositionPoint(point));
 
-        // Simplified trajectory analysis
-        const trajectoryReport = TrajectoryAnalyzer.generateTrajectoryReport(jsonData);
+        // Per-point network quality derived from rf_conditions, sample gaps and command drops
+        const qualitySignal = NetworkAnalyzer.calculateQualitySignal(jsonData);
+        processedPositions.forEach((point, i) => {
+            if (point.networkQuality === undefined) {
+                point.networkQuality = qualitySignal[i];
+            }
+        });
 
-        return {
+        // Basic statistical analysis plus the flight-level metadata blocks
+        const basicAnalysis = {
+            ...this.calculateBasicAnalysis(processedPositions),
+            ...flightMetadata
+        };
+
+        // Prefer the logged command-to-first-sample response time over flight duration
+        if (typeof jsonData.response_time === 'number') {
+            basicAnalysis.responseTime = jsonData.response_time;
+        }
+
+        // Trajectory analysis on the processed points so defaults and network quality are shared
+        const trajectoryReport = TrajectoryAnalyzer.generateTrajectoryReport({
+            ...jsonData,
+            position_data: processedPositions
+        });
+
+        const processed = {
             flightName,
             timestamp: jsonData.timestamp,
             sequence: jsonData.sequence || [],
             positionData: processedPositions,
             analysis: basicAnalysis,
             trajectoryAnalysis: trajectoryReport,
-            performanceMetrics: this.createMockPerformanceMetrics(),
-            networkAnalysis: this.createMockNetworkAnalysis(),
-            qualityAssessment: this.calculateSimpleQualityScore(basicAnalysis)
+            performanceMetrics: PerformanceAnalyzer.calculatePerformanceMetrics({
+                ...jsonData,
+                position_data: processedPositions
+            }),
+            networkAnalysis: NetworkAnalyzer.analyzeNetwork({
+                ...jsonData,
+                position_data: processedPositions
+            }),
+            latencyAnalysis: LatencyAnalyzer.analyzeLatency({
+                ...jsonData,
+                position_data: processedPositions
+            })
+        };
+
+        // Scored last, the profile weighs the blocks above (built-in default unless metadata.scoringProfile)
+        processed.qualityAssessment = QualityScorer.scoreFlight(processed, metadata.scoringProfile);
+        return processed;
+    }
+
+    // Copy one telemetry point: required fields with defaults, target and the optional fields that are set
+    static processPositionPoint(point) {
+        const processed = {
+            x: point.x,
+            y: point.y,
+            z: point.z,
+            time: point.time,
+            error: point.error || 0, // Default value is 0
+            phase: point.phase || 'transit',
+            stabilized: point.stabilized === true
         };
+
+        if (point.target) {
+            processed.target = { x: point.target.x, y: point.target.y, z: point.target.z };
+        }
+
+        const optionalFields = [
+            'error_xy', 'error_z', 'sequence_index', 'position_index', 'transition_progress', 'networkQuality'
+        ];
+        optionalFields.forEach(field => {
+            if (point[field] !== undefined && point[field] !== null) {
+                processed[field] = point[field];
+            }
+        });
+
+        return processed;
     }
 
     // Calculate basic analysis data - keep only necessary statistics
     static calculateBasicAnalysis(positions) {
         const errors = positions.map(p => p.error).filter(e => e !== undefined);
         const waypointPositions = positions.filter(p => p.phase === 'waypoint');
+        const transitPositions = positions.filter(p => p.phase !== 'waypoint');
+        const errorsOf = (points, field) => points.map(p => p[field]).filter(e => e !== undefined);
 
         // Calculate statistics
         const overallStats = this.calculateStats(errors);
-        const waypointErrors = waypointPositions.map(p => p.error).filter(e => e !== undefined);
-        const waypointStats = this.calculateStats(waypointErrors);
+        const waypointStats = this.calculateStats(errorsOf(waypointPositions, 'error'));
+        const transitStats = this.calculateStats(errorsOf(transitPositions, 'error'));
 
         // Calculate response time (flight duration)
         const responseTime = positions.length > 0 ?
@@ -83,7 +300,7 @@ class UAVDataProcessor {
         return {
             totalPoints: positions.length,
             waypointPoints: waypointPositions.length,
-            transitPoints: positions.length - waypointPositions.length,
+            transitPoints: transitPositions.length,
             responseTime: responseTime,
 
             positionAccuracy: {
@@ -92,81 +309,44 @@ class UAVDataProcessor {
                     ...waypointStats,
                     count: waypointPositions.length,
                     percentage: (waypointPositions.length / positions.length) * 100
-                }
-            }
-        };
-    }
-
-    // Calculate simple quality score
-    static calculateSimpleQualityScore(analysis) {
-        // Calculate simple score based on accuracy (0-100)
-        const avgError = analysis.positionAccuracy.overall.average;
-
-        // Convert error to score: smaller error = higher score
-        // Assume 0.01m error = 100 points, 0.1m error = 50 points
-        let accuracyScore = Math.max(0, 100 - (avgError * 1000));
-        accuracyScore = Math.min(100, accuracyScore);
-
-        return {
-            overallScore: Math.round(accuracyScore),
-            breakdown: {
-                accuracy: Math.round(accuracyScore)
+                },
+                transit: {
+                    ...transitStats,
+                    count: transitPositions.length,
+                    percentage: (transitPositions.length / positions.length) * 100
+                },
+                xyPlane: this.calculateStats(errorsOf(positions, 'error_xy')),
+                altitude: this.calculateStats(errorsOf(positions, 'error_z'))
             },
-            grade: this.assignQualityGrade(accuracyScore)
-        };
-    }
 
-    // Create mock performance metrics to avoid controller errors
-    static createMockPerformanceMetrics() {
-        return {
-            communicationEfficiency: {
-                reliability: 95.0
-            }
+            controlPerformance: TrajectoryAnalyzer.calculatePerformanceIndices(positions)
         };
     }
 
-    // Create mock network analysis to avoid controller errors
-    static createMockNetworkAnalysis() {
-        return {
-            impactAssessment: {
-                performanceImpact: 5.0
-            }
-        };
-    }
-
-    // Assign quality grade
-    static assignQualityGrade(score) {
-        if (score >= 90) return 'A';
-        if (score >= 80) return 'B';
-        if (score >= 70) return 'C';
-        if (score >= 60) return 'D';
-        return 'F';
-    }
-
     // Helper method: calculate statistics
     static calculateStats(values) {
-        if (!values || values.length === 0) {
-            return { average: 0, median: 0, min: 0, max: 0 };
-        }
-
-        const sorted = values.slice().sort((a, b) => a - b);
-        const sum = values.reduce((a, b) => a + b, 0);
-
-        return {
-            average: sum / values.length,
-            median: sorted[Math.floor(sorted.length / 2)],
-            min: sorted[0],
-            max: sorted[sorted.length - 1]
-        };
+        return StatisticsCalculator.calculateStats(values);
     }
 
     // Generate 3D visualization data - simplified version
     static generate3DVisualizationData(flightData) {
+        const kinematics = KinematicsAnalyzer.calculateKinematics(flightData.positionData);
         const trajectory = flightData.positionData.map((point, index) => ({
             position: [point.x, point.y, point.z],
+            target: point.target && point.target.x !== undefined ?
+                [point.target.x, point.target.y, point.target.z] : null,
             time: point.time,
             error: point.error,
-            phase: point.phase
+            errorXY: point.error_xy,
+            errorZ: point.error_z,
+            phase: point.phase,
+            stabilized: point.stabilized,
+            sequenceIndex: point.sequence_index,
+            positionIndex: point.position_index,
+            transitionProgress: point.transition_progress,
+            speed: kinematics[index] ? kinematics[index].speed : 0,
+            acceleration: kinematics[index] ? kinematics[index].acceleration : 0,
+            jerk: kinematics[index] ? kinematics[index].jerk : 0
         }));
 
         // Error indicators - only show high error points
@@ -196,7 +376,8 @@ class UAVDataProcessor {
     // Generate flight report - simplified version
     static generateReport(flightData) {
         const analysis = flightData.analysis;
-        const trajectoryAnalysis = flightData.trajectoryAnalysis;
+        const pathAccuracy = TrajectoryAnalyzer.calculatePathAccuracy(flightData.positionData);
+        const phases = TrajectoryAnalyzer.analyzePhases(flightData.positionData);
 
         return {
             flightName: flightData.flightName,
@@ -214,11 +395,22 @@ class UAVDataProcessor {
                     averageError: `${analysis.positionAccuracy.overall.average.toFixed(4)}m`,
                     maxError: `${analysis.positionAccuracy.overall.max.toFixed(4)}m`,
                     minError: `${analysis.positionAccuracy.overall.min.toFixed(4)}m`,
+                    standardDeviation: `${pathAccuracy.errorStatistics.stdDev.toFixed(4)}m`,
+                    p95Error: `${pathAccuracy.errorStatistics.p95.toFixed(4)}m`,
+                    confidence95: `±${pathAccuracy.errorStatistics.confidence95.toFixed(4)}m`,
                     waypointAccuracy: analysis.positionAccuracy.waypoint.count > 0 ?
-                        `${analysis.positionAccuracy.waypoint.average.toFixed(4)}m` : 'N/A'
+                        `${analysis.positionAccuracy.waypoint.average.toFixed(4)}m` : 'N/A',
+                    xyPlaneAccuracy: `${pathAccuracy.xyPlaneAccuracy.average.toFixed(4)}m`,
+                    altitudeAccuracy: `${pathAccuracy.altitudeAccuracy.average.toFixed(4)}m`
+                },
+                stability: {
+                    waypointStabilizationRate: `${(phases.waypoint.stabilizationRate * 100).toFixed(1)}%`,
+                    stabilizedPoints: phases.waypoint.stabilizedCount + phases.transit.stabilizedCount
                 }
             },
 
+            hoverPrecision: this.describeHoverPrecision(TrajectoryAnalyzer.analyzeHoverPrecision(flightData.positionData)),
+
             basicMetrics: {
                 totalPoints: analysis.totalPoints,
                 waypointPoints: analysis.waypointPoints,
@@ -226,14 +418,105 @@ class UAVDataProcessor {
                 waypointPercentage: `${((analysis.waypointPoints / analysis.totalPoints) * 100).toFixed(1)}%`
             },
 
+            performance: this.describePerformance(flightData.performanceMetrics),
+
+            flightConditions: this.describeFlightConditions(analysis),
+
             dataQuality: {
                 completeness: `${((analysis.totalPoints - 0) / analysis.totalPoints * 100).toFixed(1)}%`,
-                reliability: 'High',
+                reliability: this.assessLinkReliability(analysis.commandStats),
                 processingTime: new Date().toISOString()
             }
         };
     }
 
+    // Summarize stored performance metrics for reports
+    static describePerformance(performanceMetrics) {
+        const metrics = performanceMetrics || {};
+        const time = metrics.timeEfficiency || {};
+        const communication = metrics.communicationEfficiency || {};
+        const energy = metrics.energyEfficiency || {};
+        const formatPercent = value => (typeof value === 'number' ? `${value.toFixed(1)}%` : 'N/A');
+        const formatSeconds = value => (typeof value === 'number' ? `${value.toFixed(0)}s` : 'N/A');
+
+        return {
+            overallScore: typeof metrics.overallPerformanceScore === 'number' ? metrics.overallPerformanceScore : 'N/A',
+            activeTimeRatio: formatPercent(typeof time.efficiencyRatio === 'number' ? time.efficiencyRatio * 100 : null),
+            idleTime: typeof time.idleTime === 'number' ? `${time.idleTime.toFixed(2)}s` : 'N/A',
+            commandReliability: formatPercent(communication.reliability),
+            batteryUtilization: formatPercent(energy.estimated ? energy.batteryUtilization : null),
+            remainingEndurance: formatSeconds(energy.estimated ? energy.remainingEndurance : null)
+        };
+    }
+
+    // Describe battery, command link and RF conditions for reports
+    static describeFlightConditions(analysis) {
+        const battery = analysis.battery || {};
+        const commands = analysis.commandStats || {};
+        const rf = analysis.rfConditions || {};
+        const formatOptional = (value, unit) =>
+            (value === undefined || value === null ? 'Not recorded' : `${value}${unit}`);
+
+        const hasBattery = typeof battery.startVoltage === 'number';
+        const hasCommands = typeof commands.totalAttempts === 'number' && commands.totalAttempts > 0;
+
+        return {
+            battery: {
+                startVoltage: hasBattery ? `${battery.startVoltage.toFixed(3)}V` : 'Not recorded',
+                minimumRequired: formatOptional(battery.minimumRequired, 'V'),
+                voltageMargin: hasBattery && typeof battery.minimumRequired === 'number' ?
+                    `${(battery.startVoltage - battery.minimumRequired).toFixed(3)}V` : 'N/A'
+            },
+            commandLink: {
+                sent: hasCommands ? commands.sent : 'Not recorded',
+                dropped: hasCommands ? commands.dropped : 'Not recorded',
+                totalAttempts: hasCommands ? commands.totalAttempts : 'Not recorded',
+                dropRate: hasCommands ?
+                    `${(commands.dropped / commands.totalAttempts * 100).toFixed(2)}%` : 'N/A'
+            },
+            rfConditions: {
+                bandwidth: formatOptional(rf.bandwidthKbps, ' kbps'),
+                latency: formatOptional(rf.latencyMs, ' ms'),
+                packetLoss: rf.packetLossRate === undefined || rf.packetLossRate === null ?
+                    'Not recorded' : `${(rf.packetLossRate * 100).toFixed(2)}%`
+            },
+            errorCalculation: analysis.errorCalculation && analysis.errorCalculation.method ?
+                `${analysis.errorCalculation.method} (${analysis.errorCalculation.verticalMode || 'default'} vertical mode)` :
+                'Not recorded'
+        };
+    }
+
+    // Format per-waypoint hover precision for the report
+    static describeHoverPrecision(hoverPrecision) {
+        const metres = value => (value === null ? 'N/A' : `${value.toFixed(4)}m`);
+
+        return {
+            averageCep50: hoverPrecision.waypointCount > 0 ? metres(hoverPrecision.averageCep50) : 'N/A',
+            averageCep95: hoverPrecision.waypointCount > 0 ? metres(hoverPrecision.averageCep95) : 'N/A',
+            average2drms: hoverPrecision.waypointCount > 0 ? metres(hoverPrecision.averageDrms2) : 'N/A',
+            waypoints: hoverPrecision.waypoints.map(wp => ({
+                target: `[${wp.target.join(', ')}]`,
+                dwellTime: `${wp.dwellTime.toFixed(2)}s`,
+                cep50: metres(wp.cep50),
+                cep95: metres(wp.cep95),
+                drms2: metres(wp.drms2),
+                sphericalError: metres(wp.sep50),
+                driftRate: wp.driftRate === null ? 'N/A' : `${(wp.driftRate * 1000).toFixed(1)}mm/s`,
+                driftDirection: wp.driftDirection === null ? 'N/A' : `${wp.driftDirection.toFixed(0)}°`
+            }))
+        };
+    }
+
+    // Rate command link reliability from the logged drop rate
+    static assessLinkReliability(commandStats) {
+        if (!commandStats || !commandStats.totalAttempts) return 'Unknown';
+
+        const dropRate = commandStats.dropped / commandStats.totalAttempts;
+        if (dropRate < 0.01) return 'High';
+        if (dropRate < 0.05) return 'Medium';
+        return 'Low';
+    }
+
     // Generate simple analysis result for socket.io
     static generateSimpleAnalysisResult(flightData) {
         const analysis = flightData.analysis;
@@ -256,7 +539,7 @@ class UAVDataProcessor {
         }
 
         const avgSpeed = duration > 0 ? totalDistance / duration : 0;
-        const maxSpeed = avgSpeed * 1.5; // Estimate max speed
+        const maxSpeed = KinematicsAnalyzer.analyzeVelocity(positions).maxVelocity;
 
         return {
             avgSpeed: parseFloat(avgSpeed.toFixed(2)),
@@ -23,6 +23,7 @@ const userSchema = new mongoose.Schema({
         firstName: String,
         lastName: String,
         organization: String,
+        organizationRole: { type: String, enum: ['admin', 'member'] }, // set with organization
         preferences: {
             theme: { type: String, default: 'light' },
             units: { type: String, default: 'metric' },
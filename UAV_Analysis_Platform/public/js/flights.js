@@ -120,6 +120,9 @@ function renderFlights(flights) {
                 <td>${accuracyDisplay}</td>
                 <td>${responseTimeDisplay}</td>
                 <td>
+                    <button class="btn-small teal waves-effect" onclick="showFlightDetails('${flightId}')">
+                        <i class="material-icons left">info</i>Details
+                    </button>
                     <a class="btn-small blue waves-effect" href="/visualization?flightId=${flightId}">
                         <i class="material-icons left">3d_rotation</i>View
                     </a>
@@ -178,6 +181,133 @@ function renderPagination(pagination) {
     }
 }
 
+// Format seconds/metres for the details view, '-' when not available
+function formatValue(value, unit, digits = 2) {
+    if (value === undefined || value === null || isNaN(value)) return '-';
+    return `${Number(value).toFixed(digits)}${unit}`;
+}
+
+// Show flight details with per-waypoint leg metrics
+async function showFlightDetails(id) {
+    const token = getToken();
+    if (!token) {
+        window.location.href = '/login';
+        return;
+    }
+
+    const modal = M.Modal.getInstance(document.getElementById('flightDetailsModal'));
+    $('#flightDetailsSummary').html('<p class="grey-text">Loading...</p>');
+    $('#flightLegsTableBody').empty();
+    modal.open();
+
+    try {
+        const headers = { Authorization: 'Bearer ' + token };
+        const [detailsRes, legsRes] = await Promise.all([
+            fetch(`/api/flights/${id}`, { headers }),
+            fetch(`/api/flights/${id}/legs`, { headers })
+        ]);
+
+        if (!detailsRes.ok || !legsRes.ok) {
+            throw new Error(`HTTP ${detailsRes.ok ? legsRes.status : detailsRes.status}`);
+        }
+
+        const details = await detailsRes.json();
+        const legData = await legsRes.json();
+        if (!details.success) throw new Error(details.message || 'Failed to load flight');
+        if (!legData.success) throw new Error(legData.message || 'Failed to load legs');
+
+        const flight = details.flight;
+        const accuracy = flight.analysis?.positionAccuracy?.overall || {};
+        const battery = flight.flightConditions?.battery || {};
+        const summary = legData.summary;
+        const quality = flight.dataQuality;
+        const qualityCounts = quality?.issueCounts || {};
+        const qualityLine = quality && quality.totalPoints ? `
+            <p>
+                Data quality (${quality.mode}): <b class="${quality.passed ? 'green-text' : 'orange-text'}">
+                    ${quality.passed ? 'passed' : quality.errorCount + ' issues'}</b> |
+                Removed samples: <b>${quality.totalPoints - quality.acceptedPoints}</b> |
+                Invalid: <b>${qualityCounts.invalidValues || 0}</b> |
+                Timestamp errors: <b>${(qualityCounts.duplicateTimestamps || 0) + (qualityCounts.nonMonotonicTimestamps || 0)}</b> |
+                Teleports: <b>${qualityCounts.teleports || 0}</b> |
+                Gaps: <b>${qualityCounts.gaps || 0}</b>
+            </p>` : '';
+        const assessment = flight.qualityAssessment;
+        const breakdown = assessment?.breakdown || {};
+        const scoreLine = assessment && typeof assessment.overallScore === 'number' ? `
+            <p>
+                Quality score (${assessment.profile || 'default'} profile): <b>${assessment.overallScore}</b>
+                grade <b>${assessment.grade}</b> |
+                Accuracy: <b>${breakdown.accuracy ?? '-'}</b> |
+                Stability: <b>${breakdown.stability ?? '-'}</b> |
+                Efficiency: <b>${breakdown.efficiency ?? '-'}</b> |
+                Adaptability: <b>${breakdown.adaptability ?? '-'}</b>
+            </p>` : '';
+        const energy = flight.performanceMetrics?.energyEfficiency;
+        const batteryWarning = (flight.performanceMetrics?.recommendations || []).find(r => r.category === 'battery');
+        const energyLine = energy && energy.estimated ? `
+            <p>
+                Battery used: <b>${formatValue(energy.consumedCharge, '%', 1)}</b> of pack
+                (<b>${formatValue(energy.batteryUtilization, '%', 1)}</b> of usable) |
+                Est. end voltage: <b>${formatValue(energy.estimatedEndVoltage, 'V')}</b> |
+                Energy: <b>${formatValue(energy.energyPerMeter, ' J/m', 1)}</b> |
+                Remaining endurance: <b>${formatValue(energy.remainingEndurance, 's', 0)}</b>
+            </p>${batteryWarning ? `<p class="${batteryWarning.severity === 'high' ? 'red-text' : 'orange-text'}">${batteryWarning.message}</p>` : ''}` : '';
+        const sampling = flight.samplingAnalysis;
+        const samplingGaps = sampling?.gapErrorCorrelation || {};
+        const samplingLine = sampling && sampling.sampleCount ? `
+            <p>
+                Sampling: <b>${formatValue(sampling.nominalRate, 'Hz', 1)}</b> nominal /
+                <b>${formatValue(sampling.meanRate, 'Hz', 1)}</b> mean |
+                Jitter: <b>${formatValue(sampling.jitter * 1000, 'ms', 1)}</b> |
+                Gaps: <b>${sampling.gapCount}</b>
+                (${formatValue(sampling.totalGapTime, 's', 2)}, longest ${formatValue(sampling.longestGaps[0]?.duration, 's', 2)}) |
+                Followed by error spike: <b class="${samplingGaps.gapsFollowedBySpike ? 'orange-text' : ''}">${samplingGaps.gapsFollowedBySpike || 0}</b>
+            </p>` : '';
+
+        $('#flightDetailsTitle').text(flight.flightName || 'Flight Details');
+        $('#flightDetailsSummary').html(`
+            <p>
+                Average error: <b>${formatValue(accuracy.average, 'm', 4)}</b> |
+                Max error: <b>${formatValue(accuracy.max, 'm', 4)}</b> |
+                Battery: <b>${formatValue(battery.startVoltage, 'V')}</b>
+            </p>
+            <p>
+                Legs reached: <b>${summary.reachedLegs}/${summary.totalLegs}</b> |
+                Avg transit: <b>${formatValue(summary.averageTransitTime, 's')}</b> |
+                Avg dwell: <b>${formatValue(summary.averageDwellTime, 's')}</b> |
+                Avg time to stabilize: <b>${formatValue(summary.averageTimeToStabilize, 's')}</b>
+            </p>${energyLine}${scoreLine}${qualityLine}${samplingLine}
+        `);
+
+        const tbody = $('#flightLegsTableBody');
+        if (legData.legs.length === 0) {
+            tbody.append('<tr><td colspan="9" class="center-align grey-text">No waypoint targets recorded</td></tr>');
+            return;
+        }
+
+        legData.legs.forEach(leg => {
+            const rowClass = leg.legIndex === summary.worstLegIndex ? 'red lighten-5' : '';
+            tbody.append(`
+                <tr class="${rowClass}">
+                    <td>${leg.legIndex + 1}</td>
+                    <td>[${leg.target.map(v => v.toFixed(2)).join(', ')}]</td>
+                    <td>${leg.reached ? formatValue(leg.transitTime, 's') : 'Not reached'}</td>
+                    <td>${formatValue(leg.dwellTime, 's')}</td>
+                    <td>${formatValue(leg.timeToStabilize, 's')}</td>
+                    <td>${formatValue(leg.meanError, 'm', 3)}</td>
+                    <td>${formatValue(leg.maxError, 'm', 3)}</td>
+                    <td>${formatValue(leg.meanErrorXY, 'm', 3)} / ${formatValue(leg.meanErrorZ, 'm', 3)}</td>
+                    <td>${formatValue(leg.pathEfficiency === null ? null : leg.pathEfficiency * 100, '%', 1)}</td>
+                </tr>
+            `);
+        });
+    } catch (err) {
+        console.error('Load flight details error:', err);
+        $('#flightDetailsSummary').html(`<p class="red-text">Failed to load flight details: ${err.message}</p>`);
+    }
+}
+
 // Delete single flight with confirmation
 async function deleteFlight(id) {
     if (!id) {
@@ -0,0 +1,165 @@
+// Get JWT token from local storage
+function getToken() {
+    return localStorage.getItem('uav_token');
+}
+
+// Format metres/ratios for the tables, '-' when not available
+function formatValue(value, unit, digits = 2) {
+    if (value === undefined || value === null || isNaN(value)) return '-';
+    return `${Number(value).toFixed(digits)}${unit}`;
+}
+
+function formatError(value) {
+    return formatValue(value === null || value === undefined ? null : value * 1000, 'mm', 1);
+}
+
+function formatSequence(sequence) {
+    return sequence.map(waypoint => `(${waypoint.join(', ')})`).join(' → ');
+}
+
+async function fetchJson(url) {
+    const res = await fetch(url, {
+        headers: { Authorization: 'Bearer ' + getToken() }
+    });
+    const data = await res.json();
+    if (!res.ok || !data.success) throw new Error(data.message || `HTTP ${res.status}`);
+    return data;
+}
+
+// Load the user's mission templates
+async function loadTemplates() {
+    const tbody = $('#templatesTableBody');
+
+    try {
+        const data = await fetchJson('/api/mission-templates');
+        tbody.empty();
+
+        if (data.templates.length === 0) {
+            tbody.append(`
+                <tr>
+                    <td colspan="8" class="center-align grey-text">No sequence has been flown more than once yet</td>
+                </tr>
+            `);
+            return;
+        }
+
+        data.templates.forEach(t => {
+            tbody.append(`
+                <tr>
+                    <td style="max-width: 320px;">${formatSequence(t.sequence)}</td>
+                    <td>${t.waypointCount}</td>
+                    <td>${t.runCount}</td>
+                    <td>${new Date(t.firstFlightTime).toLocaleDateString()} - ${new Date(t.lastFlightTime).toLocaleDateString()}</td>
+                    <td>${formatError(t.meanError)}</td>
+                    <td>${formatError(t.errorStdDev)}</td>
+                    <td>${t.bestRun ? t.bestRun.flightName : '-'} / ${t.worstRun ? t.worstRun.flightName : '-'}</td>
+                    <td>
+                        <button class="btn-small teal waves-effect" onclick="showTemplateDetails('${t.templateId}')">
+                            <i class="material-icons left">insights</i>Repeatability
+                        </button>
+                    </td>
+                </tr>
+            `);
+        });
+    } catch (err) {
+        console.error('Load templates error:', err);
+        M.toast({ html: `Error: ${err.message}`, classes: 'red' });
+        tbody.empty();
+    }
+}
+
+// Show repeatability statistics of one template
+async function showTemplateDetails(templateId) {
+    const modal = M.Modal.getInstance(document.getElementById('templateDetailsModal'));
+    $('#templateDetailsSummary').html('<p class="grey-text">Loading...</p>');
+    $('#templateWaypointsTableBody').empty();
+    $('#templateRunsTableBody').empty();
+    modal.open();
+
+    try {
+        const { template } = await fetchJson(`/api/mission-templates/${templateId}`);
+        const drift = template.drift;
+        const driftText = drift.direction === 'insufficient_data'
+            ? `needs at least 3 runs (${drift.runs} so far)`
+            : `${drift.direction} (${formatValue(drift.slopePerDay * 1000, ' mm/day', 2)}, R² ${formatValue(drift.r2, '', 2)})`;
+
+        $('#templateDetailsTitle').text(`Template ${formatSequence(template.sequence)}`);
+        $('#templateDetailsSummary').html(`
+            <p>
+                <strong>Runs:</strong> ${template.runCount} &nbsp;
+                <strong>Mean error:</strong> ${formatError(template.meanError)} &nbsp;
+                <strong>Run-to-run std:</strong> ${formatError(template.errorStdDev)}
+            </p>
+            <p><strong>Drift over time:</strong> ${driftText}</p>
+        `);
+
+        template.waypoints.forEach(w => {
+            $('#templateWaypointsTableBody').append(`
+                <tr>
+                    <td>${w.waypointIndex}</td>
+                    <td>(${w.target.join(', ')})</td>
+                    <td>${w.runs}</td>
+                    <td>${formatError(w.meanError)}</td>
+                    <td>${formatError(w.stdDev)}</td>
+                    <td>${formatValue(w.coefficientOfVariation === null ? null : w.coefficientOfVariation * 100, '%', 0)}</td>
+                    <td>${w.bestRun ? `${w.bestRun.flightName} (${formatError(w.bestRun.error)})` : '-'}</td>
+                    <td>${w.worstRun ? `${w.worstRun.flightName} (${formatError(w.worstRun.error)})` : '-'}</td>
+                </tr>
+            `);
+        });
+
+        // Each run can be overlaid on the best run in the visualization
+        const reference = template.bestRun && template.bestRun.flightId;
+        template.runs.forEach(run => {
+            const rf = run.rfConditions;
+            const rfText = rf
+                ? `${formatValue(rf.latencyMs, 'ms', 0)}, ${formatValue(rf.packetLossRate === null ? null : rf.packetLossRate * 100, '% loss', 1)}`
+                : '-';
+            const overlay = reference && run.flightId !== reference
+                ? `<a class="btn-small blue waves-effect" href="/visualization?flightId=${reference}&compareWith=${run.flightId}">
+                       <i class="material-icons left">compare_arrows</i>vs Best
+                   </a>`
+                : '';
+
+            $('#templateRunsTableBody').append(`
+                <tr>
+                    <td>${run.flightName}</td>
+                    <td>${new Date(run.flightTime).toLocaleString()}</td>
+                    <td>${formatError(run.averageError)}</td>
+                    <td>${formatError(run.maxError)}</td>
+                    <td>${run.qualityScore !== null ? `${run.qualityScore} (${run.grade})` : '-'}</td>
+                    <td>${rfText}</td>
+                    <td>${overlay}</td>
+                </tr>
+            `);
+        });
+    } catch (err) {
+        console.error('Load template error:', err);
+        $('#templateDetailsSummary').html(`<p class="red-text">${err.message}</p>`);
+    }
+}
+
+// Logout function
+function logout() {
+    localStorage.removeItem('uav_token');
+    localStorage.removeItem('token_timestamp');
+    M.toast({ html: 'Logged out successfully', classes: 'green' });
+    setTimeout(() => {
+        window.location.href = '/login';
+    }, 1000);
+}
+
+$(document).ready(function() {
+    // Check authentication
+    if (!getToken()) {
+        window.location.href = '/login';
+        return;
+    }
+
+    // Initialize Materialize components
+    if (typeof M !== 'undefined' && M.AutoInit) {
+        M.AutoInit();
+    }
+
+    loadTemplates();
+});
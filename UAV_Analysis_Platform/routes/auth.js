@@ -12,5 +12,9 @@ router.post('/login', (req, res) => authController.login(req, res));
 // Protected routes
 router.get('/profile', authenticateToken, (req, res) => authController.getProfile(req, res));
 router.put('/profile', authenticateToken, (req, res) => authController.updateProfile(req, res));
+router.get('/organization', authenticateToken, (req, res) => authController.getOrganization(req, res));
+router.post('/organization', authenticateToken, (req, res) => authController.createOrganization(req, res));
+router.put('/organization/members', authenticateToken, (req, res) => authController.setOrganizationMember(req, res));
+router.delete('/organization/members/:username', authenticateToken, (req, res) => authController.removeOrganizationMember(req, res));
 
 module.exports = router;
\ No newline at end of file
@@ -42,7 +42,10 @@ router.get('/data', authMiddleware, async (req, res) => {
             responseTime: flight.analysis?.responseTime || 0,
             qualityScore: flight.qualityAssessment?.overallScore || 0,
             stabilizationRate: flight.trajectoryAnalysis?.detailed?.stabilityMetrics?.stabilizationRatio || 0,
-            efficiencyRatio: flight.trajectoryAnalysis?.detailed?.trajectoryEfficiency?.efficiencyRatio || 0
+            efficiencyRatio: flight.trajectoryAnalysis?.detailed?.trajectoryEfficiency?.efficiencyRatio || 0,
+            batteryVoltage: flight.analysis?.battery?.startVoltage ?? null,
+            commandSuccessRate: flight.analysis?.commandStats?.totalAttempts ?
+                (1 - flight.analysis.commandStats.dropped / flight.analysis.commandStats.totalAttempts) * 100 : null
         }));
 
         // Calculate aggregate statistics
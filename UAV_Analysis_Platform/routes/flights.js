@@ -23,6 +23,9 @@ router.get('/:flightId', (req, res) => flightController.getFlightDetails(req, re
 // Get 3D visualization data
 router.get('/:flightId/visualization', (req, res) => flightController.getVisualizationData(req, res));
 
+// Get per-waypoint leg metrics
+router.get('/:flightId/legs', (req, res) => flightController.getFlightLegs(req, res));
+
 // Generate report
 router.get('/:flightId/report', (req, res) => flightController.generateReport(req, res));
 
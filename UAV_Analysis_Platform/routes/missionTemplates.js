@@ -0,0 +1,85 @@
+const express = require('express');
+const FlightData = require('../models/FlightData');
+const MissionTemplateAnalyzer = require('../models/MissionTemplateAnalyzer');
+const { authenticateToken } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Stored fields templates are grouped and summarized from, position data is only loaded per template
+const SUMMARY_FIELDS = 'flightName timestamp sequence createdAt analysis.positionAccuracy.overall analysis.rfConditions qualityAssessment';
+const DEFAULT_MIN_RUNS = 2;
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// List the user's mission templates (flights grouped by matching sequence)
+router.get('/', async (req, res) => {
+    try {
+        const minRuns = req.query.minRuns !== undefined ? Number(req.query.minRuns) : DEFAULT_MIN_RUNS;
+
+        if (!Number.isInteger(minRuns) || minRuns < 1) {
+            return res.status(400).json({
+                success: false,
+                message: 'minRuns must be a positive integer'
+            });
+        }
+
+        const flights = await FlightData.find({ userId: req.user.userId }).select(SUMMARY_FIELDS);
+        const templates = MissionTemplateAnalyzer.groupFlights(flights)
+            .filter(template => template.flights.length >= minRuns)
+            .map(template => MissionTemplateAnalyzer.summarizeTemplate(template))
+            .sort((a, b) => b.runCount - a.runCount);
+
+        res.json({
+            success: true,
+            totalFlights: flights.length,
+            minRuns,
+            templates
+        });
+
+    } catch (error) {
+        console.error('List mission templates error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to list mission templates: ' + error.message
+        });
+    }
+});
+
+// Repeatability statistics of one template's runs
+router.get('/:templateId', async (req, res) => {
+    try {
+        const flights = await FlightData.find({ userId: req.user.userId }).select(SUMMARY_FIELDS);
+        const template = MissionTemplateAnalyzer.groupFlights(flights)
+            .find(candidate => candidate.templateId === req.params.templateId);
+
+        if (!template) {
+            return res.status(404).json({
+                success: false,
+                message: 'Mission template not found'
+            });
+        }
+
+        // Reload the template's runs with their position data for the per-waypoint errors
+        const runs = await FlightData.find({
+            _id: { $in: template.flights.map(flight => flight._id) },
+            userId: req.user.userId
+        });
+        const byId = new Map(runs.map(flight => [flight._id.toString(), flight]));
+        template.flights = template.flights.map(flight => byId.get(flight._id.toString())).filter(Boolean);
+
+        res.json({
+            success: true,
+            template: MissionTemplateAnalyzer.analyzeRepeatability(template)
+        });
+
+    } catch (error) {
+        console.error('Get mission template error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get mission template: ' + error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,246 @@
+const express = require('express');
+const FlightData = require('../models/FlightData');
+const ScoringProfile = require('../models/ScoringProfile');
+const QualityScorer = require('../models/QualityScorer');
+const { authenticateToken } = require('../middleware/auth');
+
+const router = express.Router();
+
+const SCOPES = ['user', 'organization'];
+const PROFILE_NAME = /^[a-z0-9][a-z0-9-]*$/;
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// List the built-in profiles plus the user's and their organization's own
+router.get('/', async (req, res) => {
+    try {
+        const owner = await ScoringProfile.findOwner(req.user.userId);
+        const stored = await ScoringProfile.find({
+            $or: [
+                ScoringProfile.ownerQuery('user', owner),
+                ...(owner.organization ? [ScoringProfile.ownerQuery('organization', owner)] : [])
+            ]
+        }).sort({ name: 1 });
+
+        const builtIn = Object.values(QualityScorer.BUILT_IN_PROFILES).map(profile => ({
+            ...profile,
+            scope: 'built-in',
+            organization: null
+        }));
+
+        res.json({
+            success: true,
+            defaultProfile: QualityScorer.DEFAULT_PROFILE,
+            organization: owner.organization,
+            organizationAdmin: owner.organizationAdmin,
+            profiles: [...builtIn, ...stored.map(profile => profile.toProfile())]
+        });
+
+    } catch (error) {
+        console.error('List scoring profiles error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to list scoring profiles: ' + error.message
+        });
+    }
+});
+
+// Get the profile a name resolves to for this user
+router.get('/:name', async (req, res) => {
+    try {
+        const profile = await ScoringProfile.resolve(req.params.name, await ScoringProfile.findOwner(req.user.userId));
+
+        if (!profile) {
+            return res.status(404).json({
+                success: false,
+                message: 'Scoring profile not found'
+            });
+        }
+
+        res.json({ success: true, profile });
+
+    } catch (error) {
+        console.error('Get scoring profile error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get scoring profile: ' + error.message
+        });
+    }
+});
+
+// Create or update a user or organization (admins only) profile, missing fields come from the current definition
+router.put('/:name', async (req, res) => {
+    try {
+        const { name } = req.params;
+        const { scope = 'user' } = req.body;
+
+        if (!PROFILE_NAME.test(name)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Profile names may only contain lowercase letters, digits and dashes'
+            });
+        }
+        if (!SCOPES.includes(scope)) {
+            return res.status(400).json({
+                success: false,
+                message: `scope must be one of: ${SCOPES.join(', ')}`
+            });
+        }
+
+        const owner = await ScoringProfile.findOwner(req.user.userId);
+        if (scope === 'organization' && !owner.organizationAdmin) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only organization admins can edit organization profiles'
+            });
+        }
+
+        // Edit the existing profile, or start from what the name resolves to today
+        const existing = await ScoringProfile.findOne({ name, ...ScoringProfile.ownerQuery(scope, owner) });
+        const base = existing ? existing.toProfile() :
+            await ScoringProfile.resolve(name, owner) || QualityScorer.BUILT_IN_PROFILES[QualityScorer.DEFAULT_PROFILE];
+        const definition = QualityScorer.mergeProfile(
+            { ...req.body, name },
+            base.name === name ? base : { ...base, label: name, description: '' }
+        );
+
+        const validationError = QualityScorer.validateProfile(definition);
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                message: validationError
+            });
+        }
+
+        const profile = existing || new ScoringProfile({ name, ...ScoringProfile.ownerQuery(scope, owner) });
+        profile.set({
+            label: definition.label,
+            description: definition.description,
+            weights: definition.weights,
+            accuracy: definition.accuracy,
+            adaptability: definition.adaptability,
+            gradeThresholds: definition.gradeThresholds,
+            userId: req.user.userId
+        });
+        await profile.save();
+
+        res.status(existing ? 200 : 201).json({
+            success: true,
+            message: existing ? 'Scoring profile updated' : 'Scoring profile created',
+            profile: profile.toProfile()
+        });
+
+    } catch (error) {
+        console.error('Save scoring profile error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to save scoring profile: ' + error.message
+        });
+    }
+});
+
+// Delete a user (default) or organization (admins only) profile
+router.delete('/:name', async (req, res) => {
+    try {
+        const { scope = 'user' } = req.query;
+
+        if (!SCOPES.includes(scope)) {
+            return res.status(400).json({
+                success: false,
+                message: `scope must be one of: ${SCOPES.join(', ')}`
+            });
+        }
+
+        const owner = await ScoringProfile.findOwner(req.user.userId);
+        if (scope === 'organization' && !owner.organizationAdmin) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only organization admins can delete organization profiles'
+            });
+        }
+
+        const deleted = await ScoringProfile.findOneAndDelete({ name: req.params.name, ...ScoringProfile.ownerQuery(scope, owner) });
+
+        if (!deleted) {
+            return res.status(404).json({
+                success: false,
+                message: 'Scoring profile not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Scoring profile deleted'
+        });
+
+    } catch (error) {
+        console.error('Delete scoring profile error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete scoring profile: ' + error.message
+        });
+    }
+});
+
+// Rescore stored flights (all of the user's, or the given flightIds) under a profile
+router.post('/:name/rescore', async (req, res) => {
+    try {
+        const { flightIds } = req.body;
+
+        if (flightIds !== undefined && (!Array.isArray(flightIds) || flightIds.length === 0)) {
+            return res.status(400).json({
+                success: false,
+                message: 'flightIds must be a non-empty array when given'
+            });
+        }
+
+        const profile = await ScoringProfile.resolve(req.params.name, await ScoringProfile.findOwner(req.user.userId));
+        if (!profile) {
+            return res.status(404).json({
+                success: false,
+                message: 'Scoring profile not found'
+            });
+        }
+
+        const query = { userId: req.user.userId };
+        if (flightIds) query._id = { $in: flightIds };
+        const flights = await FlightData.find(query)
+            .select('flightName analysis trajectoryAnalysis.detailed.stabilityMetrics performanceMetrics networkAnalysis.impactAssessment qualityAssessment');
+
+        const results = [];
+        for (const flight of flights) {
+            const previous = {
+                profile: flight.qualityAssessment?.profile || QualityScorer.DEFAULT_PROFILE,
+                overallScore: flight.qualityAssessment?.overallScore ?? null,
+                grade: flight.qualityAssessment?.grade || null
+            };
+            const qualityAssessment = QualityScorer.scoreFlight(flight, profile);
+            await FlightData.updateOne({ _id: flight._id }, { $set: { qualityAssessment } });
+
+            results.push({
+                flightId: flight._id,
+                flightName: flight.flightName,
+                previous,
+                current: qualityAssessment
+            });
+        }
+
+        res.json({
+            success: true,
+            message: `Rescored ${results.length} flights with profile ${profile.name}`,
+            profile,
+            rescored: results.length,
+            results
+        });
+
+    } catch (error) {
+        console.error('Rescore flights error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to rescore flights: ' + error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -1,18 +1,75 @@
 const express = require('express');
 const FlightData = require('../models/FlightData');
 const TrajectoryAnalyzer = require('../models/TrajectoryAnalyzer');
+const UAVDataProcessor = require('../models/UAVDataProcessor');
+const TrajectoryErrorCalculator = require('../models/TrajectoryErrorCalculator');
+const LatencyAnalyzer = require('../models/LatencyAnalyzer');
+const NetworkAnalyzer = require('../models/NetworkAnalyzer');
+const TrajectoryFilter = require('../models/TrajectoryFilter');
+const TrajectoryAligner = require('../models/TrajectoryAligner');
+const GroupComparator = require('../models/GroupComparator');
+const TrendAnalyzer = require('../models/TrendAnalyzer');
 const { authenticateToken } = require('../middleware/auth');
 
 const router = express.Router();
 
+// Integral error criteria stored in analysis.controlPerformance
+const PERFORMANCE_INDICES = ['iae', 'ise', 'itae', 'itse'];
+// Metrics flights can be ranked by in a comparison, with the direction that counts as better
+const COMPARISON_METRICS = {
+    averageError: 'lower',
+    overallStabilityScore: 'higher',
+    efficiencyRatio: 'higher',
+    timeEfficiency: 'higher',
+    excessDistance: 'lower',
+    pathSmoothness: 'higher',
+    stabilizationRatio: 'higher',
+    iae: 'lower',
+    ise: 'lower',
+    itae: 'lower',
+    itse: 'lower'
+};
+// Stored per-flight values a group comparison can test
+const GROUP_FLIGHT_METRICS = {
+    averageError: flight => flight.analysis?.positionAccuracy?.overall?.average,
+    maxError: flight => flight.analysis?.positionAccuracy?.overall?.max,
+    rmsError: flight => flight.analysis?.positionAccuracy?.overall?.rms,
+    overallStabilityScore: flight => flight.trajectoryAnalysis?.detailed?.stabilityMetrics?.overallStabilityScore,
+    efficiencyRatio: flight => flight.trajectoryAnalysis?.detailed?.trajectoryEfficiency?.efficiencyRatio,
+    timeEfficiency: flight => flight.trajectoryAnalysis?.detailed?.trajectoryEfficiency?.timeEfficiency,
+    qualityScore: flight => flight.qualityAssessment?.overallScore,
+    ...Object.fromEntries(PERFORMANCE_INDICES.map(index => [index, flight => getControlPerformance(flight)[index]]))
+};
+// Per-sample fields a point-level group comparison can test
+const GROUP_POINT_METRICS = ['error', 'error_xy', 'error_z'];
+// Metrics /performance-trends can follow, with the direction that counts as an improvement
+const LOWER_IS_BETTER = ['averageError', 'maxError', 'rmsError', ...PERFORMANCE_INDICES];
+const TREND_METRICS = {
+    accuracy: { better: 'lower', value: GROUP_FLIGHT_METRICS.averageError },
+    stability: { better: 'higher', value: flight => flight.analysis?.positionAccuracy?.waypoint?.percentage },
+    response_time: { better: 'lower', value: flight => flight.analysis?.responseTime },
+    ...Object.fromEntries(Object.entries(GROUP_FLIGHT_METRICS).map(([name, value]) => (
+        [name, { better: LOWER_IS_BETTER.includes(name) ? 'lower' : 'higher', value }]
+    )))
+};
+const MAX_ROLLING_WINDOW = 50;
+
 // All routes require authentication
 router.use(authenticateToken);
 
-// Get detailed trajectory analysis for a specific flight
+// Get detailed trajectory analysis for a specific flight, optionally filtered (see TrajectoryFilter)
 router.get('/:flightId/analysis', async (req, res) => {
     try {
         const { flightId } = req.params;
-        
+
+        const filterError = TrajectoryFilter.validateOptions(req.query);
+        if (filterError) {
+            return res.status(400).json({
+                success: false,
+                message: filterError
+            });
+        }
+
         const flight = await FlightData.findOne({
             _id: flightId,
             userId: req.user.userId
@@ -26,21 +83,28 @@ router.get('/:flightId/analysis', async (req, res) => {
         }
 
         // Generate comprehensive trajectory analysis
-        const flightDataForAnalysis = {
-            timestamp: flight.timestamp,
-            position_data: flight.positionData,
-            sequence: flight.sequence,
-            response_time: flight.analysis.responseTime,
-            battery: flight.analysis.battery,
-            command_stats: flight.analysis.commandStats
-        };
+        const filterOptions = TrajectoryFilter.resolveOptions(req.query);
+        const sizeError = TrajectoryFilter.validateOutputSize(flight.positionData, filterOptions);
+        if (sizeError) {
+            return res.status(400).json({
+                success: false,
+                message: sizeError
+            });
+        }
 
-        const trajectoryReport = TrajectoryAnalyzer.generateTrajectoryReport(flightDataForAnalysis);
+        const filtered = TrajectoryFilter.apply(
+            UAVDataProcessor.toRawFlightData(flight),
+            filterOptions,
+            TrajectoryErrorCalculator.resolveOptions({}, flight.analysis?.errorCalculation || {})
+        );
+
+        const trajectoryReport = TrajectoryAnalyzer.generateTrajectoryReport(filtered.flightData);
 
         res.json({
             success: true,
             flightId: flight._id,
             flightName: flight.flightName,
+            filter: filtered.filter,
             analysis: trajectoryReport
         });
 
@@ -53,10 +117,89 @@ router.get('/:flightId/analysis', async (req, res) => {
     }
 });
 
-// Compare trajectory analysis between multiple flights
+// Re-run the trajectory-aware error calculator with other options and compare to the stored errors
+router.post('/:flightId/error-recalculation', async (req, res) => {
+    try {
+        const { flightId } = req.params;
+        const configurations = req.body.configurations || [req.body];
+
+        if (!Array.isArray(configurations) || configurations.length === 0 || configurations.length > 10) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide between 1 and 10 calculator configurations'
+            });
+        }
+
+        for (const config of configurations) {
+            const validationError = TrajectoryErrorCalculator.validateOptions(config || {});
+            if (validationError) {
+                return res.status(400).json({
+                    success: false,
+                    message: validationError
+                });
+            }
+        }
+
+        const flight = await FlightData.findOne({
+            _id: flightId,
+            userId: req.user.userId
+        });
+
+        if (!flight) {
+            return res.status(404).json({
+                success: false,
+                message: 'Flight data not found'
+            });
+        }
+
+        const flightData = UAVDataProcessor.toRawFlightData(flight);
+        const storedConfig = TrajectoryErrorCalculator.resolveOptions({}, flight.analysis?.errorCalculation || {});
+        const storedErrors = flightData.position_data.map(point => ({
+            error: point.error,
+            error_xy: point.error_xy,
+            error_z: point.error_z
+        }));
+
+        const results = configurations.map(config => {
+            const options = TrajectoryErrorCalculator.resolveOptions(config, storedConfig);
+            const result = TrajectoryErrorCalculator.recalculate(flightData, options);
+
+            return {
+                config: options,
+                summary: result.summary,
+                comparison: TrajectoryErrorCalculator.compareErrors(
+                    storedErrors.map(e => e.error),
+                    result.errors.map(e => (e ? e.error : null))
+                )
+            };
+        });
+
+        res.json({
+            success: true,
+            flightId: flight._id,
+            flightName: flight.flightName,
+            method: TrajectoryErrorCalculator.METHOD,
+            baseline: {
+                config: storedConfig,
+                summary: TrajectoryErrorCalculator.summarize(flightData.position_data, storedErrors, storedConfig)
+            },
+            results
+        });
+
+    } catch (error) {
+        console.error('Error recalculation error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to recalculate errors: ' + error.message
+        });
+    }
+});
+
+// Compare trajectory analysis between multiple flights, flights flying the first flight's sequence
+// are also aligned to it point by point (alignment: dtw, leg_time or none)
 router.post('/compare', async (req, res) => {
     try {
-        const { flightIds } = req.body;
+        const { flightIds, metric, alignment = 'dtw' } = req.body;
 
         if (!flightIds || !Array.isArray(flightIds) || flightIds.length < 2) {
             return res.status(400).json({
@@ -65,32 +208,45 @@ router.post('/compare', async (req, res) => {
             });
         }
 
-        const flights = await FlightData.find({
+        if (metric !== undefined && !Object.prototype.hasOwnProperty.call(COMPARISON_METRICS, metric)) {
+            return res.status(400).json({
+                success: false,
+                message: `metric must be one of: ${Object.keys(COMPARISON_METRICS).join(', ')}`
+            });
+        }
+
+        if (alignment !== 'none' && !TrajectoryAligner.ALIGNMENT_METHODS.includes(alignment)) {
+            return res.status(400).json({
+                success: false,
+                message: `alignment must be one of: ${[...TrajectoryAligner.ALIGNMENT_METHODS, 'none'].join(', ')}`
+            });
+        }
+
+        const found = await FlightData.find({
             _id: { $in: flightIds },
             userId: req.user.userId
         });
 
-        if (flights.length !== flightIds.length) {
+        if (found.length !== flightIds.length) {
             return res.status(404).json({
                 success: false,
                 message: 'One or more flights not found'
             });
         }
 
+        // Keep the requested order, the first flight is the alignment reference
+        const flights = flightIds.map(id => found.find(flight => flight._id.toString() === String(id)));
+
         // Generate analysis for each flight
         const comparisons = [];
+        const rawFlights = [];
         
         for (const flight of flights) {
-            const flightDataForAnalysis = {
-                timestamp: flight.timestamp,
-                position_data: flight.positionData,
-                sequence: flight.sequence,
-                response_time: flight.analysis.responseTime,
-                battery: flight.analysis.battery,
-                command_stats: flight.analysis.commandStats
-            };
+            const flightDataForAnalysis = UAVDataProcessor.toRawFlightData(flight);
+            rawFlights.push(flightDataForAnalysis);
 
             const analysis = TrajectoryAnalyzer.analyzeTrajectory(flightDataForAnalysis);
+            const controlPerformance = getControlPerformance(flight);
             
             comparisons.push({
                 flightId: flight._id,
@@ -99,11 +255,17 @@ router.post('/compare', async (req, res) => {
                 metrics: {
                     overallStabilityScore: analysis.stabilityMetrics.overallStabilityScore,
                     efficiencyRatio: analysis.trajectoryEfficiency.efficiencyRatio,
+                    timeEfficiency: analysis.trajectoryEfficiency.timeEfficiency,
+                    excessDistance: analysis.trajectoryEfficiency.excessDistance,
                     pathSmoothness: analysis.turnAnalysis.pathSmoothness,
                     networkCorrelation: analysis.networkCorrelation.networkErrorCorrelation,
                     averageError: flight.analysis.positionAccuracy.overall.average,
                     totalTurns: analysis.turnAnalysis.totalTurns,
-                    stabilizationRatio: analysis.stabilityMetrics.stabilizationRatio
+                    stabilizationRatio: analysis.stabilityMetrics.stabilizationRatio,
+                    iae: controlPerformance.iae,
+                    ise: controlPerformance.ise,
+                    itae: controlPerformance.itae,
+                    itse: controlPerformance.itse
                 }
             });
         }
@@ -116,7 +278,9 @@ router.post('/compare', async (req, res) => {
             comparison: {
                 flights: comparisons,
                 insights: insights,
-                summary: generateComparisonSummary(comparisons)
+                summary: generateComparisonSummary(comparisons),
+                ...(metric && { metric, ranking: rankFlightsByMetric(comparisons, metric) }),
+                alignment: alignment === 'none' ? null : alignFlights(flights, rawFlights, alignment)
             }
         });
 
@@ -129,6 +293,96 @@ router.post('/compare', async (req, res) => {
     }
 });
 
+// Test whether two groups of flights differ (e.g. with vs without packet loss), on per-flight
+// metrics or on the pooled per-point errors
+router.post('/compare-groups', async (req, res) => {
+    try {
+        const { groups, level = 'flight', alpha = GroupComparator.DEFAULT_ALPHA } = req.body;
+        const metric = req.body.metric || (level === 'point' ? 'error' : 'averageError');
+
+        if (!Array.isArray(groups) || groups.length !== 2 ||
+            !groups.every(group => group && Array.isArray(group.flightIds) && group.flightIds.length > 0)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide exactly 2 groups, each with a non-empty flightIds array'
+            });
+        }
+
+        if (!['flight', 'point'].includes(level)) {
+            return res.status(400).json({
+                success: false,
+                message: 'level must be one of: flight, point'
+            });
+        }
+
+        const metrics = level === 'point' ? GROUP_POINT_METRICS : Object.keys(GROUP_FLIGHT_METRICS);
+        if (!metrics.includes(metric)) {
+            return res.status(400).json({
+                success: false,
+                message: `metric must be one of: ${metrics.join(', ')}`
+            });
+        }
+
+        if (typeof alpha !== 'number' || !(alpha > 0 && alpha < 0.5)) {
+            return res.status(400).json({
+                success: false,
+                message: 'alpha must be a number between 0 and 0.5'
+            });
+        }
+
+        const samples = [];
+        for (const group of groups) {
+            const flights = await FlightData.find({
+                _id: { $in: group.flightIds },
+                userId: req.user.userId
+            });
+
+            if (flights.length !== new Set(group.flightIds.map(String)).size) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'One or more flights not found'
+                });
+            }
+
+            samples.push(collectGroupSample(flights, level, metric));
+        }
+
+        const [first, second] = samples;
+        if (first.values.length < 2 || second.values.length < 2) {
+            return res.status(400).json({
+                success: false,
+                message: `Each group needs at least 2 ${level === 'point' ? 'samples' : 'flights'} with a value for ${metric}`
+            });
+        }
+
+        const comparison = GroupComparator.compareSamples(first.values, second.values, alpha);
+        const names = groups.map((group, i) => group.name || (i === 0 ? 'A' : 'B'));
+
+        res.json({
+            success: true,
+            level,
+            metric,
+            comparison: {
+                ...comparison,
+                groups: comparison.groups.map((stats, i) => ({
+                    name: names[i],
+                    flights: samples[i].flights,
+                    excludedFlights: samples[i].excludedFlights,
+                    ...stats
+                }))
+            },
+            conclusion: describeGroupDifference(comparison, names, metric)
+        });
+
+    } catch (error) {
+        console.error('Group comparison error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to compare flight groups: ' + error.message
+        });
+    }
+});
+
 // Get trajectory patterns and trends for a user
 router.get('/patterns', async (req, res) => {
     try {
@@ -189,10 +443,25 @@ router.get('/patterns', async (req, res) => {
     }
 });
 
-// Get performance metrics over time
+// Get performance metrics over time, with the trend, rolling average and change points over the flights
 router.get('/performance-trends', async (req, res) => {
     try {
         const { metric = 'accuracy', period = 'daily' } = req.query;
+        const window = req.query.window !== undefined ? Number(req.query.window) : undefined;
+
+        if (!Object.prototype.hasOwnProperty.call(TREND_METRICS, metric)) {
+            return res.status(400).json({
+                success: false,
+                message: `metric must be one of: ${Object.keys(TREND_METRICS).join(', ')}`
+            });
+        }
+
+        if (window !== undefined && (!Number.isInteger(window) || window < 1 || window > MAX_ROLLING_WINDOW)) {
+            return res.status(400).json({
+                success: false,
+                message: `window must be an integer between 1 and ${MAX_ROLLING_WINDOW}`
+            });
+        }
         
         const flights = await FlightData.find({
             userId: req.user.userId
@@ -211,9 +480,10 @@ router.get('/performance-trends', async (req, res) => {
         res.json({
             success: true,
             metric: metric,
+            better: TREND_METRICS[metric].better,
             period: period,
             trends: trends,
-            summary: calculateTrendSummary(trends)
+            summary: calculateTrendSummary(flights, metric, trends, window)
         });
 
     } catch (error) {
@@ -244,12 +514,14 @@ router.get('/:flightId/network-impact', async (req, res) => {
 
         // Analyze network impact on trajectory
         const networkImpact = analyzeNetworkImpact(flight.positionData);
+        const sampling = NetworkAnalyzer.analyzeSampling(UAVDataProcessor.toRawFlightData(flight).position_data);
 
         res.json({
             success: true,
             flightId: flight._id,
             flightName: flight.flightName,
-            networkImpact: networkImpact
+            networkImpact: networkImpact,
+            sampling
         });
 
     } catch (error) {
@@ -261,6 +533,42 @@ router.get('/:flightId/network-impact', async (req, res) => {
     }
 });
 
+// Get command-to-motion latency for a specific flight
+router.get('/:flightId/latency', async (req, res) => {
+    try {
+        const { flightId } = req.params;
+
+        const flight = await FlightData.findOne({
+            _id: flightId,
+            userId: req.user.userId
+        });
+
+        if (!flight) {
+            return res.status(404).json({
+                success: false,
+                message: 'Flight data not found'
+            });
+        }
+
+        // Recomputed from the stored points so flights uploaded before latency analysis are covered
+        const latency = LatencyAnalyzer.analyzeLatency(UAVDataProcessor.toRawFlightData(flight));
+
+        res.json({
+            success: true,
+            flightId: flight._id,
+            flightName: flight.flightName,
+            latency: latency
+        });
+
+    } catch (error) {
+        console.error('Latency analysis error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to analyze latency: ' + error.message
+        });
+    }
+});
+
 // Helper functions
 
 function generateComparativeInsights(comparisons) {
@@ -270,8 +578,10 @@ function generateComparativeInsights(comparisons) {
     const bestStability = comparisons.reduce((prev, curr) => 
         (curr.metrics.overallStabilityScore > prev.metrics.overallStabilityScore) ? curr : prev);
     
-    const bestEfficiency = comparisons.reduce((prev, curr) => 
-        (curr.metrics.efficiencyRatio > prev.metrics.efficiencyRatio) ? curr : prev);
+    // Flights without targets have no path efficiency
+    const withEfficiency = comparisons.filter(f => f.metrics.efficiencyRatio !== null);
+    const bestEfficiency = withEfficiency.length > 0 ? withEfficiency.reduce((prev, curr) =>
+        (curr.metrics.efficiencyRatio > prev.metrics.efficiencyRatio) ? curr : prev) : null;
     
     const bestAccuracy = comparisons.reduce((prev, curr) => 
         (curr.metrics.averageError < prev.metrics.averageError) ? curr : prev);
@@ -282,11 +592,13 @@ function generateComparativeInsights(comparisons) {
         flightId: bestStability.flightId
     });
 
-    insights.push({
-        type: 'best_efficiency',
-        message: `${bestEfficiency.flightName} achieved the best efficiency with ${(bestEfficiency.metrics.efficiencyRatio * 100).toFixed(1)}% path optimization`,
-        flightId: bestEfficiency.flightId
-    });
+    if (bestEfficiency) {
+        insights.push({
+            type: 'best_efficiency',
+            message: `${bestEfficiency.flightName} achieved the best efficiency with ${(bestEfficiency.metrics.efficiencyRatio * 100).toFixed(1)}% path optimization`,
+            flightId: bestEfficiency.flightId
+        });
+    }
 
     insights.push({
         type: 'best_accuracy',
@@ -309,17 +621,102 @@ function generateComparativeInsights(comparisons) {
     return insights;
 }
 
+function rankFlightsByMetric(comparisons, metric) {
+    const direction = COMPARISON_METRICS[metric] === 'lower' ? 1 : -1;
+
+    return comparisons
+        .map(entry => ({ flightId: entry.flightId, flightName: entry.flightName, value: entry.metrics[metric] }))
+        // Flights the metric could not be computed for rank last
+        .sort((a, b) => (a.value === null) - (b.value === null) || direction * (a.value - b.value))
+        .map((entry, index) => ({ rank: index + 1, ...entry }));
+}
+
+// Values a group contributes to a comparison, flights without the metric are listed as excluded
+function collectGroupSample(flights, level, metric) {
+    const values = [];
+    const excludedFlights = [];
+
+    flights.forEach(flight => {
+        const flightValues = level === 'point' ?
+            (flight.positionData || []).map(point => point[metric]) :
+            [GROUP_FLIGHT_METRICS[metric](flight)];
+        const usable = flightValues.filter(value => typeof value === 'number' && !isNaN(value));
+
+        if (usable.length === 0) excludedFlights.push(flight._id);
+        values.push(...usable);
+    });
+
+    return { values, flights: flights.length, excludedFlights };
+}
+
+// One-line reading of a group comparison
+function describeGroupDifference(comparison, names, metric) {
+    const { welchTTest, mannWhitneyU, effectSize, difference } = comparison;
+
+    if (!welchTTest.significant && !mannWhitneyU.significant) {
+        return `No significant difference in ${metric} between ${names[0]} and ${names[1]} ` +
+            `(Welch p=${welchTTest.pValue.toFixed(3)}, Mann-Whitney p=${mannWhitneyU.pValue.toFixed(3)})`;
+    }
+
+    return `${names[0]} has a ${difference.mean > 0 ? 'higher' : 'lower'} ${metric} than ${names[1]} ` +
+        `(Welch p=${welchTTest.pValue.toFixed(3)}, Mann-Whitney p=${mannWhitneyU.pValue.toFixed(3)}, ` +
+        `${effectSize.magnitude} effect, d=${effectSize.cohensD.toFixed(2)})`;
+}
+
+// Align every flight flying the reference's (first flight's) sequence to the reference
+function alignFlights(flights, rawFlights, method) {
+    const [reference, ...others] = flights;
+    const pairs = [];
+    const skipped = [];
+
+    others.forEach((flight, i) => {
+        if (!TrajectoryAligner.sameSequence(reference.sequence, flight.sequence)) {
+            skipped.push({
+                flightId: flight._id,
+                flightName: flight.flightName,
+                reason: 'Flight does not fly the reference sequence'
+            });
+            return;
+        }
+
+        pairs.push({
+            flightId: flight._id,
+            flightName: flight.flightName,
+            ...TrajectoryAligner.alignFlights(rawFlights[0].position_data, rawFlights[i + 1].position_data, method)
+        });
+    });
+
+    return {
+        method,
+        referenceFlightId: reference._id,
+        referenceFlightName: reference.flightName,
+        sequenceTolerance: TrajectoryAligner.SEQUENCE_TOLERANCE,
+        pairs,
+        skipped
+    };
+}
+
+// Whole-flight integral error criteria, recomputed for flights stored before they were added
+function getControlPerformance(flight) {
+    const stored = flight.analysis?.controlPerformance?.overall;
+    if (stored && PERFORMANCE_INDICES.every(index => typeof stored[index] === 'number')) {
+        return stored;
+    }
+    return TrajectoryAnalyzer.calculatePerformanceIndices(flight.positionData || []).overall;
+}
+
 function generateComparisonSummary(comparisons) {
     const metrics = {
         stability: comparisons.map(f => f.metrics.overallStabilityScore),
-        efficiency: comparisons.map(f => f.metrics.efficiencyRatio * 100),
+        efficiency: comparisons.filter(f => f.metrics.efficiencyRatio !== null).map(f => f.metrics.efficiencyRatio * 100),
         accuracy: comparisons.map(f => f.metrics.averageError),
         smoothness: comparisons.map(f => f.metrics.pathSmoothness * 100)
     };
 
     return {
         averageStability: (metrics.stability.reduce((sum, val) => sum + val, 0) / metrics.stability.length).toFixed(1) + '%',
-        averageEfficiency: (metrics.efficiency.reduce((sum, val) => sum + val, 0) / metrics.efficiency.length).toFixed(1) + '%',
+        averageEfficiency: metrics.efficiency.length > 0 ?
+            (metrics.efficiency.reduce((sum, val) => sum + val, 0) / metrics.efficiency.length).toFixed(1) + '%' : 'N/A',
         averageAccuracy: (metrics.accuracy.reduce((sum, val) => sum + val, 0) / metrics.accuracy.length).toFixed(3) + 'm',
         averageSmoothness: (metrics.smoothness.reduce((sum, val) => sum + val, 0) / metrics.smoothness.length).toFixed(1) + '%',
         performanceVariation: calculatePerformanceVariation(comparisons)
@@ -350,7 +747,7 @@ function analyzeFlightPatterns(flights) {
         value: flight.analysis.positionAccuracy.overall.average
     }));
 
-    patterns.trends.accuracy = calculateTrendDirection(accuracyTrend);
+    patterns.trends.accuracy = calculateTrendDirection(accuracyTrend, 'lower');
 
     // Analyze stability trends
     const stabilityTrend = flights.map(flight => ({
@@ -358,7 +755,7 @@ function analyzeFlightPatterns(flights) {
         value: flight.analysis.positionAccuracy.waypoint.percentage
     }));
 
-    patterns.trends.stability = calculateTrendDirection(stabilityTrend);
+    patterns.trends.stability = calculateTrendDirection(stabilityTrend, 'higher');
 
     // Generate insights
     if (patterns.trends.accuracy === 'improving') {
@@ -375,20 +772,9 @@ function analyzeFlightPatterns(flights) {
     return patterns;
 }
 
-function calculateTrendDirection(dataPoints) {
-    if (dataPoints.length < 2) return 'insufficient_data';
-
-    const firstHalf = dataPoints.slice(0, Math.floor(dataPoints.length / 2));
-    const secondHalf = dataPoints.slice(Math.floor(dataPoints.length / 2));
-
-    const firstAvg = firstHalf.reduce((sum, point) => sum + point.value, 0) / firstHalf.length;
-    const secondAvg = secondHalf.reduce((sum, point) => sum + point.value, 0) / secondHalf.length;
-
-    const changePercent = ((secondAvg - firstAvg) / firstAvg) * 100;
-
-    if (changePercent > 10) return 'improving';
-    if (changePercent < -10) return 'declining';
-    return 'stable';
+// 'improving', 'declining', 'stable' or 'insufficient_data' from the regression over the points
+function calculateTrendDirection(dataPoints, better) {
+    return TrendAnalyzer.analyzeSeries(dataPoints, better).trend;
 }
 
 function identifyCommonIssues(flights) {
@@ -405,7 +791,7 @@ function identifyCommonIssues(flights) {
 
     // Check for battery issues
     const lowBatteryFlights = flights.filter(flight => 
-        flight.analysis.battery.startVoltage < 3.9
+        flight.analysis?.battery?.startVoltage && flight.analysis.battery.startVoltage < 3.9
     );
 
     if (lowBatteryFlights.length > flights.length * 0.3) {
@@ -422,27 +808,13 @@ function generatePerformanceTrends(flights, metric, period) {
     return Object.keys(groupedData).map(periodKey => {
         const periodFlights = groupedData[periodKey];
         
-        let value;
-        switch (metric) {
-            case 'accuracy':
-                value = periodFlights.reduce((sum, flight) => 
-                    sum + flight.analysis.positionAccuracy.overall.average, 0) / periodFlights.length;
-                break;
-            case 'stability':
-                value = periodFlights.reduce((sum, flight) => 
-                    sum + flight.analysis.positionAccuracy.waypoint.percentage, 0) / periodFlights.length;
-                break;
-            case 'response_time':
-                value = periodFlights.reduce((sum, flight) => 
-                    sum + flight.analysis.responseTime, 0) / periodFlights.length;
-                break;
-            default:
-                value = 0;
-        }
+        // Flights without the metric (e.g. no targets for efficiency) are left out of the period mean
+        const values = periodFlights.map(TREND_METRICS[metric].value)
+            .filter(value => typeof value === 'number' && !isNaN(value));
 
         return {
             period: periodKey,
-            value: value,
+            value: values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null,
             flightCount: periodFlights.length,
             date: periodFlights[0].createdAt
         };
@@ -481,33 +853,44 @@ function groupFlightsByPeriod(flights, period) {
     return grouped;
 }
 
-function calculateTrendSummary(trends) {
-    if (trends.length < 2) {
-        return { message: 'Insufficient data for trend analysis' };
-    }
+// Trend over the individual flights (not the period means), see TrendAnalyzer
+function calculateTrendSummary(flights, metric, trends, window) {
+    const { better, value } = TREND_METRICS[metric];
+    const analysis = TrendAnalyzer.analyzeSeries(
+        flights.map(flight => ({ date: flight.createdAt, value: value(flight) })),
+        better,
+        window
+    );
 
-    const firstValue = trends[0].value;
-    const lastValue = trends[trends.length - 1].value;
-    const change = ((lastValue - firstValue) / firstValue) * 100;
+    if (analysis.trend === 'insufficient_data') {
+        return { message: 'Insufficient data for trend analysis', trend: analysis.trend, totalFlights: analysis.count };
+    }
 
     return {
         totalDataPoints: trends.length,
-        overallChange: change.toFixed(2) + '%',
-        trend: change > 5 ? 'improving' : change < -5 ? 'declining' : 'stable',
-        averageValue: (trends.reduce((sum, trend) => sum + trend.value, 0) / trends.length).toFixed(3)
+        totalFlights: analysis.count,
+        overallChange: analysis.relativeChange !== null ? (analysis.relativeChange * 100).toFixed(2) + '%' : 'N/A',
+        trend: analysis.trend,
+        averageValue: analysis.mean.toFixed(3),
+        regression: analysis.regression,
+        robustRegression: analysis.robustRegression,
+        changePoints: analysis.changePoints,
+        rollingAverage: analysis.rollingAverage
     };
 }
 
 function analyzeNetworkImpact(positionData) {
-    const networkQualities = positionData.map(p => p.networkQuality || 100);
+    // A missing value counts as a perfect link, 0 is a real (lost) link
+    const quality = p => p.networkQuality ?? 100;
+    const networkQualities = positionData.map(quality);
     const errors = positionData.map(p => p.error);
 
     // Segment analysis by network quality
     const segments = {
-        excellent: positionData.filter(p => (p.networkQuality || 100) >= 90),
-        good: positionData.filter(p => (p.networkQuality || 100) >= 70 && (p.networkQuality || 100) < 90),
-        fair: positionData.filter(p => (p.networkQuality || 100) >= 50 && (p.networkQuality || 100) < 70),
-        poor: positionData.filter(p => (p.networkQuality || 100) < 50)
+        excellent: positionData.filter(p => quality(p) >= 90),
+        good: positionData.filter(p => quality(p) >= 70 && quality(p) < 90),
+        fair: positionData.filter(p => quality(p) >= 50 && quality(p) < 70),
+        poor: positionData.filter(p => quality(p) < 50)
     };
 
     const analysis = {};
@@ -524,7 +907,7 @@ function analyzeNetworkImpact(positionData) {
     });
 
     // Calculate correlation
-    const correlation = calculateCorrelation(networkQualities, errors);
+    const correlation = TrajectoryAnalyzer.calculateCorrelation(networkQualities, errors);
 
     return {
         segmentAnalysis: analysis,
@@ -539,22 +922,6 @@ function analyzeNetworkImpact(positionData) {
     };
 }
 
-function calculateCorrelation(x, y) {
-    const n = x.length;
-    if (n !== y.length || n === 0) return 0;
-
-    const sumX = x.reduce((sum, val) => sum + val, 0);
-    const sumY = y.reduce((sum, val) => sum + val, 0);
-    const sumXY = x.reduce((sum, val, i) => sum + val * y[i], 0);
-    const sumXX = x.reduce((sum, val) => sum + val * val, 0);
-    const sumYY = y.reduce((sum, val) => sum + val * val, 0);
-
-    const numerator = n * sumXY - sumX * sumY;
-    const denominator = Math.sqrt((n * sumXX - sumX * sumX) * (n * sumYY - sumY * sumY));
-
-    return denominator === 0 ? 0 : numerator / denominator;
-}
-
 function generateNetworkRecommendations(analysis, correlation) {
     const recommendations = [];
 
@@ -17,6 +17,9 @@ const authRoutes = require('./routes/auth');
 const flightRoutes = require('./routes/flights');
 const dashboardRoutes = require('./routes/dashboard');
 const analysisRoutes = require('./routes/analysis');
+const trajectoryRoutes = require('./routes/trajectoryAnalysis');
+const scoringProfileRoutes = require('./routes/scoringProfiles');
+const missionTemplateRoutes = require('./routes/missionTemplates');
 
 require('dotenv').config();
 
@@ -44,6 +47,9 @@ app.use('/api/auth', authRoutes);
 app.use('/api/flights', flightRoutes);
 app.use('/api/dashboard', dashboardRoutes);
 app.use('/api/analysis', analysisRoutes);
+app.use('/api/trajectory', trajectoryRoutes);
+app.use('/api/scoring-profiles', scoringProfileRoutes);
+app.use('/api/mission-templates', missionTemplateRoutes);
 
 // Health check
 app.get('/api/health', (req, res) => {
@@ -279,6 +285,9 @@ app.get('/profile', (req, res) => {
 app.get('/flights', (req, res) => {
     res.sendFile(path.join(__dirname, 'views', 'flights.html'));
 });
+app.get('/templates', (req, res) => {
+    res.sendFile(path.join(__dirname, 'views', 'templates.html'));
+});
 app.get('/visualization', (req, res) => {
     res.sendFile(path.join(__dirname, 'views', 'visualization.html'));
 });
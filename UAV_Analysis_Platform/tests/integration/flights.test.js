@@ -69,6 +69,11 @@ describe('Flight Data API Integration Tests', () => {
             const savedFlight = await FlightData.findById(response.body.flightId);
             expect(savedFlight).toBeTruthy();
             expect(savedFlight.userId.toString()).toBe(userId.toString());
+            expect(savedFlight.analysis.battery.startVoltage).toBe(4.1);
+            expect(savedFlight.analysis.commandStats.totalAttempts).toBe(47);
+            expect(savedFlight.networkAnalysis.qualityStats.count).toBe(2);
+            expect(savedFlight.performanceMetrics.energyEfficiency.estimated).toBe(true);
+            expect(savedFlight.performanceMetrics.energyEfficiency.remainingEndurance).toBeGreaterThan(0);
         } finally {
             // Clean up test file
             if (fs.existsSync(testFilePath)) {
@@ -77,6 +82,81 @@ describe('Flight Data API Integration Tests', () => {
         }
     });
 
+    test('should reject corrupted data in strict mode and repair it in lenient mode', async () => {
+        const positionData = [];
+        for (let i = 0; i < 10; i++) {
+            positionData.push({
+                x: i * 0.01, y: 0, z: 0.5, time: i * 0.05,
+                target: { x: 0.1, y: 0, z: 0.5 }, phase: 'transit', error: 0.02
+            });
+        }
+        positionData[4].x = null;
+        positionData[6].time = positionData[5].time;
+
+        const testFilePath = path.join(__dirname, 'test-corrupted-flight.json');
+        fs.writeFileSync(testFilePath, JSON.stringify({ timestamp: '20250514_104755', position_data: positionData }));
+
+        try {
+            const strict = await request(app)
+                .post('/api/flights/upload')
+                .set('Authorization', `Bearer ${authToken}`)
+                .attach('flightData', testFilePath)
+                .field('qualityMode', 'strict')
+                .expect(400);
+
+            expect(strict.body.success).toBe(false);
+            expect(strict.body.dataQuality.issues.invalidValues[0].index).toBe(4);
+            expect(strict.body.dataQuality.issues.duplicateTimestamps[0].index).toBe(6);
+            expect(await FlightData.countDocuments()).toBe(0);
+
+            const lenient = await request(app)
+                .post('/api/flights/upload')
+                .set('Authorization', `Bearer ${authToken}`)
+                .attach('flightData', testFilePath)
+                .expect(200);
+
+            expect(lenient.body.summary.totalPoints).toBe(8);
+            expect(lenient.body.dataQuality.removedIndices).toEqual([4, 6]);
+
+            const savedFlight = await FlightData.findById(lenient.body.flightId);
+            expect(savedFlight.dataQuality.mode).toBe('lenient');
+            expect(savedFlight.dataQuality.issueCounts.invalidValues).toBe(1);
+        } finally {
+            if (fs.existsSync(testFilePath)) {
+                fs.unlinkSync(testFilePath);
+            }
+        }
+    });
+
+    test('should repair a bad first point in lenient mode', async () => {
+        const positionData = [];
+        for (let i = 0; i < 10; i++) {
+            positionData.push({
+                x: i * 0.01, y: 0, z: 0.5, time: i * 0.05,
+                target: { x: 0.1, y: 0, z: 0.5 }, phase: 'transit', error: 0.02
+            });
+        }
+        delete positionData[0].x;
+
+        const testFilePath = path.join(__dirname, 'test-bad-first-point.json');
+        fs.writeFileSync(testFilePath, JSON.stringify({ timestamp: '20250514_104755', position_data: positionData }));
+
+        try {
+            const response = await request(app)
+                .post('/api/flights/upload')
+                .set('Authorization', `Bearer ${authToken}`)
+                .attach('flightData', testFilePath)
+                .expect(200);
+
+            expect(response.body.summary.totalPoints).toBe(9);
+            expect(response.body.dataQuality.removedIndices).toEqual([0]);
+        } finally {
+            if (fs.existsSync(testFilePath)) {
+                fs.unlinkSync(testFilePath);
+            }
+        }
+    });
+
     test('should get flight history for authenticated user', async () => {
         // Create test flight data
         const flightData = new FlightData({
@@ -137,4 +217,65 @@ describe('Flight Data API Integration Tests', () => {
         expect(response.body.success).toBe(true);
         expect(response.body.flight.flightName).toBe('Test Flight Details');
     });
-});
\ No newline at end of file
+
+    test('should return per-waypoint leg metrics', async () => {
+        const positionData = [];
+        for (let i = 0; i < 20; i++) {
+            const target = i < 10 ? { x: 0, y: 0, z: 0.5 } : { x: 0, y: 0, z: 1.0 };
+            positionData.push({
+                x: 0, y: 0, z: 0.5 + (i < 10 ? 0 : Math.min(0.5, (i - 9) * 0.1)), time: i * 0.1,
+                error: 0.02, phase: i % 10 >= 6 ? 'waypoint' : 'transit', stabilized: i % 10 >= 7, target
+            });
+        }
+        const flightData = new FlightData({
+            userId,
+            flightName: 'Leg Flight',
+            timestamp: '20250513_193752',
+            sequence: [[0, 0, 0.5], [0, 0, 1.0]],
+            positionData,
+            analysis: { totalPoints: 20 }
+        });
+        await flightData.save();
+
+        const response = await request(app)
+            .get(`/api/flights/${flightData._id}/legs`)
+            .set('Authorization', `Bearer ${authToken}`)
+            .expect(200);
+
+        expect(response.body.success).toBe(true);
+        expect(response.body.summary.totalLegs).toBe(2);
+        expect(response.body.legs[1].target).toEqual([0, 0, 1.0]);
+        expect(response.body.legs[1].transitTime).toBeCloseTo(0.6, 5);
+        expect(response.body.legs[1].timeToStabilize).toBeCloseTo(0.7, 5);
+    });
+
+    test('should return filtered visualization data with the filter used', async () => {
+        const positionData = [];
+        for (let i = 0; i < 20; i++) {
+            positionData.push({
+                x: i * 0.025, y: i % 2 === 0 ? 0.01 : -0.01, z: 0.5, time: i * 0.05,
+                error: 0.01, phase: 'transit', target: { x: 1, y: 0, z: 0.5 }, sequence_index: 1
+            });
+        }
+        const flightData = new FlightData({
+            userId,
+            flightName: 'Noisy Flight',
+            timestamp: '20250514_104755',
+            sequence: [[0, 0, 0.5], [1, 0, 0.5]],
+            positionData,
+            analysis: { totalPoints: 20, positionAccuracy: { overall: { average: 0.01 } } }
+        });
+        await flightData.save();
+
+        const response = await request(app)
+            .get(`/api/flights/${flightData._id}/visualization`)
+            .query({ filter: 'moving_average', window: 3 })
+            .set('Authorization', `Bearer ${authToken}`)
+            .expect(200);
+
+        expect(response.body.filter).toMatchObject({ type: 'moving_average', window: 3, outputPoints: 20 });
+        const middle = response.body.data.trajectory[10];
+        expect(Math.abs(middle.position[1])).toBeCloseTo(0.01 / 3, 10);
+        expect(middle.error).toBeCloseTo(0.01 / 3, 10);
+    });
+});
@@ -0,0 +1,96 @@
+const request = require('supertest');
+const { app } = require('../../server');
+const User = require('../../models/User');
+const FlightData = require('../../models/FlightData');
+const UAVDataProcessor = require('../../models/UAVDataProcessor');
+const jwt = require('jsonwebtoken');
+
+describe('Mission Template API Integration Tests', () => {
+    let authToken;
+    let userId;
+
+    // Climb from the first waypoint to the second and hover there with a constant error
+    const createFlight = async (timestamp, sequence, hoverError) => {
+        const [, [x, y, z]] = sequence;
+        const positionData = [];
+        for (let i = 0; i < 40; i++) {
+            const hovering = i >= 20;
+            positionData.push({
+                x: x + hoverError, y, z: hovering ? z : z * i / 20, time: 1747183650 + i * 0.05,
+                target: { x, y, z }, sequence_index: 1,
+                phase: hovering ? 'waypoint' : 'transit', stabilized: hovering, error: hovering ? hoverError : 0.05
+            });
+        }
+        const processed = UAVDataProcessor.processFlightData(
+            { timestamp, sequence, position_data: positionData },
+            { flightName: `Flight ${timestamp}` }
+        );
+        const flight = new FlightData({ userId, ...processed });
+        await flight.save();
+        return flight;
+    };
+
+    beforeEach(async () => {
+        const user = new User({
+            username: 'templateuser',
+            email: 'template@example.com',
+            password: 'password123'
+        });
+        await user.save();
+        userId = user._id;
+
+        const JWT_SECRET = process.env.JWT_SECRET || 'uav-secret-key';
+        authToken = jwt.sign({ userId }, JWT_SECRET);
+    });
+
+    test('should group re-flown sequences into templates with repeatability statistics', async () => {
+        const climb = [[0, 0, 0.3], [0, 0, 0.9]];
+        await createFlight('20250513_090000', climb, 0.02);
+        await createFlight('20250514_090000', [[0.004, 0, 0.3], [0, 0, 0.9]], 0.03);
+        const worst = await createFlight('20250515_090000', climb, 0.05);
+        await createFlight('20250515_100000', [[0, 0, 0.5], [0.5, 0, 0.5]], 0.02);
+
+        const list = await request(app)
+            .get('/api/mission-templates')
+            .set('Authorization', `Bearer ${authToken}`)
+            .expect(200);
+
+        expect(list.body.totalFlights).toBe(4);
+        expect(list.body.templates).toHaveLength(1);
+        const [summary] = list.body.templates;
+        expect(summary.runCount).toBe(3);
+        expect(summary.worstRun.flightId).toBe(worst._id.toString());
+
+        const response = await request(app)
+            .get(`/api/mission-templates/${summary.templateId}`)
+            .set('Authorization', `Bearer ${authToken}`)
+            .expect(200);
+
+        const { template } = response.body;
+        expect(template.runs).toHaveLength(3);
+        expect(template.waypoints[1].runs).toBe(3);
+        expect(template.waypoints[1].meanError).toBeCloseTo(0.1 / 3, 10);
+        expect(template.waypoints[1].bestRun.error).toBeCloseTo(0.02, 10);
+        expect(template.drift.direction).toBe('degrading');
+    });
+
+    test('should list single runs on request and reject unknown templates', async () => {
+        await createFlight('20250513_090000', [[0, 0, 0.3], [0, 0, 0.9]], 0.02);
+
+        const list = await request(app)
+            .get('/api/mission-templates?minRuns=1')
+            .set('Authorization', `Bearer ${authToken}`)
+            .expect(200);
+        expect(list.body.templates).toHaveLength(1);
+
+        await request(app)
+            .get('/api/mission-templates/000000000000')
+            .set('Authorization', `Bearer ${authToken}`)
+            .expect(404);
+
+        await request(app)
+            .get('/api/mission-templates?minRuns=zero')
+            .set('Authorization', `Bearer ${authToken}`)
+            .expect(400);
+    });
+});
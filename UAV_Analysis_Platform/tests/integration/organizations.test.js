@@ -0,0 +1,83 @@
+const request = require('supertest');
+const { app } = require('../../server');
+const User = require('../../models/User');
+
+describe('Organization API Integration Tests', () => {
+    const register = async (username) => {
+        const response = await request(app)
+            .post('/api/auth/register')
+            .send({ username, email: `${username}@example.com`, password: 'password123' })
+            .expect(201);
+        return `Bearer ${response.body.token}`;
+    };
+
+    test('should create an organization with the caller as admin', async () => {
+        const admin = await register('labadmin');
+        const pilot = await register('labpilot');
+
+        const created = await request(app)
+            .post('/api/auth/organization')
+            .set('Authorization', admin)
+            .send({ name: 'Flight Lab' })
+            .expect(201);
+        expect(created.body.role).toBe('admin');
+
+        // Joining an existing organization takes an admin
+        await request(app)
+            .post('/api/auth/organization')
+            .set('Authorization', pilot)
+            .send({ name: 'Flight Lab' })
+            .expect(409);
+    });
+
+    test('should let admins add members and members leave', async () => {
+        const admin = await register('labadmin');
+        const pilot = await register('labpilot');
+
+        await request(app)
+            .post('/api/auth/organization')
+            .set('Authorization', admin)
+            .send({ name: 'Flight Lab' })
+            .expect(201);
+
+        await request(app)
+            .put('/api/auth/organization/members')
+            .set('Authorization', admin)
+            .send({ username: 'labpilot' })
+            .expect(201);
+
+        const organization = await request(app)
+            .get('/api/auth/organization')
+            .set('Authorization', pilot)
+            .expect(200);
+        expect(organization.body.organization).toBe('Flight Lab');
+        expect(organization.body.role).toBe('member');
+        expect(organization.body.members).toHaveLength(2);
+
+        // Members cannot promote themselves or remove others
+        await request(app)
+            .put('/api/auth/organization/members')
+            .set('Authorization', pilot)
+            .send({ username: 'labpilot', role: 'admin' })
+            .expect(403);
+        await request(app)
+            .delete('/api/auth/organization/members/labadmin')
+            .set('Authorization', pilot)
+            .expect(403);
+
+        // The last admin cannot leave while members remain
+        await request(app)
+            .delete('/api/auth/organization/members/labadmin')
+            .set('Authorization', admin)
+            .expect(400);
+
+        await request(app)
+            .delete('/api/auth/organization/members/labpilot')
+            .set('Authorization', pilot)
+            .expect(200);
+
+        const user = await User.findOne({ username: 'labpilot' });
+        expect(user.profile.organization).toBeUndefined();
+        expect(user.profile.organizationRole).toBeUndefined();
+    });
+});
@@ -0,0 +1,176 @@
+const request = require('supertest');
+const { app } = require('../../server');
+const User = require('../../models/User');
+const FlightData = require('../../models/FlightData');
+const UAVDataProcessor = require('../../models/UAVDataProcessor');
+const jwt = require('jsonwebtoken');
+
+describe('Scoring Profile API Integration Tests', () => {
+    let authToken;
+    let userId;
+
+    // Hover at one waypoint with a constant 3cm error
+    const createFlight = async () => {
+        const positionData = [];
+        for (let i = 0; i < 40; i++) {
+            positionData.push({
+                x: 0.03, y: 0, z: 0.5, time: 1747183650 + i * 0.05,
+                target: { x: 0, y: 0, z: 0.5 }, sequence_index: 0,
+                phase: 'waypoint', stabilized: true, error: 0.03
+            });
+        }
+        const processed = UAVDataProcessor.processFlightData(
+            { timestamp: '20250514_104755', sequence: [[0, 0, 0.5]], position_data: positionData },
+            { flightName: 'Hover' }
+        );
+        const flight = new FlightData({ userId, ...processed });
+        await flight.save();
+        return flight;
+    };
+
+    beforeEach(async () => {
+        const user = new User({
+            username: 'scoringuser',
+            email: 'scoring@example.com',
+            password: 'password123',
+            profile: { organization: 'Flight Lab', organizationRole: 'admin' }
+        });
+        await user.save();
+        userId = user._id;
+
+        const JWT_SECRET = process.env.JWT_SECRET || 'uav-secret-key';
+        authToken = jwt.sign({ userId }, JWT_SECRET);
+    });
+
+    test('should list the built-in profiles', async () => {
+        const response = await request(app)
+            .get('/api/scoring-profiles')
+            .set('Authorization', `Bearer ${authToken}`)
+            .expect(200);
+
+        expect(response.body.defaultProfile).toBe('default');
+        expect(response.body.organization).toBe('Flight Lab');
+        expect(response.body.organizationAdmin).toBe(true);
+        expect(response.body.profiles.map(profile => profile.name))
+            .toEqual(['default', 'indoor-precision', 'outdoor-survey']);
+    });
+
+    test('should override a built-in profile for the organization', async () => {
+        const saved = await request(app)
+            .put('/api/scoring-profiles/indoor-precision')
+            .set('Authorization', `Bearer ${authToken}`)
+            .send({ scope: 'organization', gradeThresholds: { A: 95 } })
+            .expect(201);
+
+        expect(saved.body.profile.organization).toBe('Flight Lab');
+        // Unchanged fields come from the built-in profile
+        expect(saved.body.profile.weights.accuracy).toBe(0.5);
+
+        const resolved = await request(app)
+            .get('/api/scoring-profiles/indoor-precision')
+            .set('Authorization', `Bearer ${authToken}`)
+            .expect(200);
+        expect(resolved.body.profile.scope).toBe('organization');
+        expect(resolved.body.profile.gradeThresholds.A).toBe(95);
+
+        await request(app)
+            .put('/api/scoring-profiles/indoor-precision')
+            .set('Authorization', `Bearer ${authToken}`)
+            .send({ scope: 'organization', gradeThresholds: { A: 50 } })
+            .expect(400);
+    });
+
+    test('should only let organization admins edit organization profiles', async () => {
+        await request(app)
+            .put('/api/scoring-profiles/outdoor-survey')
+            .set('Authorization', `Bearer ${authToken}`)
+            .send({ scope: 'organization', gradeThresholds: { A: 95 } })
+            .expect(201);
+
+        const member = new User({
+            username: 'scoringmember',
+            email: 'member@example.com',
+            password: 'password123',
+            profile: { organization: 'Flight Lab', organizationRole: 'member' }
+        });
+        await member.save();
+        const memberToken = jwt.sign({ userId: member._id }, process.env.JWT_SECRET || 'uav-secret-key');
+
+        await request(app)
+            .put('/api/scoring-profiles/outdoor-survey')
+            .set('Authorization', `Bearer ${memberToken}`)
+            .send({ scope: 'organization', gradeThresholds: { A: 99 } })
+            .expect(403);
+
+        await request(app)
+            .delete('/api/scoring-profiles/outdoor-survey?scope=organization')
+            .set('Authorization', `Bearer ${memberToken}`)
+            .expect(403);
+
+        // Members still score with the shared profile
+        const resolved = await request(app)
+            .get('/api/scoring-profiles/outdoor-survey')
+            .set('Authorization', `Bearer ${memberToken}`)
+            .expect(200);
+        expect(resolved.body.profile.scope).toBe('organization');
+        expect(resolved.body.profile.gradeThresholds.A).toBe(95);
+
+        await request(app)
+            .delete('/api/scoring-profiles/outdoor-survey?scope=organization')
+            .set('Authorization', `Bearer ${authToken}`)
+            .expect(200);
+    });
+
+    test('should rescore stored flights under another profile', async () => {
+        const flight = await createFlight();
+        expect(flight.qualityAssessment.profile).toBe('default');
+        expect(flight.qualityAssessment.overallScore).toBe(70);
+
+        await request(app)
+            .put('/api/scoring-profiles/lenient-hover')
+            .set('Authorization', `Bearer ${authToken}`)
+            .send({ accuracy: { targetError: 0.05, maxError: 0.5 } })
+            .expect(201);
+
+        const response = await request(app)
+            .post('/api/scoring-profiles/lenient-hover/rescore')
+            .set('Authorization', `Bearer ${authToken}`)
+            .send({ flightIds: [flight._id] })
+            .expect(200);
+
+        expect(response.body.rescored).toBe(1);
+        expect(response.body.results[0].previous).toEqual({ profile: 'default', overallScore: 70, grade: 'C' });
+        expect(response.body.results[0].current.overallScore).toBe(100);
+
+        const stored = await FlightData.findById(flight._id);
+        expect(stored.qualityAssessment.profile).toBe('lenient-hover');
+        expect(stored.qualityAssessment.grade).toBe('A');
+    });
+
+    test('should return 404 for unknown profiles', async () => {
+        await request(app)
+            .post('/api/scoring-profiles/unknown/rescore')
+            .set('Authorization', `Bearer ${authToken}`)
+            .send({})
+            .expect(404);
+
+        await request(app)
+            .delete('/api/scoring-profiles/unknown')
+            .set('Authorization', `Bearer ${authToken}`)
+            .expect(404);
+
+        // Object.prototype members are not built-in profiles
+        for (const name of ['constructor', 'toString']) {
+            await request(app)
+                .get(`/api/scoring-profiles/${name}`)
+                .set('Authorization', `Bearer ${authToken}`)
+                .expect(404);
+
+            await request(app)
+                .post(`/api/scoring-profiles/${name}/rescore`)
+                .set('Authorization', `Bearer ${authToken}`)
+                .send({})
+                .expect(404);
+        }
+    });
+});
@@ -0,0 +1,352 @@
+const request = require('supertest');
+const { app } = require('../../server');
+const User = require('../../models/User');
+const FlightData = require('../../models/FlightData');
+const UAVDataProcessor = require('../../models/UAVDataProcessor');
+const jwt = require('jsonwebtoken');
+
+describe('Trajectory Analysis API Integration Tests', () => {
+    let authToken;
+    let userId;
+
+    // Square pattern at 20Hz with a telemetry gap on the second leg
+    const buildRawFlight = (timestamp, errorScale = 1) => {
+        const sequence = [[0, 0, 0.5], [0.5, 0, 0.5], [0.5, 0.5, 0.5], [0, 0.5, 0.5]];
+        const positionData = [];
+        let time = 1747183650;
+
+        for (let leg = 1; leg < sequence.length; leg++) {
+            const [fromX, fromY, fromZ] = sequence[leg - 1];
+            const [toX, toY, toZ] = sequence[leg];
+            for (let step = 0; step <= 20; step++) {
+                const progress = step / 20;
+                time += leg === 2 && step === 5 ? 0.6 : 0.05;
+                positionData.push({
+                    x: fromX + (toX - fromX) * progress + 0.01 * Math.sin(step),
+                    y: fromY + (toY - fromY) * progress,
+                    z: fromZ + (toZ - fromZ) * progress,
+                    time,
+                    target: { x: toX, y: toY, z: toZ },
+                    sequence_index: leg,
+                    position_index: positionData.length,
+                    transition_progress: progress,
+                    phase: step > 15 ? 'waypoint' : 'transit',
+                    stabilized: step > 15,
+                    error: (0.02 + 0.01 * Math.abs(Math.sin(step))) * errorScale,
+                    error_xy: 0.015 * errorScale,
+                    error_z: 0.005 * errorScale
+                });
+            }
+        }
+
+        return {
+            timestamp,
+            response_time: 10.5,
+            sequence,
+            position_data: positionData,
+            command_stats: { sent: 500, dropped: 2, total_attempts: 502 },
+            battery: { start_voltage: 4.05, minimum_required: 3.8 }
+        };
+    };
+
+    const createFlight = async (timestamp, errorScale) => {
+        const processed = UAVDataProcessor.processFlightData(buildRawFlight(timestamp, errorScale), {
+            flightName: `Flight ${timestamp}`
+        });
+        const flight = new FlightData({ userId, ...processed });
+        await flight.save();
+        return flight;
+    };
+
+    beforeEach(async () => {
+        const user = new User({
+            username: 'trajectoryuser',
+            email: 'trajectory@example.com',
+            password: 'password123'
+        });
+        await user.save();
+        userId = user._id;
+
+        const JWT_SECRET = process.env.JWT_SECRET || 'uav-secret-key';
+        authToken = jwt.sign({ userId }, JWT_SECRET);
+    });
+
+    test('should return detailed trajectory analysis for a stored flight', async () => {
+        const flight = await createFlight('20250514_104755');
+
+        const response = await request(app)
+            .get(`/api/trajectory/${flight._id}/analysis`)
+            .set('Authorization', `Bearer ${authToken}`)
+            .expect(200);
+
+        expect(response.body.success).toBe(true);
+        const detailed = response.body.analysis.detailed;
+        expect(detailed.pathAccuracy.xyPlaneAccuracy.average).toBeCloseTo(0.015, 5);
+        expect(detailed.phaseAnalysis.waypoint.stabilizationRate).toBe(1);
+        expect(detailed.turnAnalysis.totalTurns).toBeGreaterThan(0);
+        expect(detailed.networkCorrelation.networkQualityRange.min).toBeLessThan(100);
+    });
+
+    test('should analyse a filtered trajectory and record the filter', async () => {
+        const flight = await createFlight('20250514_104755');
+
+        const response = await request(app)
+            .get(`/api/trajectory/${flight._id}/analysis`)
+            .query({ filter: 'savitzky_golay', window: 9, resampleRate: 20 })
+            .set('Authorization', `Bearer ${authToken}`)
+            .expect(200);
+
+        expect(response.body.filter).toMatchObject({ type: 'savitzky_golay', window: 9, polyOrder: 2, resampleRate: 20 });
+        expect(response.body.filter.inputPoints).toBe(flight.positionData.length);
+        // The telemetry gap is filled in by resampling
+        expect(response.body.filter.outputPoints).toBeGreaterThan(flight.positionData.length);
+        expect(response.body.analysis.detailed.pathAccuracy).toBeDefined();
+
+        await request(app)
+            .get(`/api/trajectory/${flight._id}/analysis`)
+            .query({ filter: 'lowpass' })
+            .set('Authorization', `Bearer ${authToken}`)
+            .expect(400);
+
+        // A one hour timestamp gap would resample to 720000 points
+        flight.positionData[flight.positionData.length - 1].time += 3600;
+        await flight.save();
+        await request(app)
+            .get(`/api/trajectory/${flight._id}/analysis`)
+            .query({ resampleRate: 200 })
+            .set('Authorization', `Bearer ${authToken}`)
+            .expect(400);
+    });
+
+    test('should re-run the error calculator with other options', async () => {
+        const flight = await createFlight('20250514_104755');
+
+        const response = await request(app)
+            .post(`/api/trajectory/${flight._id}/error-recalculation`)
+            .set('Authorization', `Bearer ${authToken}`)
+            .send({ configurations: [{ verticalMode: 'path' }, { verticalMode: 'direct', excludeTransit: false }] })
+            .expect(200);
+
+        expect(response.body.success).toBe(true);
+        expect(response.body.method).toBe('TrajectoryAwareErrorCalculator3D');
+        expect(response.body.results).toHaveLength(2);
+
+        const [path, direct] = response.body.results;
+        expect(path.config.verticalMode).toBe('path');
+        expect(path.comparison.comparedPoints).toBe(63);
+        expect(direct.summary.validPoints).toBe(63);
+        expect(direct.summary.excludedPoints).toBe(0);
+
+        await request(app)
+            .post(`/api/trajectory/${flight._id}/error-recalculation`)
+            .set('Authorization', `Bearer ${authToken}`)
+            .send({ verticalMode: 'sideways' })
+            .expect(400);
+    });
+
+    test('should compare two flights using every referenced metric', async () => {
+        const first = await createFlight('20250514_104755', 1);
+        const second = await createFlight('20250514_104957', 2);
+
+        const response = await request(app)
+            .post('/api/trajectory/compare')
+            .set('Authorization', `Bearer ${authToken}`)
+            .send({ flightIds: [first._id.toString(), second._id.toString()] })
+            .expect(200);
+
+        expect(response.body.success).toBe(true);
+        const { flights, insights, summary } = response.body.comparison;
+        expect(flights).toHaveLength(2);
+        flights.forEach(entry => {
+            expect(typeof entry.metrics.pathSmoothness).toBe('number');
+            expect(typeof entry.metrics.networkCorrelation).toBe('number');
+            expect(typeof entry.metrics.totalTurns).toBe('number');
+        });
+        expect(insights.find(i => i.type === 'best_accuracy').flightId).toBe(first._id.toString());
+        expect(summary.averageSmoothness).toMatch(/%$/);
+
+        // Same sequence and positions, so the aligned runs coincide
+        const { alignment } = response.body.comparison;
+        expect(alignment.method).toBe('dtw');
+        expect(alignment.referenceFlightId).toBe(first._id.toString());
+        expect(alignment.pairs).toHaveLength(1);
+        expect(alignment.pairs[0].segments).toHaveLength(3);
+        expect(alignment.pairs[0].summary.maxDeviation).toBeCloseTo(0, 10);
+        expect(alignment.pairs[0].series.length).toBeGreaterThan(0);
+    });
+
+    test('should reject unknown alignment methods', async () => {
+        const first = await createFlight('20250514_104755', 1);
+        const second = await createFlight('20250514_104957', 2);
+
+        await request(app)
+            .post('/api/trajectory/compare')
+            .set('Authorization', `Bearer ${authToken}`)
+            .send({ flightIds: [first._id.toString(), second._id.toString()], alignment: 'warp' })
+            .expect(400);
+    });
+
+    test('should reject comparisons with fewer than two flights', async () => {
+        const response = await request(app)
+            .post('/api/trajectory/compare')
+            .set('Authorization', `Bearer ${authToken}`)
+            .send({ flightIds: [] })
+            .expect(400);
+
+        expect(response.body.success).toBe(false);
+    });
+
+    test('should rank compared flights by a selected integral error criterion', async () => {
+        const first = await createFlight('20250514_104755', 1);
+        const second = await createFlight('20250514_104957', 2);
+        expect(first.analysis.controlPerformance.overall.iae).toBeGreaterThan(0);
+        expect(first.analysis.controlPerformance.legs.length).toBeGreaterThan(0);
+
+        const response = await request(app)
+            .post('/api/trajectory/compare')
+            .set('Authorization', `Bearer ${authToken}`)
+            .send({ flightIds: [first._id.toString(), second._id.toString()], metric: 'iae' })
+            .expect(200);
+
+        const { flights, ranking } = response.body.comparison;
+        flights.forEach(entry => {
+            ['iae', 'ise', 'itae', 'itse'].forEach(index => expect(entry.metrics[index]).toBeGreaterThan(0));
+        });
+        expect(ranking.map(entry => entry.flightId)).toEqual([first._id.toString(), second._id.toString()]);
+
+        await request(app)
+            .post('/api/trajectory/compare')
+            .set('Authorization', `Bearer ${authToken}`)
+            .send({ flightIds: [first._id.toString(), second._id.toString()], metric: 'loudness' })
+            .expect(400);
+
+        await request(app)
+            .post('/api/trajectory/compare')
+            .set('Authorization', `Bearer ${authToken}`)
+            .send({ flightIds: [first._id.toString(), second._id.toString()], metric: 'constructor' })
+            .expect(400);
+
+        const trends = await request(app)
+            .get('/api/trajectory/performance-trends?metric=itae')
+            .set('Authorization', `Bearer ${authToken}`)
+            .expect(200);
+        expect(trends.body.trends[0].value).toBeGreaterThan(0);
+    });
+
+    test('should test two groups of flights for a significant difference', async () => {
+        const clean = [await createFlight('20250514_104755', 1), await createFlight('20250514_104957', 1.1)];
+        const lossy = [await createFlight('20250514_110223', 2), await createFlight('20250514_110332', 2.2)];
+
+        const response = await request(app)
+            .post('/api/trajectory/compare-groups')
+            .set('Authorization', `Bearer ${authToken}`)
+            .send({
+                groups: [
+                    { name: 'no loss', flightIds: clean.map(flight => flight._id.toString()) },
+                    { name: 'packet loss', flightIds: lossy.map(flight => flight._id.toString()) }
+                ],
+                level: 'point'
+            })
+            .expect(200);
+
+        const { comparison } = response.body;
+        expect(response.body.metric).toBe('error');
+        expect(comparison.groups.map(group => group.name)).toEqual(['no loss', 'packet loss']);
+        expect(comparison.groups[0].n).toBe(126);
+        expect(comparison.difference.mean).toBeLessThan(0);
+        expect(comparison.welchTTest.significant).toBe(true);
+        expect(comparison.mannWhitneyU.pValue).toBeLessThan(0.05);
+        expect(comparison.effectSize.magnitude).toBe('large');
+
+        await request(app)
+            .post('/api/trajectory/compare-groups')
+            .set('Authorization', `Bearer ${authToken}`)
+            .send({ groups: [{ flightIds: [clean[0]._id.toString()] }, { flightIds: [lossy[0]._id.toString()] }] })
+            .expect(400);
+    });
+
+    test('should return patterns and performance trends', async () => {
+        await createFlight('20250514_104755', 1);
+        await createFlight('20250514_104957', 1.5);
+
+        const patterns = await request(app)
+            .get('/api/trajectory/patterns')
+            .set('Authorization', `Bearer ${authToken}`)
+            .expect(200);
+
+        expect(patterns.body.success).toBe(true);
+        expect(patterns.body.totalFlights).toBe(2);
+
+        const trends = await request(app)
+            .get('/api/trajectory/performance-trends?metric=accuracy&period=daily')
+            .set('Authorization', `Bearer ${authToken}`)
+            .expect(200);
+
+        expect(trends.body.success).toBe(true);
+        expect(trends.body.trends.length).toBeGreaterThan(0);
+        expect(trends.body.better).toBe('lower');
+        expect(trends.body.summary.totalFlights).toBe(2);
+        expect(trends.body.summary.rollingAverage).toHaveLength(2);
+        expect(Array.isArray(trends.body.summary.changePoints)).toBe(true);
+
+        await request(app)
+            .get('/api/trajectory/performance-trends?metric=accuracy&window=0')
+            .set('Authorization', `Bearer ${authToken}`)
+            .expect(400);
+
+        await request(app)
+            .get('/api/trajectory/performance-trends?metric=constructor')
+            .set('Authorization', `Bearer ${authToken}`)
+            .expect(400);
+    });
+
+    test('should analyze network impact from stored network quality', async () => {
+        const flight = await createFlight('20250514_104755');
+
+        const response = await request(app)
+            .get(`/api/trajectory/${flight._id}/network-impact`)
+            .set('Authorization', `Bearer ${authToken}`)
+            .expect(200);
+
+        expect(response.body.success).toBe(true);
+        expect(response.body.networkImpact.segmentAnalysis.excellent).toBeDefined();
+        expect(response.body.networkImpact.correlation.coefficient).toBeDefined();
+        expect(response.body.sampling.nominalRate).toBeGreaterThan(0);
+        expect(response.body.sampling.gapCount).toBe(response.body.sampling.gaps.length);
+    });
+
+    test('should count a zero network quality as a poor link', async () => {
+        const flight = await createFlight('20250514_104755');
+        flight.positionData.slice(0, 5).forEach(point => { point.networkQuality = 0; });
+        await flight.save();
+
+        const response = await request(app)
+            .get(`/api/trajectory/${flight._id}/network-impact`)
+            .set('Authorization', `Bearer ${authToken}`)
+            .expect(200);
+
+        expect(response.body.networkImpact.segmentAnalysis.poor.count).toBeGreaterThanOrEqual(5);
+    });
+
+    test('should report command-to-motion latency per target change', async () => {
+        const flight = await createFlight('20250514_104755');
+        expect(flight.latencyAnalysis.commandCount).toBeGreaterThan(0);
+
+        const response = await request(app)
+            .get(`/api/trajectory/${flight._id}/latency`)
+            .set('Authorization', `Bearer ${authToken}`)
+            .expect(200);
+
+        const { latency } = response.body;
+        expect(latency.commandCount).toBe(flight.latencyAnalysis.commandCount);
+        expect(latency.commands[0].timeToFirstMotion).toBeGreaterThan(0);
+        expect(latency.timeToFirstMotion.count).toBe(latency.respondedCommands);
+        expect(latency.initialCommand).toBeNull(); // fixture has no first_command_time
+    });
+
+    test('should require authentication', async () => {
+        await request(app)
+            .get('/api/trajectory/patterns')
+            .expect(401);
+    });
+});
@@ -0,0 +1,56 @@
+const BatteryModel = require('../../models/BatteryModel');
+
+describe('BatteryModel Unit Tests', () => {
+    // Samples at 20Hz over `duration` seconds, z(t) from `height`
+    const buildPositions = (duration, height) => {
+        const positions = [];
+        for (let i = 0; i <= duration * 20; i++) {
+            const t = i / 20;
+            positions.push({ x: 0, y: 0, z: height(t), time: 100 + t });
+        }
+        return positions;
+    };
+
+    test('should map voltage to state of charge along the discharge curve', () => {
+        expect(BatteryModel.stateOfCharge(3.8)).toBeCloseTo(0.4, 10);
+        expect(BatteryModel.stateOfCharge(3.89)).toBeCloseTo(0.625, 10);
+        expect(BatteryModel.stateOfCharge(4.3)).toBe(1);
+        expect(BatteryModel.voltageAt(0.625)).toBeCloseTo(3.89, 10);
+    });
+
+    test('should drain at the hover rate while holding position', () => {
+        const result = BatteryModel.estimate(
+            { start_voltage: 4.2, minimum_required: 3.8 }, buildPositions(42, () => 0.5), 42, 0
+        );
+
+        expect(result.loadFactor).toBeCloseTo(1, 10);
+        expect(result.consumedCharge).toBeCloseTo(10, 8);
+        expect(result.estimatedEndVoltage).toBeCloseTo(4.11, 8);
+        expect(result.voltageUsed).toBeCloseTo(0.09, 8);
+        expect(result.batteryUtilization).toBeCloseTo(100 / 6, 8);
+        expect(result.projectedFlightTime).toBeCloseTo(0.6 * BatteryModel.FULL_PACK_HOVER_TIME, 8);
+        expect(result.remainingEndurance).toBeCloseTo(0.6 * BatteryModel.FULL_PACK_HOVER_TIME - 42, 8);
+        expect(result.energyPerMeter).toBeNull();
+        expect(result.lowStartVoltage).toBe(false);
+    });
+
+    test('should scale consumption with the manoeuvre load', () => {
+        // Constant upward acceleration of g/2 needs 1.5x hover thrust
+        const climb = buildPositions(2, t => 0.25 * 9.81 * t * t);
+        const result = BatteryModel.estimate({ start_voltage: 4.2, minimum_required: 3.8 }, climb, 2, climb[40].z);
+
+        expect(result.loadFactor).toBeCloseTo(Math.pow(1.5, 1.5), 6);
+        expect(result.projectedFlightTime).toBeCloseTo(0.6 * BatteryModel.FULL_PACK_HOVER_TIME / Math.pow(1.5, 1.5), 4);
+        expect(result.energyPerMeter).toBeGreaterThan(0);
+    });
+
+    test('should flag a start close to the minimum voltage', () => {
+        const positions = buildPositions(10, () => 0.5);
+
+        expect(BatteryModel.estimate({ start_voltage: 3.85, minimum_required: 3.8 }, positions, 10, 0).lowStartVoltage)
+            .toBe(true);
+        expect(BatteryModel.estimate({ start_voltage: 3.95, minimum_required: 3.8 }, positions, 10, 0).lowStartVoltage)
+            .toBe(false);
+        expect(BatteryModel.estimate({ start_voltage: 3.95 }, positions, 10, 0).estimated).toBe(false);
+    });
+});
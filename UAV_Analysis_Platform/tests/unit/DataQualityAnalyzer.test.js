@@ -0,0 +1,76 @@
+const DataQualityAnalyzer = require('../../models/DataQualityAnalyzer');
+
+describe('DataQualityAnalyzer Unit Tests', () => {
+    // 20Hz straight line at 0.2 m/s with one 0.5s sampling gap after sample 10
+    const buildFlight = () => {
+        const positionData = [];
+        let time = 0;
+        for (let i = 0; i < 30; i++) {
+            time += i === 11 ? 0.5 : 0.05;
+            positionData.push({ x: time * 0.2, y: 0, z: 0.5, time });
+        }
+        return { timestamp: '20250514_104755', position_data: positionData };
+    };
+
+    const buildCorruptedFlight = () => {
+        const flight = buildFlight();
+        const points = flight.position_data;
+        points[3].x = null;
+        points[5].time = points[4].time;
+        points[8].time = points[6].time - 0.01;
+        points[15].y = 2;
+        points[20] = { ...points[20], z: 'high' };
+        return flight;
+    };
+
+    test('should pass a clean flight and report gaps as warnings', () => {
+        const { report, flightData } = DataQualityAnalyzer.analyze(buildFlight(), 'strict');
+
+        expect(report.passed).toBe(true);
+        expect(report.errorCount).toBe(0);
+        expect(report.warningCount).toBe(1);
+        expect(report.issues.gaps[0].index).toBe(11);
+        expect(report.issues.gaps[0].duration).toBeCloseTo(0.5, 10);
+        expect(flightData.position_data).toHaveLength(30);
+    });
+
+    test('should report every anomaly with the uploaded point indices', () => {
+        const { report } = DataQualityAnalyzer.analyze(buildCorruptedFlight(), 'strict');
+        const { issues } = report;
+
+        expect(report.passed).toBe(false);
+        expect(issues.invalidValues).toEqual([{ index: 3, fields: ['x'] }, { index: 20, fields: ['z'] }]);
+        expect(issues.duplicateTimestamps.map(issue => issue.index)).toEqual([5]);
+        expect(issues.nonMonotonicTimestamps.map(issue => issue.index)).toEqual([8]);
+        // Jump out to y=2 and back again
+        expect(issues.teleports.map(issue => issue.index)).toEqual([15, 16]);
+        expect(issues.teleports[0].speed).toBeGreaterThan(5);
+        expect(report.errorCount).toBe(6);
+    });
+
+    test('should keep strict flights intact and repair lenient ones', () => {
+        const strict = DataQualityAnalyzer.analyze(buildCorruptedFlight(), 'strict');
+        expect(strict.flightData.position_data).toHaveLength(30);
+        expect(strict.report.removedIndices).toEqual([]);
+
+        const lenient = DataQualityAnalyzer.analyze(buildCorruptedFlight(), 'lenient');
+        expect(lenient.report.removedIndices).toEqual([3, 5, 8, 20]);
+        expect(lenient.report.acceptedPoints).toBe(26);
+        expect(lenient.flightData.position_data).toHaveLength(26);
+        // Teleports are flagged, not removed
+        expect(lenient.flightData.position_data.some(point => point.y === 2)).toBe(true);
+    });
+
+    test('should flag fast moves that are too small to be teleports', () => {
+        // Sample 20 keeps its 1cm step but is stamped 1ms after sample 19 - 10 m/s
+        const flight = buildFlight();
+        flight.position_data[20].time = flight.position_data[19].time + 0.001;
+
+        const { report } = DataQualityAnalyzer.analyze(flight);
+
+        expect(report.mode).toBe('lenient');
+        expect(report.issues.impossibleVelocities.map(issue => issue.index)).toEqual([20]);
+        expect(report.issues.impossibleVelocities[0].speed).toBeCloseTo(10, 5);
+        expect(report.issues.teleports).toHaveLength(0);
+    });
+});
@@ -0,0 +1,32 @@
+const GroupComparator = require('../../models/GroupComparator');
+
+describe('GroupComparator Unit Tests', () => {
+    test('should flag a clearly shifted group as significant with a large effect', () => {
+        const withLoss = [0.08, 0.09, 0.1, 0.11, 0.12, 0.1];
+        const withoutLoss = [0.05, 0.06, 0.04, 0.05, 0.06, 0.04];
+
+        const result = GroupComparator.compareSamples(withLoss, withoutLoss);
+
+        expect(result.alpha).toBe(0.05);
+        expect(result.difference.mean).toBeCloseTo(0.05, 10);
+        expect(result.difference.confidenceInterval[0]).toBeGreaterThan(0);
+        expect(result.welchTTest.significant).toBe(true);
+        expect(result.mannWhitneyU.significant).toBe(true);
+        expect(result.effectSize.magnitude).toBe('large');
+        expect(result.effectSize.rankBiserial).toBe(1);
+    });
+
+    test('should describe each group with a confidence interval of its mean', () => {
+        const result = GroupComparator.compareSamples([1, 2, 3, 4, 5], [2, 3, 4, 5, 6], 0.1);
+        const [first] = result.groups;
+
+        expect(first.n).toBe(5);
+        expect(first.mean).toBe(3);
+        expect(first.median).toBe(3);
+        expect(first.stdDev).toBeCloseTo(Math.sqrt(2.5), 10);
+        // t(0.95, 4) = 2.132
+        expect(first.confidenceInterval[1] - 3).toBeCloseTo(2.1318 * Math.sqrt(2.5 / 5), 3);
+        expect(result.welchTTest.significant).toBe(false);
+        expect(result.effectSize.magnitude).toBe('medium');
+    });
+});
@@ -0,0 +1,50 @@
+const KinematicsAnalyzer = require('../../models/KinematicsAnalyzer');
+
+describe('KinematicsAnalyzer Unit Tests', () => {
+    test('should recover constant acceleration from uneven samples with a gap', () => {
+        // x = 0.5 * 2 * t^2 sampled at 20Hz with a 0.6s telemetry gap
+        const times = [];
+        for (let t = 0; t <= 2; t += 0.05) {
+            if (t < 0.8 || t > 1.4) times.push(t);
+        }
+        const positions = times.map(t => ({ x: t * t, y: 0, z: 1, time: t }));
+
+        const samples = KinematicsAnalyzer.calculateKinematics(positions);
+        const last = samples[samples.length - 1];
+
+        expect(samples).toHaveLength(positions.length);
+        expect(last.velocity[0]).toBeCloseTo(2 * last.time, 5);
+        samples.forEach(sample => {
+            expect(sample.acceleration).toBeCloseTo(2, 5);
+            expect(sample.jerk).toBeCloseTo(0, 5);
+        });
+    });
+
+    test('should not turn hover jitter into large speeds', () => {
+        // Millimetre-level alternating jitter around a fixed point
+        const positions = Array.from({ length: 100 }, (_, i) => ({
+            x: (i % 2 ? 1 : -1) * 0.003,
+            y: ((i % 3) - 1) * 0.003,
+            z: 1,
+            time: i * 0.05
+        }));
+
+        const result = KinematicsAnalyzer.analyzeVelocity(positions);
+
+        // Naive differencing would give ~0.13 m/s between samples
+        expect(result.maxVelocity).toBeLessThan(0.05);
+        expect(result.averageVelocity).toBeLessThan(0.01);
+    });
+
+    test('should summarise a constant velocity climb', () => {
+        const positions = Array.from({ length: 40 }, (_, i) => ({ x: 0, y: 0, z: 0.2 * i * 0.05, time: i * 0.05 }));
+
+        const result = KinematicsAnalyzer.analyzeVelocity(positions);
+
+        expect(result.maxVelocity).toBeCloseTo(0.2, 5);
+        expect(result.maxVerticalSpeed).toBeCloseTo(0.2, 5);
+        expect(result.maxHorizontalSpeed).toBeCloseTo(0, 5);
+        expect(result.maxAcceleration).toBeCloseTo(0, 5);
+        expect(result.smoothnessIndex).toBeCloseTo(1, 5);
+    });
+});
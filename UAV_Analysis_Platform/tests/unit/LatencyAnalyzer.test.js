@@ -0,0 +1,51 @@
+const LatencyAnalyzer = require('../../models/LatencyAnalyzer');
+
+describe('LatencyAnalyzer Unit Tests', () => {
+    // 20Hz log: hover at A, command to B at t=1s, motion starts 0.3s later at 1 m/s and stops at B
+    const buildFlight = (target = { x: 1, y: 0, z: 0.5 }) => {
+        const positionData = [];
+        for (let i = 0; i <= 80; i++) {
+            const time = 100 + i * 0.05;
+            const sinceCommand = time - 101;
+            const x = Math.min(target.x, Math.max(0, sinceCommand - 0.3));
+            positionData.push({
+                x, y: 0, z: 0.5, time,
+                target: sinceCommand < -1e-9 ? { x: 0, y: 0, z: 0.5 } : target,
+                sequence_index: sinceCommand < -1e-9 ? 0 : 1
+            });
+        }
+        return { first_command_time: 90, position_data: positionData, rf_conditions: { latency_ms: 40 } };
+    };
+
+    test('should detect target changes and time the first motion', () => {
+        const result = LatencyAnalyzer.analyzeLatency(buildFlight());
+
+        expect(result.commandCount).toBe(1);
+        const command = result.commands[0];
+        expect(command.index).toBe(20);
+        expect(command.from).toEqual([0, 0, 0.5]);
+        expect(command.to).toEqual([1, 0, 0.5]);
+        expect(command.timeToFirstMotion).toBeCloseTo(0.32, 5);
+        expect(result.timeToFirstMotion.average).toBeCloseTo(0.32, 5);
+        expect(result.rfLatencyMs).toBe(40);
+        expect(result.initialCommand.firstSampleDelay).toBeCloseTo(10, 10);
+    });
+
+    test('should estimate reaction latency by correlating the commanded step', () => {
+        const command = LatencyAnalyzer.analyzeLatency(buildFlight()).commands[0];
+
+        // Best step split lies inside the ramp, after first motion and before arrival
+        expect(command.reactionLatency).toBeGreaterThan(command.timeToFirstMotion);
+        expect(command.reactionLatency).toBeLessThan(1.3);
+        expect(command.correlation).toBeGreaterThan(0.8);
+    });
+
+    test('should skip commands too small to time', () => {
+        const result = LatencyAnalyzer.analyzeLatency(buildFlight({ x: 0.01, y: 0, z: 0.5 }));
+
+        expect(result.commandCount).toBe(1);
+        expect(result.respondedCommands).toBe(0);
+        expect(result.commands[0].reactionLatency).toBeNull();
+        expect(result.reactionLatency.count).toBe(0);
+    });
+});
@@ -0,0 +1,93 @@
+const MissionTemplateAnalyzer = require('../../models/MissionTemplateAnalyzer');
+
+describe('MissionTemplateAnalyzer Unit Tests', () => {
+    const square = [[0, 0, 0.5], [0.5, 0, 0.5], [0.5, 0.5, 0.5]];
+    const line = [[0, 0, 0.3], [0, 0, 0.9]];
+
+    // Stored flight with `hoverErrors[i]` held at waypoint i (null skips the waypoint)
+    const buildFlight = (id, timestamp, sequence, hoverErrors) => {
+        const positionData = [];
+        hoverErrors.forEach((error, index) => {
+            if (error === null) return;
+            for (let i = 0; i < 5; i++) positionData.push({ sequence_index: index, phase: 'waypoint', error });
+            positionData.push({ sequence_index: index, phase: 'transit', error: 1 });
+        });
+        const errors = hoverErrors.filter(error => error !== null);
+        return {
+            _id: id,
+            flightName: `Flight ${id}`,
+            timestamp,
+            sequence,
+            positionData,
+            analysis: { positionAccuracy: { overall: { average: errors.reduce((a, b) => a + b, 0) / errors.length, max: 0.2 } } },
+            qualityAssessment: { overallScore: 50, grade: 'F' }
+        };
+    };
+
+    test('should group flights by sequence within the tolerance, in flight order', () => {
+        const flights = [
+            buildFlight('b', '20250514_110000', square.map(([x, y, z]) => [x + 0.005, y, z]), [0.02, 0.02, 0.02]),
+            buildFlight('c', '20250514_100000', line, [0.02, 0.02]),
+            buildFlight('a', '20250514_090000', square, [0.02, 0.02, 0.02]),
+            buildFlight('d', '20250514_120000', square.map(([x, y, z]) => [x + 0.05, y, z]), [0.02, 0.02, 0.02])
+        ];
+
+        const templates = MissionTemplateAnalyzer.groupFlights(flights);
+
+        expect(templates.map(template => template.flights.map(flight => flight._id))).toEqual([['a', 'b'], ['c'], ['d']]);
+        // The id follows the earliest run's sequence
+        expect(templates[0].templateId).toBe(MissionTemplateAnalyzer.templateId(square));
+        expect(templates[0].sequence).toEqual(square);
+    });
+
+    test('should keep the template id when an older run with a nearby sequence is added', () => {
+        const later = buildFlight('a', '20250514_090000', square, [0.02, 0.02, 0.02]);
+        const earlier = buildFlight('b', '20250513_090000', square.map(([x, y, z]) => [x + 0.003, y, z]), [0.02, 0.02, 0.02]);
+
+        const [before] = MissionTemplateAnalyzer.groupFlights([later]);
+        const [after] = MissionTemplateAnalyzer.groupFlights([later, earlier]);
+
+        expect(after.flights.map(flight => flight._id)).toEqual(['b', 'a']);
+        expect(after.sequence).not.toEqual(square);
+        expect(after.templateId).toBe(before.templateId);
+    });
+
+    test('should report run-to-run spread per waypoint and best/worst runs', () => {
+        const [template] = MissionTemplateAnalyzer.groupFlights([
+            buildFlight('a', '20250514_090000', square, [null, 0.02, 0.04]),
+            buildFlight('b', '20250514_100000', square, [null, 0.04, 0.04]),
+            buildFlight('c', '20250514_110000', square, [null, 0.06, 0.04])
+        ]);
+
+        const result = MissionTemplateAnalyzer.analyzeRepeatability(template);
+
+        expect(result.runCount).toBe(3);
+        expect(result.bestRun.flightId).toBe('a');
+        expect(result.worstRun.flightId).toBe('c');
+        expect(result.runs[0].waypointErrors).toEqual([null, 0.02, 0.04]);
+
+        const [takeoff, first, second] = result.waypoints;
+        expect(takeoff.runs).toBe(0);
+        expect(takeoff.meanError).toBeNull();
+        expect(first.meanError).toBeCloseTo(0.04, 10);
+        expect(first.variance).toBeCloseTo(0.0008 / 3, 10);
+        expect(first.worstRun).toEqual({ flightId: 'c', flightName: 'Flight c', error: 0.06 });
+        expect(second.stdDev).toBeCloseTo(0, 10);
+    });
+
+    test('should report drift of the average error over flight time', () => {
+        const flights = [0.02, 0.03, 0.04, 0.05].map((error, day) => (
+            buildFlight(String(day), `2025051${day}_090000`, square, [null, error, error])
+        ));
+        const [template] = MissionTemplateAnalyzer.groupFlights(flights);
+
+        const drift = MissionTemplateAnalyzer.analyzeRepeatability(template).drift;
+
+        expect(drift.direction).toBe('degrading');
+        expect(drift.slopePerDay).toBeCloseTo(0.01, 10);
+        expect(drift.r2).toBeCloseTo(1, 10);
+
+        const [short] = MissionTemplateAnalyzer.groupFlights(flights.slice(0, 2));
+        expect(MissionTemplateAnalyzer.analyzeRepeatability(short).drift.direction).toBe('insufficient_data');
+    });
+});
@@ -0,0 +1,105 @@
+const NetworkAnalyzer = require('../../models/NetworkAnalyzer');
+
+describe('NetworkAnalyzer Unit Tests', () => {
+    // 20Hz samples with a single 0.6s telemetry gap after sample 20
+    const buildFlight = () => {
+        const positionData = [];
+        let time = 0;
+        for (let i = 0; i < 60; i++) {
+            time += i === 21 ? 0.6 : 0.05;
+            positionData.push({ x: i * 0.01, y: 0, z: 0.5, time, error: i >= 21 && i < 28 ? 0.1 : 0.02 });
+        }
+        return { position_data: positionData };
+    };
+
+    test('should lower quality after sampling gaps and recover afterwards', () => {
+        const signal = NetworkAnalyzer.calculateQualitySignal(buildFlight());
+
+        expect(signal).toHaveLength(60);
+        expect(signal[10]).toBe(100);
+        expect(signal[21]).toBeLessThan(70);
+        expect(signal[59]).toBeGreaterThan(95);
+    });
+
+    test('should not penalise the logger pause at a leg switch unless commands were dropped', () => {
+        // Same 0.6s gap, but it is where the target switches to the next waypoint
+        const positionData = buildFlight().position_data.map((pos, i) => ({ ...pos, sequence_index: i < 21 ? 0 : 1 }));
+        const clean = { position_data: positionData, command_stats: { sent: 100, dropped: 0, total_attempts: 100 } };
+
+        expect(NetworkAnalyzer.calculateQualitySignal(clean).every(quality => quality === 100)).toBe(true);
+        const result = NetworkAnalyzer.analyzeNetwork(clean);
+        expect(result.degradationEvents).toHaveLength(0);
+        expect(result.recommendations.some(r => r.type === 'degraded_coverage')).toBe(false);
+
+        const dropped = { ...clean, command_stats: { sent: 100, dropped: 5, total_attempts: 100 } };
+        expect(NetworkAnalyzer.calculateQualitySignal(dropped)[21]).toBeLessThan(70);
+    });
+
+    test('should apply rf_conditions and command drops to the whole flight', () => {
+        const flight = {
+            ...buildFlight(),
+            rf_conditions: { bandwidth_kbps: 250, latency_ms: 70, packet_loss_rate: 0.05 },
+            command_stats: { sent: 100, dropped: 5, total_attempts: 100 }
+        };
+        const signal = NetworkAnalyzer.calculateQualitySignal(flight);
+
+        // 10 (latency) + 10 (packet loss) + 10 (command drops)
+        expect(signal[10]).toBeCloseTo(70, 5);
+    });
+
+    test('should detect degradation events with recovery and impact', () => {
+        const result = NetworkAnalyzer.analyzeNetwork(buildFlight());
+
+        expect(result.degradationEvents).toHaveLength(1);
+        const event = result.degradationEvents[0];
+        expect(event.startIndex).toBe(21);
+        expect(event.startPosition).toEqual([0.21, 0, 0.5]);
+        expect(['moderate', 'high', 'critical']).toContain(event.severity);
+
+        expect(result.recoveryMetrics.totalRecoveries).toBe(1);
+        expect(result.recoveryMetrics.recoveryEvents[0].index).toBe(event.endIndex + 1);
+        expect(result.impactAssessment.performanceImpact).toBeGreaterThan(0);
+        expect(result.recommendations.some(r => r.type === 'missing_rf_data')).toBe(true);
+    });
+
+    test('should locate sampling gaps and tie them to the error spikes that follow', () => {
+        const sampling = NetworkAnalyzer.analyzeSampling(buildFlight().position_data);
+
+        expect(sampling.nominalRate).toBeCloseTo(20, 5);
+        expect(sampling.jitter).toBeCloseTo(0, 10);
+        expect(sampling.gapCount).toBe(1);
+        expect(sampling.missedSamples).toBe(11);
+        expect(sampling.intervalHistogram.find(bin => bin.label === 'long_gap')).toEqual({
+            label: 'long_gap', maxRatio: null, count: 1
+        });
+
+        const gap = sampling.longestGaps[0];
+        expect(gap.index).toBe(21);
+        expect(gap.duration).toBeCloseTo(0.6, 10);
+        expect(gap.flightProgress).toBeGreaterThan(0.2);
+        expect(gap.flightProgress).toBeLessThan(0.4);
+        expect(gap.maxErrorAfter).toBeCloseTo(0.1, 10);
+        expect(gap.followedBySpike).toBe(true);
+
+        // All 7 elevated samples fall inside the window after the gap
+        expect(sampling.gapErrorCorrelation.errorSpikes).toBe(7);
+        expect(sampling.gapErrorCorrelation.spikesAfterGaps).toBe(7);
+        expect(sampling.gapErrorCorrelation.spikeLift).toBeGreaterThan(1);
+        expect(sampling.gapErrorCorrelation.coefficient).toBeGreaterThan(0);
+        expect(gap.legSwitch).toBe(false);
+    });
+
+    test('should not blame the step error after a leg switch on the gap before it', () => {
+        // The error jumps because the target changed, not because telemetry was lost
+        const positionData = buildFlight().position_data.map((pos, i) => ({ ...pos, sequence_index: i < 21 ? 0 : 1 }));
+        const result = NetworkAnalyzer.analyzeNetwork({ position_data: positionData });
+        const sampling = result.samplingAnalysis;
+
+        expect(sampling.gapCount).toBe(1);
+        expect(sampling.gaps[0].legSwitch).toBe(true);
+        expect(sampling.gaps[0].followedBySpike).toBe(false);
+        expect(sampling.gapErrorCorrelation.errorSpikes).toBe(0);
+        expect(sampling.gapErrorCorrelation.spikeLift).toBe(0);
+        expect(result.recommendations.some(r => r.type === 'sampling_gaps')).toBe(false);
+    });
+});
@@ -0,0 +1,74 @@
+const PerformanceAnalyzer = require('../../models/PerformanceAnalyzer');
+
+describe('PerformanceAnalyzer Unit Tests', () => {
+    // 1s hover followed by a 1s move of 0.5m along x, sampled at 10Hz
+    const buildPositions = () => {
+        const positions = [];
+        for (let i = 0; i <= 20; i++) {
+            const t = i * 0.1;
+            positions.push({ x: t <= 1 ? 0 : (t - 1) * 0.5, y: 0, z: 0.5, time: 100 + t });
+        }
+        return positions;
+    };
+
+    test('should split flight time into active and idle time', () => {
+        const result = PerformanceAnalyzer.calculateTimeEfficiency(buildPositions());
+
+        expect(result.totalFlightTime).toBeCloseTo(2.0, 5);
+        expect(result.activeFlightTime).toBeGreaterThan(0.9);
+        expect(result.idleTime).toBeGreaterThan(0.4);
+        expect(result.activeFlightTime + result.idleTime).toBeCloseTo(result.totalFlightTime, 5);
+    });
+
+    test('should derive communication efficiency from command stats', () => {
+        const result = PerformanceAnalyzer.calculateCommunicationEfficiency({
+            sent: 95, dropped: 5, total_attempts: 100
+        });
+
+        expect(result.dropRate).toBeCloseTo(5, 5);
+        expect(result.reliability).toBeCloseTo(95, 5);
+        expect(result.commandsDropped).toBe(5);
+    });
+
+    test('should compute the overall score only from available components', () => {
+        const metrics = PerformanceAnalyzer.calculatePerformanceMetrics({
+            position_data: buildPositions()
+        });
+
+        expect(metrics.energyEfficiency.estimated).toBe(false);
+        expect(metrics.communicationEfficiency.reliability).toBeNull();
+        expect(metrics.overallPerformanceScore).toBeCloseTo(metrics.timeEfficiency.efficiencyRatio * 100, 0);
+    });
+
+    test('should estimate energy use from battery data', () => {
+        const metrics = PerformanceAnalyzer.calculatePerformanceMetrics({
+            position_data: buildPositions(),
+            battery: { start_voltage: 4.1, minimum_required: 3.8 },
+            command_stats: { sent: 100, dropped: 0, total_attempts: 100 }
+        });
+
+        expect(metrics.energyEfficiency.estimated).toBe(true);
+        expect(metrics.energyEfficiency.batteryUtilization).toBeGreaterThan(0);
+        expect(metrics.energyEfficiency.distancePerVolt).toBeGreaterThan(0);
+        expect(metrics.overallPerformanceScore).toBeGreaterThan(0);
+        expect(metrics.overallPerformanceScore).toBeLessThanOrEqual(100);
+        expect(metrics.energyEfficiency.remainingEndurance).toBeLessThan(metrics.energyEfficiency.projectedFlightTime);
+        expect(metrics.recommendations).toEqual([]);
+    });
+
+    test('should warn when a flight starts close to the minimum voltage', () => {
+        const low = PerformanceAnalyzer.calculatePerformanceMetrics({
+            position_data: buildPositions(),
+            battery: { start_voltage: 3.85, minimum_required: 3.8 }
+        });
+        expect(low.recommendations).toHaveLength(1);
+        expect(low.recommendations[0]).toMatchObject({ category: 'battery', severity: 'medium' });
+
+        const depleted = PerformanceAnalyzer.calculatePerformanceMetrics({
+            position_data: buildPositions(),
+            battery: { start_voltage: 3.8, minimum_required: 3.8 }
+        });
+        expect(depleted.energyEfficiency.batteryUtilization).toBe(100);
+        expect(depleted.recommendations[0].severity).toBe('high');
+    });
+});
@@ -0,0 +1,68 @@
+const QualityScorer = require('../../models/QualityScorer');
+
+describe('QualityScorer Unit Tests', () => {
+    const { BUILT_IN_PROFILES } = QualityScorer;
+
+    const buildFlight = (averageError = 0.03) => ({
+        analysis: { positionAccuracy: { overall: { average: averageError } } },
+        trajectoryAnalysis: { detailed: { stabilityMetrics: { overallStabilityScore: 60 } } },
+        performanceMetrics: { overallPerformanceScore: 90 },
+        networkAnalysis: { impactAssessment: { performanceImpact: 25 } }
+    });
+
+    test('should reproduce the accuracy-only rule with the default profile', () => {
+        const result = QualityScorer.scoreFlight(buildFlight());
+
+        // 100 - 0.03 * 1000
+        expect(result.overallScore).toBe(70);
+        expect(result.grade).toBe('C');
+        expect(result.profile).toBe('default');
+        // Every component is reported even when it carries no weight
+        expect(result.breakdown).toEqual({ accuracy: 70, stability: 60, efficiency: 90, adaptability: 75 });
+        expect(result.improvements).toEqual([]);
+    });
+
+    test('should weight components and apply profile thresholds', () => {
+        const indoor = QualityScorer.scoreFlight(buildFlight(), BUILT_IN_PROFILES['indoor-precision']);
+        // accuracy (0.1 - 0.03) / 0.09, adaptability 100 - 25 / 50 * 100
+        const accuracy = 100 * 0.07 / 0.09;
+        expect(indoor.breakdown.accuracy).toBe(Math.round(accuracy));
+        expect(indoor.breakdown.adaptability).toBe(50);
+        expect(indoor.overallScore).toBe(Math.round(0.5 * accuracy + 0.3 * 60 + 0.1 * 90 + 0.1 * 50));
+        expect(indoor.grade).toBe('D');
+        // Weakest weighted components first by weight
+        expect(indoor.improvements).toHaveLength(2);
+        expect(indoor.improvements[0]).toMatch(/stability/i);
+
+        const survey = QualityScorer.scoreFlight(buildFlight(), BUILT_IN_PROFILES['outdoor-survey']);
+        expect(survey.breakdown.accuracy).toBe(100);
+        expect(survey.overallScore).toBeGreaterThan(indoor.overallScore);
+    });
+
+    test('should renormalise weights when a component is missing', () => {
+        const flight = buildFlight();
+        delete flight.performanceMetrics;
+        const profile = QualityScorer.mergeProfile({
+            name: 'half', weights: { accuracy: 1, stability: 0, efficiency: 1, adaptability: 0 }
+        });
+
+        const result = QualityScorer.scoreFlight(flight, profile);
+        expect(result.breakdown.efficiency).toBeNull();
+        expect(result.overallScore).toBe(70);
+    });
+
+    test('should validate profile definitions', () => {
+        const profile = QualityScorer.mergeProfile({ name: 'custom', weights: { stability: 2 } });
+        expect(QualityScorer.validateProfile(profile)).toBeNull();
+        expect(profile.weights).toEqual({ accuracy: 1, stability: 2, efficiency: 0, adaptability: 0 });
+
+        expect(QualityScorer.validateProfile({ ...profile, weights: { ...profile.weights, accuracy: -1 } }))
+            .toMatch(/weights/);
+        expect(QualityScorer.validateProfile({ ...profile, weights: { accuracy: 0, stability: 0, efficiency: 0, adaptability: 0 } }))
+            .toBe('At least one weight must be positive');
+        expect(QualityScorer.validateProfile({ ...profile, accuracy: { targetError: 0.1, maxError: 0.1 } }))
+            .toMatch(/maxError/);
+        expect(QualityScorer.validateProfile({ ...profile, gradeThresholds: { A: 80, B: 85, C: 70, D: 60 } }))
+            .toBe('gradeThresholds must decrease from A to D');
+    });
+});
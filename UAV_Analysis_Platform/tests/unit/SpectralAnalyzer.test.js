@@ -0,0 +1,72 @@
+const SpectralAnalyzer = require('../../models/SpectralAnalyzer');
+const TrajectoryAnalyzer = require('../../models/TrajectoryAnalyzer');
+
+describe('SpectralAnalyzer Unit Tests', () => {
+    // 10s hover at ~20Hz with slightly uneven sampling and the given x offset (m) over time
+    const buildHover = offset => {
+        const positions = [];
+        for (let i = 0; i < 200; i++) {
+            const time = i * 0.05 + (i % 3) * 0.003;
+            positions.push({
+                x: 0.5 + offset(time), y: 0.5, z: 0.5, time,
+                target: { x: 0.5, y: 0.5, z: 0.5 },
+                phase: 'waypoint', sequence_index: 0, error: Math.abs(offset(time))
+            });
+        }
+        return positions;
+    };
+
+    test('should recover frequency and amplitude of a hover oscillation', () => {
+        const positions = buildHover(t => 0.02 * Math.sin(2 * Math.PI * 2 * t));
+        const result = SpectralAnalyzer.analyzeOscillations(positions, [[0.5, 0.5, 0.5]]);
+
+        expect(Math.abs(result.sampleRate - 20)).toBeLessThan(2);
+        expect(result.hover.dominantAxis).toBe('x');
+        expect(Math.abs(result.hover.dominantFrequency - 2)).toBeLessThan(0.2);
+        expect(result.hover.dominantAmplitude).toBeGreaterThan(0.017);
+        expect(result.hover.dominantAmplitude).toBeLessThan(0.023);
+        expect(result.hover.oscillationDetected).toBe(true);
+        expect(result.transit.analysedSamples).toBe(0);
+    });
+
+    test('should not flag slow drift as an oscillation', () => {
+        const positions = buildHover(t => 0.002 * t * t);
+        const result = SpectralAnalyzer.analyzeOscillations(positions, [[0.5, 0.5, 0.5]]);
+
+        expect(result.hover.oscillationDetected).toBe(false);
+        expect(result.hover.jitter).toBeLessThan(0.005);
+    });
+
+    test('should keep the jitter index low for drift on short hover runs', () => {
+        // Deterministic uniform noise in [-1, 1] (linear congruential generator)
+        let seed = 42;
+        const noise = () => {
+            seed = (seed * 1103515245 + 12345) % 2147483648;
+            return 2 * seed / 2147483648 - 1;
+        };
+        // 0.8s hovers at successive waypoints, each drifting away from its target
+        const positions = buildHover(() => 0).map((pos, i) => {
+            const offset = 0.01 * Math.pow((i % 16) * 0.05, 2) + 0.002 * noise();
+            return { ...pos, x: pos.x + offset, error: Math.abs(offset), sequence_index: Math.floor(i / 16) };
+        });
+        const report = TrajectoryAnalyzer.generateTrajectoryReport({ position_data: positions, sequence: [[0.5, 0.5, 0.5]] });
+        const jitter = report.detailed.stabilityMetrics.jitterMetrics;
+
+        expect(jitter.hover.analysedRuns).toBeGreaterThan(10);
+        expect(jitter.oscillationDetected).toBe(false);
+        expect(jitter.jitterIndex).toBeLessThan(0.3);
+    });
+
+    test('should fill jitter metrics and recommend controller tuning', () => {
+        const positions = buildHover(t => 0.03 * Math.sin(2 * Math.PI * 3 * t));
+        const report = TrajectoryAnalyzer.generateTrajectoryReport({ position_data: positions, sequence: [[0.5, 0.5, 0.5]] });
+        const jitter = report.detailed.stabilityMetrics.jitterMetrics;
+
+        expect(jitter.oscillationDetected).toBe(true);
+        expect(Math.abs(jitter.dominantFrequency - 3)).toBeLessThan(0.2);
+        expect(jitter.jitterIndex).toBeGreaterThan(0.9);
+        expect(report.recommendations).toHaveLength(1);
+        expect(report.recommendations[0].category).toBe('controller_tuning');
+        expect(report.recommendations[0].severity).toBe('high');
+    });
+});
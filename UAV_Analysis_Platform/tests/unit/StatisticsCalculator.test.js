@@ -0,0 +1,90 @@
+const StatisticsCalculator = require('../../models/StatisticsCalculator');
+
+describe('StatisticsCalculator Unit Tests', () => {
+    test('should use the mean of the middle values as median for even-length samples', () => {
+        const stats = StatisticsCalculator.calculateStats([0.4, 0.1, 0.3, 0.2]);
+
+        expect(stats.median).toBeCloseTo(0.25, 10);
+        expect(stats.p50).toBeCloseTo(0.25, 10);
+        expect(stats.count).toBe(4);
+    });
+
+    test('should calculate spread, RMS, percentiles and the 95% confidence interval', () => {
+        const values = Array.from({ length: 101 }, (_, i) => i); // 0..100
+        const stats = StatisticsCalculator.calculateStats(values);
+
+        expect(stats.average).toBe(50);
+        expect(stats.p90).toBeCloseTo(90, 10);
+        expect(stats.p95).toBeCloseTo(95, 10);
+        expect(stats.p99).toBeCloseTo(99, 10);
+        // Population standard deviation of 0..100
+        expect(stats.stdDev).toBeCloseTo(Math.sqrt((101 * 101 - 1) / 12), 10);
+        expect(stats.rms).toBeCloseTo(Math.sqrt(100 * 201 / 6), 10);
+        expect(stats.confidence95).toBeCloseTo(1.96 * stats.stdDev / Math.sqrt(101), 10);
+    });
+
+    test('should interpolate percentiles and ignore non-numeric values', () => {
+        const stats = StatisticsCalculator.calculateStats([1, 2, null, NaN, undefined]);
+
+        expect(stats.count).toBe(2);
+        expect(stats.p90).toBeCloseTo(1.9, 10);
+        expect(StatisticsCalculator.calculateStats([]).count).toBe(0);
+    });
+
+    test('should fit a least-squares line', () => {
+        const fit = StatisticsCalculator.linearRegression([0, 1, 2, 3], [1, 3, 5, 7]);
+
+        expect(fit.slope).toBeCloseTo(2, 10);
+        expect(fit.intercept).toBeCloseTo(1, 10);
+        expect(fit.r2).toBeCloseTo(1, 10);
+    });
+
+    test('should correlate series and return 0 for constant ones', () => {
+        expect(StatisticsCalculator.correlation([1, 2, 3], [2, 4, 6])).toBeCloseTo(1, 10);
+        expect(StatisticsCalculator.correlation([1, 2, 3, 4], [1, 3, 2, 4])).toBeCloseTo(0.8, 10);
+
+        // 20Hz sample intervals built from rounded timestamps against a constant error
+        const intervals = [];
+        for (let i = 1; i < 10; i++) intervals.push(i * 0.05 - (i - 1) * 0.05);
+        expect(StatisticsCalculator.correlation(intervals, intervals.map(() => 0.02))).toBe(0);
+    });
+
+    // Welch example data with unequal sizes and variances
+    const groupA = [19.8, 20.4, 19.6, 17.8, 18.5, 18.9, 18.3, 18.9, 19.5, 22.0];
+    const groupB = [28.2, 26.6, 20.1, 23.3, 25.2, 22.1, 17.7, 27.6, 20.6, 13.7,
+        23.2, 17.5, 20.6, 18.0, 23.9, 21.6, 24.3, 20.4, 23.9, 13.3];
+
+    test('should run Welch\'s t-test with the confidence interval of the difference', () => {
+        const result = StatisticsCalculator.welchTTest(groupA, groupB);
+
+        expect(result.t).toBeCloseTo(-2.2255, 3);
+        expect(result.degreesOfFreedom).toBeCloseTo(24.52, 2);
+        expect(result.pValue).toBeCloseTo(0.0355, 3);
+        expect(result.confidenceInterval[0]).toBeCloseTo(-4.2765, 3);
+        expect(result.confidenceInterval[1]).toBeCloseTo(-0.1635, 3);
+        expect(StatisticsCalculator.welchTTest([1, 1], [1, 1]).pValue).toBe(1);
+    });
+
+    test('should run the Mann-Whitney U test and effect sizes', () => {
+        const separated = StatisticsCalculator.mannWhitneyU([1, 2, 3, 4], [5, 6, 7, 8]);
+        expect(separated.u).toBe(0);
+        expect(separated.rankBiserial).toBe(-1);
+        // (0 - 8 + 0.5) / sqrt(4 * 4 * 9 / 12)
+        expect(separated.z).toBeCloseTo(-7.5 / Math.sqrt(12), 10);
+        expect(separated.pValue).toBeCloseTo(0.0304, 3);
+
+        // Ties share their average rank, each tied pair counting half
+        expect(StatisticsCalculator.mannWhitneyU([1, 2, 2], [2, 3]).u).toBe(1);
+
+        const { d, g } = StatisticsCalculator.cohensD(groupA, groupB);
+        expect(d).toBeCloseTo(-0.6408, 3);
+        expect(Math.abs(g)).toBeLessThan(Math.abs(d));
+    });
+
+    test('should evaluate the normal and Student t distributions', () => {
+        expect(StatisticsCalculator.normalCdf(1.96)).toBeCloseTo(0.975, 4);
+        expect(StatisticsCalculator.normalCdf(-1.96)).toBeCloseTo(0.025, 4);
+        expect(StatisticsCalculator.studentTCdf(2.228, 10)).toBeCloseTo(0.975, 4);
+        expect(StatisticsCalculator.studentTQuantile(0.975, 10)).toBeCloseTo(2.2281, 3);
+    });
+});
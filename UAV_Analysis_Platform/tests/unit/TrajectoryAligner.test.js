@@ -0,0 +1,64 @@
+const TrajectoryAligner = require('../../models/TrajectoryAligner');
+
+describe('TrajectoryAligner Unit Tests', () => {
+    // Two legs along x then y at 20Hz, `pause` extra samples held at the start of the first leg,
+    // `offset` a height difference perpendicular to both legs
+    const buildRun = ({ offset = 0, pause = 0, step = 0.05 } = {}) => {
+        const positions = [];
+        const push = (x, y, sequenceIndex) => positions.push({
+            x, y, z: 0.5 + offset, time: positions.length * 0.05, sequence_index: sequenceIndex,
+            target: sequenceIndex === 1 ? { x: 1, y: 0, z: 0.5 } : { x: 1, y: 1, z: 0.5 }
+        });
+        for (let i = 0; i < pause; i++) push(0, 0, 1);
+        for (let d = 0; d <= 1 + 1e-9; d += step) push(d, 0, 1);
+        for (let d = step; d <= 1 + 1e-9; d += step) push(1, d, 2);
+        return positions;
+    };
+
+    test('should match sequences within the tolerance only', () => {
+        const sequence = [[0, 0, 0.5], [1, 0, 0.5]];
+
+        expect(TrajectoryAligner.sameSequence(sequence, [[0.005, 0, 0.5], [1, 0, 0.5]])).toBe(true);
+        expect(TrajectoryAligner.sameSequence(sequence, [[0.05, 0, 0.5], [1, 0, 0.5]])).toBe(false);
+        expect(TrajectoryAligner.sameSequence(sequence, sequence.slice(0, 1))).toBe(false);
+    });
+
+    test('should absorb a delayed start with DTW but not with leg time normalization', () => {
+        const reference = buildRun();
+        const delayed = buildRun({ pause: 6 });
+
+        const dtw = TrajectoryAligner.alignFlights(reference, delayed, 'dtw');
+        expect(dtw.segmented).toBe(true);
+        expect(dtw.summary.alignedSegments).toBe(2);
+        expect(dtw.summary.maxDeviation).toBeLessThan(1e-9);
+        expect(dtw.segments[0].durationDifference).toBeCloseTo(0.3, 10);
+        expect(dtw.segments[1].meanTimeOffset).toBeCloseTo(0.3, 10);
+
+        const legTime = TrajectoryAligner.alignFlights(reference, delayed, 'leg_time');
+        expect(legTime.summary.alignedPairs).toBe(reference.length);
+        expect(legTime.segments[0].meanDeviation).toBeGreaterThan(0.1);
+        expect(legTime.segments[1].maxDeviation).toBeLessThan(1e-9);
+    });
+
+    test('should report per-segment deviation and the difference series', () => {
+        const result = TrajectoryAligner.alignFlights(buildRun(), buildRun({ offset: 0.03 }));
+
+        result.segments.forEach(segment => expect(segment.meanDeviation).toBeCloseTo(0.03, 10));
+        expect(result.segments[1].target).toEqual([1, 1, 0.5]);
+
+        const entry = result.series[5];
+        expect(entry.difference).toEqual([0, 0, expect.closeTo(0.03, 10)]);
+        expect(entry.position[2] - entry.referencePosition[2]).toBeCloseTo(0.03, 10);
+        expect(entry.timeOffset).toBeCloseTo(0, 10);
+    });
+
+    test('should list segments flown by one flight only as unmatched', () => {
+        const reference = buildRun();
+        const shortRun = reference.filter(pos => pos.sequence_index === 1);
+
+        const result = TrajectoryAligner.alignFlights(reference, shortRun);
+
+        expect(result.summary.unmatchedSegments).toBe(1);
+        expect(result.segments[1]).toEqual({ sequenceIndex: 2, aligned: false, referenceSamples: 20, samples: 0 });
+    });
+});
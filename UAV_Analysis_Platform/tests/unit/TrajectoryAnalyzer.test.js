@@ -0,0 +1,194 @@
+const TrajectoryAnalyzer = require('../../models/TrajectoryAnalyzer');
+
+describe('TrajectoryAnalyzer Unit Tests', () => {
+    // Square-ish L path: 1m along x, hover with jitter at the corner, 1m along y
+    const buildLPath = () => {
+        const positions = [];
+        let time = 0;
+        const push = (x, y, phase) => {
+            positions.push({ x, y, z: 1, time, error: 0.02, phase, sequence_index: positions.length < 40 ? 1 : 2 });
+            time += 0.05;
+        };
+        for (let i = 0; i <= 20; i++) push(i * 0.05, 0, 'transit');
+        for (let i = 0; i < 20; i++) push(1 + (i % 2 ? 0.005 : -0.005), (i % 3) * 0.004, 'waypoint');
+        for (let i = 1; i <= 20; i++) push(1, i * 0.05, 'transit');
+        return positions;
+    };
+
+    test('should detect a single planned 90 degree turn and ignore hover jitter', () => {
+        const result = TrajectoryAnalyzer.analyzeTurns(buildLPath(), [[1, 0, 1], [1, 1, 1]]);
+
+        expect(result.totalTurns).toBe(1);
+        expect(result.plannedTurns).toBe(1);
+
+        const turn = result.turns[0];
+        expect(Math.abs(turn.bearingChange - 90)).toBeLessThan(5);
+        expect(turn.headingChange).toBeGreaterThan(0); // counter-clockwise from +x to +y
+        expect(turn.turnRate).toBeGreaterThan(0);
+        expect(result.maxTurnRate).toBe(turn.turnRate);
+    });
+
+    test('should mark turns away from any waypoint as unplanned', () => {
+        const result = TrajectoryAnalyzer.analyzeTurns(buildLPath(), [[5, 5, 1]]);
+
+        expect(result.totalTurns).toBe(1);
+        expect(result.unplannedTurns).toBe(1);
+    });
+
+    test('should report no turns for a straight line', () => {
+        const positions = Array.from({ length: 30 }, (_, i) => ({ x: i * 0.05, y: 0, z: 1, time: i * 0.05 }));
+        const result = TrajectoryAnalyzer.analyzeTurns(positions, []);
+
+        expect(result.totalTurns).toBe(0);
+        expect(result.pathSmoothness).toBeCloseTo(1, 5);
+    });
+
+    test('should measure step response metrics for vertical legs', () => {
+        // 0.3m -> 0.9m climb: linear rise over 1s, 0.05m overshoot decaying by 2s, then hold
+        const positions = [];
+        for (let i = 0; i <= 60; i++) {
+            const t = i * 0.05;
+            let z = t < 1 ? 0.3 + 0.6 * t : 0.9 + (t < 2 ? 0.05 * (2 - t) : 0);
+            if (t >= 2.5) z = 0.91; // 1cm steady-state offset
+            positions.push({ x: 0, y: 0, z, time: t, phase: t >= 2 ? 'waypoint' : 'transit', target: { x: 0, y: 0, z: 0.9 } });
+        }
+
+        const profile = TrajectoryAnalyzer.analyzeAltitudeProfile(positions);
+
+        expect(profile.verticalMovements).toBe(1);
+        expect(profile.altitudeRange).toBeCloseTo(0.65, 5);
+
+        const step = profile.stepResponses[0];
+        expect(step.direction).toBe('up');
+        expect(step.riseTime).toBeCloseTo(0.8, 1);
+        expect(step.overshoot).toBeCloseTo(50 / 6, 0);
+        expect(step.settled).toBe(true);
+        expect(step.settlingTime).toBeGreaterThan(1);
+        expect(step.settlingTime).toBeLessThan(2);
+        expect(step.steadyStateError).toBeCloseTo(0.01, 5);
+    });
+
+    test('should skip horizontal legs in the step response analysis', () => {
+        const profile = TrajectoryAnalyzer.analyzeAltitudeProfile(buildLPath().map(pos => ({
+            ...pos,
+            target: pos.sequence_index === 1 ? { x: 1, y: 0, z: 1 } : { x: 1, y: 1, z: 1 }
+        })));
+
+        expect(profile.verticalMovements).toBe(0);
+        expect(profile.averageRiseTime).toBeNull();
+    });
+
+    test('should split the flight into legs with timing and efficiency per target', () => {
+        // Target switches once the 20 hover samples at the corner are done
+        const positions = buildLPath().map((pos, i) => ({
+            ...pos,
+            stabilized: pos.phase === 'waypoint',
+            target: i < 41 ? { x: 1, y: 0, z: 1 } : { x: 1, y: 1, z: 1 }
+        }));
+
+        const { summary, legs } = TrajectoryAnalyzer.analyzeLegs(positions);
+
+        expect(summary.totalLegs).toBe(2);
+        expect(legs[0].reached).toBe(true);
+        expect(legs[0].transitTime).toBeCloseTo(1.05, 5);
+        expect(legs[0].timeToStabilize).toBeCloseTo(1.05, 5);
+        expect(legs[0].meanError).toBeCloseTo(0.02, 5);
+
+        // Second leg never holds its waypoint, but flies a straight line from the previous target
+        expect(legs[1].reached).toBe(false);
+        expect(legs[1].transitTime).toBeNull();
+        expect(legs[1].pathEfficiency).toBeGreaterThan(0.9);
+    });
+
+    test('should measure efficiency against the ideal path from takeoff through each target', () => {
+        // Takeoff 0.5m behind the L path's start, flown with a detour out to y=0.25 on the way
+        const detour = [0, 1, 2, 3, 4, 5].map(i => ({ x: -0.5, y: i * 0.05, z: 1, phase: 'transit', sequence_index: 1 }))
+            .concat([4, 3, 2, 1, 0].map(i => ({ x: -0.5 + (5 - i) * 0.1, y: i * 0.05, z: 1, phase: 'transit', sequence_index: 1 })));
+        const positions = detour.concat(buildLPath()).map((pos, i) => ({
+            ...pos,
+            time: i * 0.05,
+            target: i < 52 ? { x: 1, y: 0, z: 1 } : { x: 1, y: 1, z: 1 }
+        }));
+
+        const result = TrajectoryAnalyzer.calculateEfficiency(positions, [[1, 0, 1], [1, 1, 1]]);
+
+        expect(result.takeoffPosition).toEqual([-0.5, 0, 1]);
+        expect(result.plannedLegs).toBe(2);
+        expect(result.legs[0].from).toEqual([-0.5, 0, 1]);
+        expect(result.legs[0].idealDistance).toBeCloseTo(1.5, 10);
+        expect(result.legs[0].reached).toBe(true);
+        // Only the 0.25m climb in y and the diagonal back are excess, hover jitter at the corner is not counted
+        expect(result.legs[0].excessDistance).toBeCloseTo(0.25 + Math.hypot(0.5, 0.25) - 0.5, 1);
+        expect(result.legs[0].pathOptimality).toBeCloseTo(1.5 / (1.5 + result.legs[0].excessDistance), 10);
+        expect(result.legs[1].pathOptimality).toBeGreaterThan(0.9);
+        expect(result.legs[1].timeEfficiency).toBeNull(); // never reached
+
+        expect(result.idealDistance).toBeCloseTo(2.5, 10);
+        expect(result.efficiencyRatio).toBe(result.pathOptimality);
+        expect(result.timeEfficiency).toBeGreaterThan(0);
+        expect(result.timeEfficiency).toBeLessThanOrEqual(1);
+    });
+
+    test('should report no efficiency without targets to compare against', () => {
+        const positions = buildLPath().map(({ sequence_index, ...pos }) => pos);
+
+        const result = TrajectoryAnalyzer.calculateEfficiency(positions, []);
+
+        expect(result.plannedLegs).toBe(0);
+        expect(result.totalDistance).toBeGreaterThan(2);
+        expect(result.pathOptimality).toBeNull();
+        expect(result.efficiencyRatio).toBeNull();
+        expect(result.timeEfficiency).toBeNull();
+        expect(TrajectoryAnalyzer.calculateEfficiency([], [[1, 0, 1]]).plannedLegs).toBe(0);
+    });
+
+    test('should compute CEP, 2DRMS and drift for waypoint hover samples', () => {
+        // Hover for 2s drifting +y at 1cm/s, horizontal offsets alternating 0.01m / 0.03m
+        const target = { x: 1, y: 1, z: 0.5 };
+        const positions = [{ x: 0, y: 0, z: 0.5, time: 0, phase: 'transit', target }];
+        for (let i = 0; i <= 20; i++) {
+            const t = 1 + i * 0.1;
+            positions.push({
+                x: 1 + (i % 2 ? 0.03 : 0.01), y: 1 + 0.01 * (t - 1), z: 0.5, time: t, phase: 'waypoint', target
+            });
+        }
+
+        const result = TrajectoryAnalyzer.analyzeHoverPrecision(positions);
+
+        expect(result.waypointCount).toBe(1);
+        const hover = result.waypoints[0];
+        expect(hover.sampleCount).toBe(21);
+        expect(hover.dwellTime).toBeCloseTo(2, 10);
+        expect(hover.cep95).toBeGreaterThan(hover.cep50);
+        expect(hover.drms2).toBeGreaterThan(hover.cep95);
+        expect(hover.sep50).toBeCloseTo(hover.cep50, 10); // no vertical error
+        expect(hover.horizontalDriftRate).toBeCloseTo(0.01, 3);
+        expect(hover.driftDirection).toBeCloseTo(90, 0);
+    });
+
+    test('should integrate IAE, ISE, ITAE and ITSE over the flight and per leg', () => {
+        // Constant 0.1m error for 2s towards the first target, then 0.2m for 1s towards the second
+        const positions = [];
+        for (let i = 0; i <= 30; i++) {
+            const target = i <= 20 ? { x: 1, y: 0, z: 0.5 } : { x: 2, y: 0, z: 0.5 };
+            positions.push({ x: 0, y: 0, z: 0.5, time: i * 0.1, target, sequence_index: i <= 20 ? 0 : 1,
+                error: i <= 20 ? 0.1 : 0.2 });
+        }
+
+        const result = TrajectoryAnalyzer.calculatePerformanceIndices(positions);
+
+        const [first, second] = result.legs;
+        expect(first.iae).toBeCloseTo(0.2, 10);
+        expect(first.ise).toBeCloseTo(0.02, 10);
+        expect(first.itae).toBeCloseTo(0.1 * 2 * 2 / 2, 10);
+        expect(first.itse).toBeCloseTo(0.01 * 2 * 2 / 2, 10);
+        expect(second.sequenceIndex).toBe(1);
+        expect(second.duration).toBeCloseTo(0.9, 10);
+        expect(second.iae).toBeCloseTo(0.18, 10);
+
+        // Whole flight includes the switch between the legs and weights time from the first sample
+        expect(result.overall.duration).toBeCloseTo(3, 10);
+        expect(result.overall.iae).toBeCloseTo(0.2 + 0.015 + 0.18, 10);
+        expect(result.overall.itae).toBeGreaterThan(first.itae + second.itae);
+    });
+});
@@ -0,0 +1,57 @@
+const TrajectoryErrorCalculator = require('../../models/TrajectoryErrorCalculator');
+
+describe('TrajectoryErrorCalculator Unit Tests', () => {
+    // Climb from 0.3m to 0.9m
+    const sequence = [[0, 0, 0.3], [0, 0, 0.9]];
+    const target = { x: 0, y: 0, z: 0.9 };
+    const transitPoint = { x: 0.03, y: 0.04, z: 0.8, phase: 'transit', sequence_index: 1, transition_progress: 0.5, target };
+    const waypointPoint = { x: 0.03, y: 0.04, z: 0.92, phase: 'waypoint', sequence_index: 1, target };
+
+    test('should measure waypoint samples against the target', () => {
+        const options = TrajectoryErrorCalculator.resolveOptions({ heightWeight: 2 });
+        const result = TrajectoryErrorCalculator.calculatePointError(waypointPoint, sequence, options);
+
+        expect(result.error_xy).toBeCloseTo(0.05, 10);
+        expect(result.error_z).toBeCloseTo(0.02, 10);
+        expect(result.error).toBeCloseTo(Math.hypot(0.05, 0.04), 10);
+    });
+
+    test('should only count transit altitude outside the leg band in direct mode', () => {
+        const direct = TrajectoryErrorCalculator.calculatePointError(
+            transitPoint, sequence, TrajectoryErrorCalculator.resolveOptions({ verticalMode: 'direct' })
+        );
+        const path = TrajectoryErrorCalculator.calculatePointError(
+            transitPoint, sequence, TrajectoryErrorCalculator.resolveOptions({ verticalMode: 'path' })
+        );
+
+        // Expected altitude at 50% progress is 0.6m
+        expect(direct.error_z).toBeCloseTo(0.2, 10);
+        expect(direct.error).toBeCloseTo(0.05, 10);
+        expect(path.error).toBeCloseTo(Math.hypot(0.05, 0.2), 10);
+
+        const overshoot = TrajectoryErrorCalculator.calculatePointError(
+            { ...transitPoint, z: 0.95 }, sequence, TrajectoryErrorCalculator.resolveOptions({ verticalMode: 'direct' })
+        );
+        expect(overshoot.error).toBeCloseTo(Math.hypot(0.05, 0.05), 10);
+    });
+
+    test('should fill missing errors and summarise with exclude_transit', () => {
+        const flight = { sequence, position_data: [transitPoint, waypointPoint, { ...waypointPoint, error: 0.5 }] };
+        const options = TrajectoryErrorCalculator.resolveOptions({}, { verticalMode: 'path', excludeTransit: true });
+
+        const filled = TrajectoryErrorCalculator.fillMissingErrors(flight, options);
+        expect(filled.recomputedPoints).toBe(2);
+        expect(filled.positions[2].error).toBe(0.5);
+
+        const result = TrajectoryErrorCalculator.recalculate(flight, options);
+        expect(result.summary.validPoints).toBe(2);
+        expect(result.summary.excludedPoints).toBe(1);
+        expect(result.summary.transit.average).toBeCloseTo(Math.hypot(0.05, 0.2), 10);
+    });
+
+    test('should reject unknown options', () => {
+        expect(TrajectoryErrorCalculator.validateOptions({ verticalMode: 'sideways' })).toMatch('verticalMode');
+        expect(TrajectoryErrorCalculator.validateOptions({ heightWeight: -1 })).toMatch('heightWeight');
+        expect(TrajectoryErrorCalculator.validateOptions({ verticalMode: 'path', heightWeight: 0.5 })).toBeNull();
+    });
+});
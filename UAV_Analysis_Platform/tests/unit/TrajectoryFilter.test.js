@@ -0,0 +1,102 @@
+const TrajectoryFilter = require('../../models/TrajectoryFilter');
+const TrajectoryErrorCalculator = require('../../models/TrajectoryErrorCalculator');
+
+describe('TrajectoryFilter Unit Tests', () => {
+    const errorOptions = TrajectoryErrorCalculator.resolveOptions({});
+
+    // 20Hz transit along x at 0.5 m/s with +-1cm alternating noise on y, one 0.3s gap after sample 20
+    const buildFlight = () => {
+        const positionData = [];
+        let time = 0;
+        for (let i = 0; i < 40; i++) {
+            time += i === 21 ? 0.3 : 0.05;
+            positionData.push({
+                x: time * 0.5,
+                y: i % 2 === 0 ? 0.01 : -0.01,
+                z: 0.5,
+                time,
+                target: { x: 2, y: 0, z: 0.5 },
+                sequence_index: 1,
+                transition_progress: time / 4,
+                phase: 'transit',
+                error: 0.01
+            });
+        }
+        return { sequence: [[0, 0, 0.5], [2, 0, 0.5]], position_data: positionData };
+    };
+
+    test('should validate filter query parameters', () => {
+        expect(TrajectoryFilter.validateOptions({})).toBeNull();
+        expect(TrajectoryFilter.validateOptions({ filter: 'savitzky_golay', window: '9', polyOrder: '3' })).toBeNull();
+        expect(TrajectoryFilter.validateOptions({ filter: 'median' })).toMatch(/filter must be one of/);
+        expect(TrajectoryFilter.validateOptions({ filter: 'moving_average', window: '4' })).toMatch(/odd integer/);
+        expect(TrajectoryFilter.validateOptions({ filter: 'savitzky_golay', window: '3', polyOrder: '3' }))
+            .toBe('polyOrder must be lower than window');
+        expect(TrajectoryFilter.validateOptions({ resampleRate: '0' })).toMatch(/resampleRate/);
+    });
+
+    test('should reject resampling that would exceed the output size limit', () => {
+        const positions = buildFlight().position_data;
+        const options = TrajectoryFilter.resolveOptions({ resampleRate: '200' });
+
+        expect(TrajectoryFilter.validateOutputSize(positions, options)).toBeNull();
+        expect(TrajectoryFilter.validateOutputSize(positions, TrajectoryFilter.resolveOptions({}))).toBeNull();
+
+        // One long timestamp gap
+        positions[39] = { ...positions[39], time: positions[38].time + 3600 };
+        expect(TrajectoryFilter.validateOutputSize(positions, options)).toMatch(/would exceed 20000 points/);
+    });
+
+    test('should leave the flight untouched without a filter', () => {
+        const flight = buildFlight();
+        const result = TrajectoryFilter.apply(flight, TrajectoryFilter.resolveOptions({}), errorOptions);
+
+        expect(result.flightData).toBe(flight);
+        expect(result.filter).toEqual({
+            type: 'none', resampleRate: null, inputPoints: 40, outputPoints: 40, errorCalculation: null
+        });
+    });
+
+    test.each(['moving_average', 'savitzky_golay', 'kalman'])('%s should remove noise and recompute errors', filter => {
+        const flight = buildFlight();
+        const result = TrajectoryFilter.apply(flight, TrajectoryFilter.resolveOptions({ filter }), errorOptions);
+        const positions = result.flightData.position_data;
+
+        expect(result.filter.type).toBe(filter);
+        expect(result.filter.errorCalculation.config).toEqual(errorOptions);
+        expect(positions).toHaveLength(40);
+        // Away from the start the alternating y noise is mostly averaged out
+        positions.slice(10, 20).forEach(point => {
+            expect(Math.abs(point.y)).toBeLessThan(0.006);
+            expect(point.error).toBeCloseTo(Math.abs(point.y), 10);
+        });
+        // The raw flight is not modified
+        expect(flight.position_data[15].y).toBe(-0.01);
+    });
+
+    test('should keep a linear motion exact with Savitzky-Golay across the gap', () => {
+        const flight = buildFlight();
+        const result = TrajectoryFilter.apply(flight, TrajectoryFilter.resolveOptions({ filter: 'savitzky_golay' }), errorOptions);
+
+        result.flightData.position_data.forEach((point, i) => {
+            expect(point.x).toBeCloseTo(flight.position_data[i].x, 10);
+        });
+        expect(result.filter).toMatchObject({ window: 7, polyOrder: 2 });
+    });
+
+    test('should resample to a uniform rate with interpolated positions', () => {
+        const flight = buildFlight();
+        const result = TrajectoryFilter.apply(flight, TrajectoryFilter.resolveOptions({ resampleRate: '10' }), errorOptions);
+        const positions = result.flightData.position_data;
+        const duration = flight.position_data[39].time - flight.position_data[0].time;
+
+        expect(positions).toHaveLength(Math.floor(duration * 10) + 1);
+        expect(result.filter.outputPoints).toBe(positions.length);
+        positions.forEach((point, i) => {
+            expect(point.time).toBeCloseTo(flight.position_data[0].time + i * 0.1, 10);
+            expect(point.x).toBeCloseTo(point.time * 0.5, 10);
+            expect(point.transition_progress).toBeCloseTo(point.time / 4, 10);
+            expect(point.phase).toBe('transit');
+        });
+    });
+});
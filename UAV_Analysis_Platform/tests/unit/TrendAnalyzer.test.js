@@ -0,0 +1,52 @@
+const TrendAnalyzer = require('../../models/TrendAnalyzer');
+
+describe('TrendAnalyzer Unit Tests', () => {
+    // One flight a day from 1 May 2025
+    const daily = values => values.map((value, i) => ({ date: new Date(Date.UTC(2025, 4, 1 + i)), value }));
+
+    test('should report a rising error as declining performance', () => {
+        const result = TrendAnalyzer.analyzeSeries(daily([0.02, 0.025, 0.03, 0.035, 0.04, 0.045]), 'lower');
+
+        expect(result.regression.slopePerDay).toBeCloseTo(0.005, 10);
+        expect(result.regression.r2).toBeCloseTo(1, 10);
+        expect(result.robustRegression.slopePerDay).toBeCloseTo(0.005, 10);
+        expect(result.trend).toBe('declining');
+        expect(TrendAnalyzer.analyzeSeries(daily([0.02, 0.025, 0.03, 0.035, 0.04, 0.045]), 'higher').trend)
+            .toBe('improving');
+    });
+
+    test('should not divide by zero when the series starts at zero', () => {
+        const result = TrendAnalyzer.analyzeSeries(daily([0, 1, 2, 3, 4, 5]), 'higher');
+
+        expect(Number.isFinite(result.relativeChange)).toBe(true);
+        expect(result.trend).toBe('improving');
+        expect(TrendAnalyzer.analyzeSeries(daily([0, 0, 0]), 'higher').trend).toBe('stable');
+    });
+
+    test('should resist a single outlier flight with the robust fit', () => {
+        const result = TrendAnalyzer.analyzeSeries(daily([0.03, 0.03, 0.03, 0.03, 0.03, 0.03, 0.3]), 'lower');
+
+        expect(result.regression.slopePerDay).toBeGreaterThan(0.01);
+        expect(result.robustRegression.slopePerDay).toBeCloseTo(0, 10);
+        expect(result.trend).toBe('stable');
+    });
+
+    test('should locate a shift in the mean as a change point', () => {
+        const values = [0.03, 0.031, 0.029, 0.03, 0.032, 0.05, 0.051, 0.049, 0.05, 0.052];
+        const result = TrendAnalyzer.analyzeSeries(daily(values), 'lower', 3);
+
+        expect(result.changePoints).toHaveLength(1);
+        const [changePoint] = result.changePoints;
+        expect(changePoint.index).toBe(5);
+        expect(changePoint.date).toEqual(new Date(Date.UTC(2025, 4, 6)));
+        expect(changePoint.shift).toBeCloseTo(0.02, 10);
+        expect(changePoint.direction).toBe('declining');
+
+        expect(result.rollingAverage[2].value).toBeCloseTo(0.03, 10);
+        expect(result.rollingAverage[9].value).toBeCloseTo((0.049 + 0.05 + 0.052) / 3, 10);
+    });
+
+    test('should need two points and ignore missing values', () => {
+        expect(TrendAnalyzer.analyzeSeries(daily([0.03, null]), 'lower').trend).toBe('insufficient_data');
+    });
+});
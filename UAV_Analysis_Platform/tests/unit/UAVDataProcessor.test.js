@@ -1,4 +1,5 @@
 const UAVDataProcessor = require('../../models/UAVDataProcessor');
+const DataQualityAnalyzer = require('../../models/DataQualityAnalyzer');
 
 describe('UAVDataProcessor Unit Tests', () => {
     test('should validate correct flight data format', () => {
@@ -25,6 +26,23 @@ describe('UAVDataProcessor Unit Tests', () => {
         expect(result.error).toContain('Missing required field');
     });
 
+    test('should leave a bad first point to the data quality pass', () => {
+        const positionData = [{ y: 0, z: 0.5, time: 0 }];
+        for (let i = 1; i < 10; i++) {
+            positionData.push({ x: i * 0.01, y: 0, z: 0.5, time: i * 0.05 });
+        }
+        const data = { timestamp: '20250514_104755', position_data: positionData };
+
+        expect(UAVDataProcessor.validateFlightData(data)).toEqual({ valid: true });
+
+        expect(DataQualityAnalyzer.analyze(data, 'strict').report.passed).toBe(false);
+
+        const lenient = DataQualityAnalyzer.analyze(data, 'lenient');
+        expect(lenient.report.removedIndices).toEqual([0]);
+        const result = UAVDataProcessor.processFlightData(lenient.flightData, { flightName: 'Bad First Point' });
+        expect(result.analysis.totalPoints).toBe(9);
+    });
+
     test('should calculate statistics correctly', () => {
         const testValues = [0.1, 0.2, 0.3, 0.4, 0.5];
         const stats = UAVDataProcessor.calculateStats(testValues);
@@ -33,6 +51,8 @@ describe('UAVDataProcessor Unit Tests', () => {
         expect(stats.min).toBe(0.1);
         expect(stats.max).toBe(0.5);
         expect(stats.median).toBe(0.3);
+        expect(stats.p95).toBeCloseTo(0.48, 10);
+        expect(stats.stdDev).toBeCloseTo(Math.sqrt(0.02), 10);
     });
 
     test('should process flight data correctly', () => {
@@ -53,4 +73,132 @@ describe('UAVDataProcessor Unit Tests', () => {
         expect(result.analysis.totalPoints).toBe(2);
         expect(result.analysis.responseTime).toBe(1.5);
     });
-});
\ No newline at end of file
+
+    test('should preserve full telemetry point schema', () => {
+        const mockData = {
+            timestamp: '20250513_193752',
+            position_data: [
+                {
+                    x: 0.05, y: 0.01, z: 0.3, time: 100,
+                    target: { x: 0, y: 0, z: 0.6 },
+                    position_index: 0, sequence_index: 1, transition_progress: 0,
+                    phase: 'transit', stabilized: false,
+                    error: 0.05, error_xy: 0.05, error_z: 0.002
+                },
+                {
+                    x: 0.01, y: 0.02, z: 0.59, time: 101,
+                    target: { x: 0, y: 0, z: 0.6 },
+                    position_index: 1, sequence_index: 1, transition_progress: 1,
+                    phase: 'waypoint', stabilized: true,
+                    error: 0.025, error_xy: 0.022, error_z: 0.01
+                }
+            ],
+            sequence: [[0, 0, 0.3], [0, 0, 0.6]]
+        };
+
+        const result = UAVDataProcessor.processFlightData(mockData, { flightName: 'Telemetry Flight' });
+        const point = result.positionData[1];
+
+        expect(point.target).toEqual({ x: 0, y: 0, z: 0.6 });
+        expect(point.error_xy).toBe(0.022);
+        expect(point.error_z).toBe(0.01);
+        expect(point.stabilized).toBe(true);
+        expect(point.sequence_index).toBe(1);
+        expect(point.position_index).toBe(1);
+        expect(point.transition_progress).toBe(1);
+
+        const visualization = UAVDataProcessor.generate3DVisualizationData(result);
+        expect(visualization.trajectory[1].target).toEqual([0, 0, 0.6]);
+        expect(visualization.trajectory[1].errorXY).toBe(0.022);
+    });
+
+    test('should parse flight-level metadata blocks', () => {
+        const mockData = {
+            timestamp: '20250513_193752',
+            response_time: 10.55,
+            first_command_time: 1747129051.26,
+            position_data: [
+                { x: 0, y: 0, z: 0.3, time: 1747129061.82, phase: 'waypoint', error: 0.02 }
+            ],
+            rf_conditions: { bandwidth_kbps: 250, latency_ms: 40, packet_loss_rate: 0.02 },
+            command_stats: { sent: 1795, dropped: 5, total_attempts: 1800 },
+            battery: { start_voltage: 3.94, minimum_required: 3.8 },
+            error_calculation: { method: 'TrajectoryAwareErrorCalculator3D', vertical_mode: 'direct' },
+            position_accuracy: { config: { height_weight: 1.0, vertical_mode: 'direct', exclude_transit: true } }
+        };
+
+        expect(UAVDataProcessor.validateFlightData(mockData).valid).toBe(true);
+
+        const result = UAVDataProcessor.processFlightData(mockData, { flightName: 'Metadata Flight' });
+
+        expect(result.analysis.responseTime).toBe(10.55);
+        expect(result.analysis.firstCommandTime).toBe(1747129051.26);
+        expect(result.analysis.rfConditions).toEqual({ bandwidthKbps: 250, latencyMs: 40, packetLossRate: 0.02 });
+        expect(result.analysis.commandStats).toEqual({ sent: 1795, dropped: 5, totalAttempts: 1800 });
+        expect(result.analysis.battery).toEqual({ startVoltage: 3.94, minimumRequired: 3.8 });
+        expect(result.analysis.errorCalculation).toEqual({
+            method: 'TrajectoryAwareErrorCalculator3D',
+            verticalMode: 'direct',
+            heightWeight: 1.0,
+            excludeTransit: true
+        });
+    });
+
+    test('should reject inconsistent metadata blocks', () => {
+        const base = {
+            timestamp: '20250513_193752',
+            position_data: [{ x: 0, y: 0, z: 0.3, time: 0 }]
+        };
+
+        const dropped = UAVDataProcessor.validateFlightData({
+            ...base,
+            command_stats: { sent: 10, dropped: 12, total_attempts: 10 }
+        });
+        expect(dropped.valid).toBe(false);
+        expect(dropped.error).toContain('dropped');
+
+        const packetLoss = UAVDataProcessor.validateFlightData({
+            ...base,
+            rf_conditions: { bandwidth_kbps: null, latency_ms: null, packet_loss_rate: 5 }
+        });
+        expect(packetLoss.valid).toBe(false);
+        expect(packetLoss.error).toContain('packet_loss_rate');
+    });
+
+    test('should accept null fields in every metadata block', () => {
+        const mockData = {
+            timestamp: '20250513_193752',
+            position_data: [{ x: 0, y: 0, z: 0.3, time: 0 }],
+            rf_conditions: { bandwidth_kbps: null, latency_ms: 40, packet_loss_rate: null },
+            command_stats: { sent: 100, dropped: null, total_attempts: null },
+            battery: { start_voltage: 3.94, minimum_required: null },
+            error_calculation: { method: null, vertical_mode: 'direct' }
+        };
+
+        expect(UAVDataProcessor.validateFlightData(mockData)).toEqual({ valid: true });
+
+        const result = UAVDataProcessor.processFlightData(mockData, { flightName: 'Partial Metadata' });
+        expect(result.analysis.commandStats).toEqual({ sent: 100, dropped: null, totalAttempts: null });
+        expect(result.performanceMetrics.communicationEfficiency.reliability).toBeNull();
+    });
+
+    test('should recompute missing errors from position and target', () => {
+        const target = { x: 0, y: 0, z: 0.6 };
+        const mockData = {
+            timestamp: '20250513_193752',
+            sequence: [[0, 0, 0.3], [0, 0, 0.6]],
+            position_data: [
+                { x: 0.03, y: 0.04, z: 0.45, time: 0, phase: 'transit', sequence_index: 1, transition_progress: 0.5, target },
+                { x: 0, y: 0.02, z: 0.6, time: 0.05, phase: 'waypoint', sequence_index: 1, target, error: 0.02 }
+            ]
+        };
+
+        const result = UAVDataProcessor.processFlightData(mockData, { flightName: 'No Error Flight' });
+
+        expect(result.positionData[0].error).toBeCloseTo(0.05, 10);
+        expect(result.positionData[0].error_xy).toBeCloseTo(0.05, 10);
+        expect(result.positionData[1].error).toBe(0.02);
+        expect(result.analysis.errorCalculation.method).toBe('TrajectoryAwareErrorCalculator3D');
+        expect(result.analysis.errorCalculation.recomputedPoints).toBe(1);
+    });
+});